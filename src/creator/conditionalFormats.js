@@ -0,0 +1,259 @@
+const { getConditionalStyle } = require('./styles');
+
+/** Operadores aceitos em `when`, com o operador correspondente do Excel */
+const CELL_OPERATORS = {
+  '>': 'greaterThan',
+  '>=': 'greaterThanOrEqual',
+  '<': 'lessThan',
+  '<=': 'lessThanOrEqual',
+  '=': 'equal',
+  '!=': 'notEqual',
+  between: 'between',
+  notBetween: 'notBetween',
+};
+
+/** Cores padrão da escala de cores: vermelho, amarelo e verde */
+const DEFAULT_COLOR_SCALE = ['F8696B', 'FFEB84', '63BE7B'];
+
+/** Cor padrão da barra de dados */
+const DEFAULT_DATA_BAR_COLOR = '638EC6';
+
+/** Conjunto de ícones padrão */
+const DEFAULT_ICON_SET = '3TrafficLights1';
+
+/**
+ * Grava as regras de formatação condicional definidas nas colunas (`conditionalFormats`) como formatações
+ * condicionais reais do Excel, que continuam sendo avaliadas quando os valores são editados na planilha.
+ *
+ * Cada regra é aplicada às linhas de dados da coluna. As regras de destaque usam os estilos pré-definidos
+ * (ex: "Bom", "Ruim", "Neutro") ou um objeto de estilo em `style`:
+ *   - `{ when: '>', value: 100, style: 'Ruim' }`: Compara o valor da célula (`>`, `>=`, `<`, `<=`, `=`, `!=`).
+ *     Com `between`/`notBetween`, `value` é `[mínimo, máximo]`. Valores iniciados com `=` são fórmulas.
+ *   - `{ contains: 'Atrasado', style: 'Neutro' }`: Texto que contém (`contains`), não contém (`notContains`),
+ *     começa com (`beginsWith`) ou termina com (`endsWith`) o valor, sem diferenciar maiúsculas.
+ *   - `{ duplicates: true, style: 'Ruim' }` ou `{ unique: true, style: 'Bom' }`: Valores repetidos ou únicos na coluna.
+ *   - `{ formula: 'C2>B2', style: 'Bom' }`: Fórmula personalizada, escrita para a primeira linha de dados.
+ *   - `{ colorScale: true }`: Escala de cores (vermelho, amarelo, verde), ou um array com 2 ou 3 cores RGB.
+ *   - `{ dataBar: true }`: Barra de dados, ou a cor RGB da barra.
+ *   - `{ iconSet: true }`: Conjunto de ícones ('3TrafficLights1'), ou o nome do conjunto (ex: '3Arrows', '5Rating').
+ *   - Regras no formato do ExcelJS (com `type`) são gravadas sem alteração, com o estilo convertido.
+ *
+ * @param {Object} worksheet - Instância de `ExcelJS.Worksheet` ou `WorksheetWriter`.
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @param {number} firstRow - Primeira linha de dados.
+ * @param {number} lastRow - Última linha de dados.
+ * @param {Object} [cellStyles] - O registro dos estilos com nome (ver `createStyleRegistry`).
+ *
+ * @throws {Error} Caso alguma regra seja inválida.
+ */
+function applyConditionalFormats(worksheet, preparedColumns, firstRow, lastRow, cellStyles) {
+  const endRow = Math.max(firstRow, lastRow);
+
+  preparedColumns.forEach((column, index) => {
+    if (!Array.isArray(column.conditionalFormats) || !column.conditionalFormats.length) {
+      return;
+    }
+
+    const letter = worksheet.getColumn(index + 1).letter;
+    const range = {
+      letter,
+      firstCell: `${letter}${firstRow}`,
+      ref: `${letter}${firstRow}:${letter}${endRow}`,
+      absoluteRef: `$${letter}$${firstRow}:$${letter}$${endRow}`,
+    };
+
+    worksheet.addConditionalFormatting({
+      ref: range.ref,
+      rules: column.conditionalFormats.map((rule) => buildRule(rule, range, column.header, cellStyles)),
+    });
+  });
+}
+
+/**
+ * Converte uma regra simplificada em uma regra de formatação condicional do ExcelJS.
+ *
+ * @param {Object} rule - A regra definida na coluna.
+ * @param {Object} range - O intervalo da coluna (`letter`, `firstCell`, `ref`, `absoluteRef`).
+ * @param {string} header - O cabeçalho da coluna, usado nas mensagens de erro.
+ * @param {Object} [cellStyles] - O registro dos estilos com nome.
+ * @returns {Object} - A regra no formato do ExcelJS.
+ *
+ * @throws {Error} Caso a regra seja inválida.
+ */
+function buildRule(rule, range, header, cellStyles) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Regra de formatação condicional inválida na coluna "${header}".`);
+  }
+
+  if (rule.type) {
+    return rule.style ? { ...rule, style: getConditionalStyle(rule.style, cellStyles) } : rule;
+  }
+
+  if (rule.colorScale) {
+    return getColorScaleRule(rule.colorScale, header);
+  }
+
+  if (rule.dataBar) {
+    const color = typeof rule.dataBar === 'string' ? rule.dataBar : DEFAULT_DATA_BAR_COLOR;
+    return {
+      type: 'dataBar',
+      cfvo: [{ type: 'min' }, { type: 'max' }],
+      color: { argb: toArgb(color) },
+    };
+  }
+
+  if (rule.iconSet) {
+    return getIconSetRule(typeof rule.iconSet === 'string' ? rule.iconSet : DEFAULT_ICON_SET, rule.reverse);
+  }
+
+  if (!rule.style) {
+    throw new Error(`Regra de formatação condicional sem estilo na coluna "${header}".`);
+  }
+  const style = getConditionalStyle(rule.style, cellStyles);
+
+  if (rule.when) {
+    const operator = CELL_OPERATORS[rule.when];
+    if (!operator) {
+      throw new Error(
+        `Operador "${rule.when}" inválido na coluna "${header}". Use: ${Object.keys(CELL_OPERATORS).join(', ')}.`
+      );
+    }
+    const values = Array.isArray(rule.value) ? rule.value : [rule.value];
+    const expected = operator === 'between' || operator === 'notBetween' ? 2 : 1;
+    if (values.length !== expected || values.some((value) => value === undefined || value === null)) {
+      throw new Error(`A regra "${rule.when}" da coluna "${header}" precisa de ${expected} valor(es) em "value".`);
+    }
+    return { type: 'cellIs', operator, formulae: values.map(toFormulaValue), style };
+  }
+
+  const textFormula = getTextFormula(rule, range.firstCell);
+  if (textFormula) {
+    return { type: 'expression', formulae: [textFormula], style };
+  }
+
+  if (rule.duplicates || rule.unique) {
+    const comparison = rule.duplicates ? '>1' : '=1';
+    return {
+      type: 'expression',
+      formulae: [`AND(${range.firstCell}<>"",COUNTIF(${range.absoluteRef},${range.firstCell})${comparison})`],
+      style,
+    };
+  }
+
+  if (rule.formula) {
+    return { type: 'expression', formulae: [String(rule.formula).replace(/^=/, '')], style };
+  }
+
+  throw new Error(`Regra de formatação condicional não reconhecida na coluna "${header}".`);
+}
+
+/**
+ * Retorna a fórmula das regras de texto (`contains`, `notContains`, `beginsWith`, `endsWith`).
+ *
+ * @param {Object} rule - A regra definida na coluna.
+ * @param {string} cell - Endereço da primeira célula de dados da coluna.
+ * @returns {string|null} - A fórmula da regra, ou null se a regra não for de texto.
+ */
+function getTextFormula(rule, cell) {
+  if (rule.contains !== undefined) {
+    return `NOT(ISERROR(SEARCH(${toTextLiteral(rule.contains)},${cell})))`;
+  }
+  if (rule.notContains !== undefined) {
+    return `ISERROR(SEARCH(${toTextLiteral(rule.notContains)},${cell}))`;
+  }
+  if (rule.beginsWith !== undefined) {
+    const text = toTextLiteral(rule.beginsWith);
+    return `LEFT(${cell},LEN(${text}))=${text}`;
+  }
+  if (rule.endsWith !== undefined) {
+    const text = toTextLiteral(rule.endsWith);
+    return `RIGHT(${cell},LEN(${text}))=${text}`;
+  }
+  return null;
+}
+
+/**
+ * Monta a regra de escala de cores, com 2 cores (mínimo e máximo) ou 3 cores (mínimo, percentil 50 e máximo).
+ *
+ * @param {boolean|Array<string>} colorScale - `true` para as cores padrão, ou o array de cores RGB.
+ * @param {string} header - O cabeçalho da coluna, usado nas mensagens de erro.
+ * @returns {Object} - A regra no formato do ExcelJS.
+ */
+function getColorScaleRule(colorScale, header) {
+  const colors = Array.isArray(colorScale) ? colorScale : DEFAULT_COLOR_SCALE;
+  if (colors.length !== 2 && colors.length !== 3) {
+    throw new Error(`A escala de cores da coluna "${header}" deve ter 2 ou 3 cores.`);
+  }
+
+  const cfvo = colors.length === 2
+    ? [{ type: 'min' }, { type: 'max' }]
+    : [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }];
+
+  return {
+    type: 'colorScale',
+    cfvo,
+    color: colors.map((color) => ({ argb: toArgb(color) })),
+  };
+}
+
+/**
+ * Monta a regra de conjunto de ícones, dividindo os valores em faixas percentuais iguais.
+ *
+ * @param {string} iconSet - Nome do conjunto de ícones do Excel (ex: '3TrafficLights1', '4Arrows', '5Rating').
+ * @param {boolean} [reverse=false] - Inverte a ordem dos ícones.
+ * @returns {Object} - A regra no formato do ExcelJS.
+ */
+function getIconSetRule(iconSet, reverse = false) {
+  const count = parseInt(iconSet, 10) || 3;
+  const cfvo = Array.from({ length: count }, (_, index) => ({
+    type: 'percent',
+    value: Math.round((index * 100) / count),
+  }));
+
+  return { type: 'iconSet', iconSet, reverse: !!reverse, cfvo };
+}
+
+/**
+ * Converte o valor de comparação de uma regra em um operando de fórmula.
+ * Números e booleanos são usados diretamente, textos iniciados com `=` são fórmulas e os demais textos ficam entre aspas.
+ *
+ * @param {*} value - O valor da regra.
+ * @returns {string} - O operando da fórmula.
+ */
+function toFormulaValue(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value === 'string' && value.startsWith('=')) {
+    return value.slice(1);
+  }
+  return toTextLiteral(value);
+}
+
+/**
+ * Converte um valor em texto literal de fórmula, escapando as aspas.
+ *
+ * @param {*} value - O valor.
+ * @returns {string} - O texto entre aspas.
+ */
+function toTextLiteral(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Converte uma cor RGB (ex: '638EC6') em ARGB opaco. Cores já em ARGB são mantidas.
+ *
+ * @param {string} color - A cor em RGB ou ARGB.
+ * @returns {string} - A cor em ARGB.
+ */
+function toArgb(color) {
+  const hex = String(color).replace(/^#/, '').toUpperCase();
+  return hex.length === 6 ? `FF${hex}` : hex;
+}
+
+module.exports = {
+  applyConditionalFormats,
+};
@@ -1,8 +1,22 @@
 const ExcelJS = require('exceljs');
+const fs = require('fs');
 const path = require('path');
 
 const { formatTextToIdentifier } = require('../parser/transformer');
-const { applyCellStyle } = require('./styles');
+const { applyCellStyle, applyBodyStyle, getBorderStyle, resolveFill } = require('./styles');
+const { applyConditionalFormats } = require('./conditionalFormats');
+const { buildRowFormula, evaluateRowFormulas, createTotalsAccumulator, fillTotalsRow } = require('./formulas');
+const { addWorksheetTable } = require('./tables');
+const { getNumberFormat, coerceFormattedValue, getFormattedTextLength } = require('./numberFormats');
+const { getHiddenSelectSheet, prepareValidationLists, buildCellValidation } = require('./validations');
+const {
+  resolveProtection,
+  protectSheet,
+  getEditableRanges,
+  isEditableCell,
+  unlockEditableRows,
+  protectWorkbook,
+} = require('./protection');
 
 /**
  * Cria e retorna uma nova instância de um workbook Excel.
@@ -41,12 +55,13 @@ async function setWorksheet(workbook, sheetName) {
  * @param {Object} [config={}] - Configurações opcionais para o cabeçalho:
  *   - `fixed`: Booleano para fixar o cabeçalho.
  *   - `row`: Número da linha onde o cabeçalho será fixado (padrão: 1).
- *   - `style`: Estilos globais aplicáveis ao cabeçalho (fonte, alinhamento, rotação de texto).
+ *   - `style`: Estilos globais aplicáveis ao cabeçalho (fonte, alinhamento, rotação de texto, preenchimento e bordas).
  *   - `headerRow`: Número da linha de cabeçalho (padrão: 1).
+ * @param {Object} [cellStyles] - O registro dos estilos com nome, usado no preenchimento (ver `createStyleRegistry`).
  *
  * @throws {Error} Caso as colunas não sejam fornecidas ou estejam no formato errado.
  */
-function setHeaderRow(worksheet, columns, config = {}) {
+function setHeaderRow(worksheet, columns, config = {}, cellStyles) {
   if (!columns || !Array.isArray(columns)) {
     throw new Error('As colunas devem ser fornecidas como um array.');
   }
@@ -77,8 +92,7 @@ function setHeaderRow(worksheet, columns, config = {}) {
   }));
 
   if (config.fixed) {
-    const headerRow = config.row || 1;
-    worksheet.views = [{ state: 'frozen', ySplit: headerRow }];
+    worksheet.views = getHeaderViews(config);
   }
 
   // Aplicar estilos (globais e específicos) ao cabeçalho
@@ -110,6 +124,12 @@ function setHeaderRow(worksheet, columns, config = {}) {
           textRotation: config.style.textRotation,
         };
       }
+      if (config.style.fill) {
+        cell.fill = resolveFill(config.style.fill, cellStyles);
+      }
+      if (config.style.border) {
+        cell.border = getBorderStyle(config.style.border);
+      }
     }
 
     // Estilo específico da coluna
@@ -136,6 +156,20 @@ function setHeaderRow(worksheet, columns, config = {}) {
   }
 }
 
+/**
+ * Retorna as views da planilha para fixar o cabeçalho, conforme a configuração.
+ * Em streaming as views precisam ser informadas na criação da aba.
+ *
+ * @param {Object} config - Configuração do cabeçalho (`fixed`, `row`).
+ * @returns {Array<Object>} - As views da planilha (vazio se o cabeçalho não for fixo).
+ */
+function getHeaderViews(config = {}) {
+  if (!config.fixed) {
+    return [];
+  }
+  return [{ state: 'frozen', ySplit: config.row || 1 }];
+}
+
 /**
  * Salva um workbook Excel no diretório especificado.
  *
@@ -159,11 +193,24 @@ async function saveXlsxFile(workbook, directory) {
  * Função assíncrona para criar um arquivo Excel (.xlsx) com uma ou múltiplas abas.
  *
  * @param {string | Array} sheetConfigOrName - Nome da aba (string) para uma única aba ou array de configurações de abas para múltiplas abas.
- * Cada configuração de aba deve conter os campos `sheetName`, `columns` e `rows`.
+ * Cada configuração de aba deve conter os campos `sheetName`, `columns` e `rows`, e pode ter `table` para configurar a tabela da aba
+ * e `protection` para sobrescrever a proteção nesta aba (`false` deixa a aba sem proteção, ver `resolveProtection`).
  * @param {Array} columns - Definição das colunas para a aba única ou o diretório de saída, caso `sheetConfigOrName` seja um array.
- * @param {Array} rows - Linhas de dados para a aba única ou configurações adicionais, caso `sheetConfigOrName` seja um array.
+ * @param {Array|AsyncIterable<Object>} rows - Linhas de dados para a aba única ou configurações adicionais, caso `sheetConfigOrName` seja um array.
+ * Se as linhas de alguma aba forem um iterável assíncrono ou `Readable`, o arquivo é gravado em streaming.
  * @param {string} directory - Diretório para salvar o arquivo .xlsx.
  * @param {Object} config - Configurações opcionais de estilo ou propriedades para cada aba (default: {}).
+ *   - `widthSampleSize`: Quantidade de linhas usadas para estimar as larguras em streaming (padrão: 1000).
+ *   - `decimalSeparator`: Separador decimal (',' ou '.') dos textos numéricos das colunas com `format`, usado também nos
+ *     textos ambíguos como '1.500' (ver `coerceFormattedValue`). Cada coluna também aceita o seu `decimalSeparator`.
+ *   - `table`: Grava cada aba como uma tabela nativa do Excel: `true` ou `{ name, style, bandedRows, bandedColumns, totalsRow }`.
+ *   - `cellStyles`: Registro dos estilos com nome usados nas colunas e células (ver `createStyleRegistry`). Padrão: os
+ *     estilos pré-definidos ("Bom", "Ruim", "Neutro"...).
+ * @param {Object} [protection] - Configuração de proteção das abas e do workbook:
+ *   - `enabled`, `password`: Protege as abas com a senha.
+ *   - `allow`: Ações liberadas nas abas protegidas, ex: `{ sort: true, formatCells: true, insertRows: true, deleteColumns: true }`.
+ *   - `editableRanges`: Faixas desbloqueadas por coluna e linha, ex: `[{ columns: ['quantidade'], rows: [2, 500] }]`.
+ *   - `workbook`: Protege a estrutura do workbook (`true` ou `{ structure, windows, password }`).
  *
  * @returns {Promise<void>} Retorna uma promessa que cria e salva o arquivo Excel.
  * 
@@ -178,60 +225,159 @@ async function createExcelXlsx(
   protection
 ) {
   try {
-    const workbook = await setExcelWorkbook();
-
-    // Verifica se é um array, o que indica múltiplas abas
-    if (Array.isArray(sheetConfigOrName)) {
-      // Modo de múltiplas abas
-      const sheetConfigs = sheetConfigOrName;
-      directory = columns; // Define `directory` a partir do segundo parâmetro
-      config = rows || {}; // Define `config` a partir do terceiro parâmetro, caso exista
+    await writeExcelXlsx(sheetConfigOrName, columns, rows, directory, config, protection);
+  } catch (error) {
+    console.error('[X] Impossível criar planilha: ', error);
+  }
+}
 
-      sheetConfigs.forEach(({ sheetName, columns, rows }) => {
+/**
+ * Cria e salva o arquivo Excel (.xlsx), com os mesmos parâmetros de `createExcelXlsx`, lançando os erros em vez de
+ * apenas registrá-los. Usada pelas funções que gravam arquivos a partir de outros (`diff`, `merge`, `split`), para que
+ * uma falha na gravação rejeite a operação.
+ *
+ * @param {string | Array} sheetConfigOrName - Nome da aba ou array de configurações de abas (ver `createExcelXlsx`).
+ * @param {Array|string} columns - Definição das colunas ou o diretório de saída, no modo de múltiplas abas.
+ * @param {Array|AsyncIterable<Object>|Object} rows - Linhas de dados ou as configurações, no modo de múltiplas abas.
+ * @param {string} directory - Caminho completo onde o arquivo será salvo.
+ * @param {Object} [config={}] - Configurações de estilo (ver `createExcelXlsx`).
+ * @param {Object} [protection] - Configuração de proteção (ver `createExcelXlsx`).
+ *
+ * @returns {Promise<void>} Retorna uma promessa resolvida quando o arquivo é salvo.
+ * @throws {Error} Caso os dados sejam inválidos ou o arquivo não possa ser salvo.
+ */
+async function writeExcelXlsx(sheetConfigOrName, columns, rows, directory, config = {}, protection) {
+  // Verifica se é um array, o que indica múltiplas abas
+  if (Array.isArray(sheetConfigOrName)) {
+    // Modo de múltiplas abas
+    const sheetConfigs = sheetConfigOrName;
+    directory = columns; // Define `directory` a partir do segundo parâmetro
+    config = rows || {}; // Define `config` a partir do terceiro parâmetro, caso exista
+
+    if (sheetConfigs.some((sheetConfig) => isRowStream(sheetConfig.rows))) {
+      await createStreamXlsx(sheetConfigs, directory, config, protection);
+    } else {
+      const workbook = await setExcelWorkbook();
+      sheetConfigs.forEach(({ sheetName, columns, rows, table, protection: sheetProtection }) => {
         const worksheet = workbook.addWorksheet(sheetName);
-        configureSheet(worksheet, columns, rows, config, workbook, protection);
+        const sheetConfig = table === undefined ? config : { ...config, table };
+        configureSheet(worksheet, columns, rows, sheetConfig, workbook, resolveProtection(protection, sheetProtection));
       });
-    } else {
-      // Modo de uma única aba
-      const worksheet = await setWorksheet(workbook, sheetConfigOrName);
-      configureSheet(worksheet, columns, rows, config, workbook, protection);
+      protectWorkbook(workbook, protection);
+      await saveXlsxFile(workbook, directory);
     }
-
+  } else if (isRowStream(rows)) {
+    // Modo de uma única aba com linhas produzidas sob demanda
+    if (!sheetConfigOrName) {
+      throw new Error('Necessário informar o nome da planilha.');
+    }
+    await createStreamXlsx([{ sheetName: sheetConfigOrName, columns, rows }], directory, config, protection);
+  } else {
+    // Modo de uma única aba
+    const workbook = await setExcelWorkbook();
+    const worksheet = await setWorksheet(workbook, sheetConfigOrName);
+    configureSheet(worksheet, columns, rows, config, workbook, protection);
+    protectWorkbook(workbook, protection);
     await saveXlsxFile(workbook, directory);
+  }
 
-    const dataAtual = new Date();
-    const dia = String(dataAtual.getDate()).padStart(2, '0');
-    const mes = String(dataAtual.getMonth() + 1).padStart(2, '0'); // Mês começa em 0
-    const ano = dataAtual.getFullYear();
-    const horas = String(dataAtual.getHours()).padStart(2, '0');
-    const minutos = String(dataAtual.getMinutes()).padStart(2, '0');
-    const segundos = String(dataAtual.getSeconds()).padStart(2, '0');
+  const dataAtual = new Date();
+  const dia = String(dataAtual.getDate()).padStart(2, '0');
+  const mes = String(dataAtual.getMonth() + 1).padStart(2, '0'); // Mês começa em 0
+  const ano = dataAtual.getFullYear();
+  const horas = String(dataAtual.getHours()).padStart(2, '0');
+  const minutos = String(dataAtual.getMinutes()).padStart(2, '0');
+  const segundos = String(dataAtual.getSeconds()).padStart(2, '0');
 
-    const nomeArquivo = path.basename(directory);
-    const soDiretorio = path.dirname(directory);
+  const nomeArquivo = path.basename(directory);
+  const soDiretorio = path.dirname(directory);
 
-    console.log(
-      `[✓] Planilha ${nomeArquivo} criada com sucesso! - ${dia}/${mes}/${ano} às ${horas}:${minutos}:${segundos}`
-    );
-    console.log(`[>] Salva em: ${soDiretorio}`);
+  console.log(
+    `[✓] Planilha ${nomeArquivo} criada com sucesso! - ${dia}/${mes}/${ano} às ${horas}:${minutos}:${segundos}`
+  );
+  console.log(`[>] Salva em: ${soDiretorio}`);
+}
+
+/**
+ * Cria um arquivo Excel (.xlsx) em streaming, gravando as linhas no disco à medida que são produzidas.
+ * Usado quando as linhas de alguma aba são fornecidas como iterável assíncrono ou `Readable`.
+ *
+ * @param {Array} sheetConfigs - Configurações das abas, cada uma com `sheetName`, `columns` e `rows`.
+ * @param {string} directory - Caminho completo onde o arquivo será salvo.
+ * @param {Object} config - Configurações opcionais de estilo ou propriedades para cada aba.
+ * @param {Object} protection - Configuração de proteção das abas e do workbook (ver `createExcelXlsx`).
+ *
+ * @returns {Promise<void>} Retorna uma promessa resolvida quando o arquivo é finalizado.
+ */
+async function createStreamXlsx(sheetConfigs, directory, config, protection) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    filename: directory,
+    useStyles: true,
+    useSharedStrings: true,
+  });
+  protectWorkbook(workbook, protection);
+
+  // As abas são processadas uma de cada vez, para que apenas uma fique aberta no arquivo
+  try {
+    for (const { sheetName, columns, rows, protection: sheetProtection } of sheetConfigs) {
+      const worksheet = workbook.addWorksheet(sheetName, {
+        views: getHeaderViews(config?.header || {}),
+      });
+      await configureSheetStream(worksheet, columns, rows, config, workbook, resolveProtection(protection, sheetProtection));
+    }
+  } catch (error) {
+    await discardStreamFile(workbook, directory);
+    throw error;
+  }
 
+  try {
+    await workbook.commit();
   } catch (error) {
-    console.error('[X] Impossível criar planilha: ', error);
+    throw new Error(
+      'Não foi possível salvar a planilha no diretório informado: ' +
+      error.message
+    );
   }
 }
 
 /**
- * Configura uma planilha Excel com cabeçalho, preenchimento de dados e ajuste de colunas.
+ * Interrompe a gravação em streaming e remove o arquivo incompleto, quando uma aba falha no meio da gravação.
  *
- * @param {Object} worksheet - Objeto da planilha fornecido pela biblioteca ExcelJS.
- * @param {Array} columns - Configuração das colunas, podendo ser strings ou objetos com propriedades como header, key e width.
- * @param {Array} rows - Dados das linhas a serem inseridos na planilha. Cada objeto no array deve usar as chaves correspondentes às colunas.
- * @param {Object} [config] - Configurações adicionais para personalização da planilha:
- *   - `header`: Estilos ou configurações específicas para o cabeçalho.
- *   - `ajustColumn`: Define se as larguras das colunas devem ser ajustadas automaticamente (padrão: true).
+ * @param {Object} workbook - O `WorkbookWriter` do ExcelJS.
+ * @param {string} filePath - Caminho do arquivo sendo gravado.
+ * @returns {Promise<void>}
  */
-function configureSheet(worksheet, columns, rows, config, workbook, protection) {
-  const preparedColumns = columns.map((column) =>
+async function discardStreamFile(workbook, filePath) {
+  const { zip, stream } = workbook;
+  zip.unpipe(stream);
+  zip.abort();
+  if (!stream.closed) {
+    await new Promise((resolve) => {
+      stream.once('close', resolve);
+      stream.destroy();
+    });
+  }
+  await fs.promises.rm(filePath, { force: true });
+}
+
+/**
+ * Verifica se as linhas foram fornecidas como um produtor (iterável assíncrono ou `Readable`) e não como array.
+ *
+ * @param {*} rows - Linhas fornecidas para a aba.
+ * @returns {boolean} - Se as linhas devem ser gravadas em streaming.
+ */
+function isRowStream(rows) {
+  return !!rows && !Array.isArray(rows) && typeof rows[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Normaliza as definições de colunas em objetos com `header`, `key` e as configurações de cada coluna.
+ *
+ * @param {Array} columns - Configuração das colunas, podendo ser strings ou objetos.
+ * @returns {Array<Object>} - Colunas preparadas para o preenchimento das linhas.
+ */
+function prepareColumns(columns) {
+  return columns.map((column) =>
     typeof column === 'string'
       ? { header: column, key: formatTextToIdentifier(column) }
       : {
@@ -245,113 +391,238 @@ function configureSheet(worksheet, columns, rows, config, workbook, protection)
             : [],
         validation: column.validation || null,
         editable: column.editable || false,
+        conditionalFormats: column.conditionalFormats || [],
+        formula: column.formula || null,
+        total: column.total || null,
+        numberFormat: column.format ? getNumberFormat(column.format) : null,
+        decimalSeparator: column.decimalSeparator,
       }
   );
+}
 
-  const columnKeys = preparedColumns.map((col) => col.key);
-  setHeaderRow(worksheet, columns, config?.header || {});
-
-  // Cria a aba oculta se necessário
-  const abaOculta = workbook.getWorksheet('HiddenSelect') || workbook.addWorksheet('HiddenSelect');
-  abaOculta.state = 'veryHidden';
+/**
+ * Configura uma planilha Excel com cabeçalho, preenchimento de dados e ajuste de colunas.
+ *
+ * @param {Object} worksheet - Objeto da planilha fornecido pela biblioteca ExcelJS.
+ * @param {Array} columns - Configuração das colunas, podendo ser strings ou objetos com propriedades como header, key e width.
+ * @param {Array} rows - Dados das linhas a serem inseridos na planilha. Cada objeto no array deve usar as chaves correspondentes às colunas.
+ * @param {Object} [config] - Configurações adicionais para personalização da planilha:
+ *   - `header`: Estilos ou configurações específicas para o cabeçalho.
+ *   - `ajustColumn`: Define se as larguras das colunas devem ser ajustadas automaticamente (padrão: true).
+ *   - `table`: Grava os dados como uma tabela nativa do Excel (ver `addWorksheetTable`).
+ */
+function configureSheet(worksheet, columns, rows, config, workbook, protection) {
+  const preparedColumns = prepareColumns(columns);
+  setHeaderRow(worksheet, columns, config?.header || {}, config?.cellStyles);
 
+  const abaOculta = getHiddenSelectSheet(workbook);
   const listaMapeada = new Map(); // Evita duplicar listas
 
+  const totals = createTotalsAccumulator(preparedColumns);
+  const editableRanges = getEditableRanges(protection, preparedColumns);
+
   if (rows && rows.length) {
     rows.forEach((rowData) => {
       const row = worksheet.addRow();
-      columnKeys.forEach((colKey, index) => {
-        const cell = row.getCell(index + 1);
-        const matchedValue = rowData[colKey];
-        const columnConfig = preparedColumns[index];
-        const columnStyle = columnConfig.style || [];
-
-        let valorFinal = matchedValue;
-        let cellValidation = null;
-
+      const values = fillRow(row, rowData, preparedColumns, config, abaOculta, listaMapeada, editableRanges);
+      if (totals) totals.add(values);
+    });
+  }
+  const lastDataRow = worksheet.rowCount;
 
-        if (config?.global?.style) {
-          applyCellStyle(cell, config.global.style); // aplica estilo global primeiro
-        }
+  if (config?.table) {
+    addWorksheetTable(worksheet, preparedColumns, lastDataRow, config.table, totals);
+  } else if (totals && totals.rows) {
+    fillTotalsRow(worksheet.addRow(), preparedColumns, totals, 2);
+  }
 
-        if (matchedValue && typeof matchedValue === 'object' && 'value' in matchedValue) {
-          valorFinal = matchedValue.value;
-
-          if (matchedValue.style) {
-            const styles = Array.isArray(matchedValue.style) ? matchedValue.style : [matchedValue.style];
-            applyCellStyle(cell, [...columnStyle, ...styles]);
-          } else if (columnStyle.length) {
-            applyCellStyle(cell, columnStyle);
-          }
-          if (matchedValue.note) {
-            cell.note = { texts: [{ text: matchedValue.note }] };
-          }
-          cellValidation = matchedValue.validation;
-        } else {
-          if (columnStyle.length) applyCellStyle(cell, columnStyle);
+  // Recalcula as fórmulas ao abrir, pois nem todos os resultados podem ser calculados na gravação
+  if (preparedColumns.some((column) => column.formula || column.total)) {
+    workbook.calcProperties.fullCalcOnLoad = true;
+  }
 
-        }
+  // Ajusta larguras, passando as colunas originais como referência
+  if (!config || config.ajustColumn !== false) {
+    adjustColumnWidths(worksheet, columns);
+  }
 
-        // Aplica validação de coluna
-        if (!cellValidation && columnConfig.validation) {
-          const val = columnConfig.validation;
-          if (val.select && Array.isArray(val.values)) {
-            const chave = val.values.join('|');
-            let linhaInicio;
-
-            if (listaMapeada.has(chave)) {
-              linhaInicio = listaMapeada.get(chave);
-            } else {
-              linhaInicio = abaOculta.rowCount + 1;
-              val.values.forEach((v, i) => abaOculta.getCell(`A${linhaInicio + i}`).value = v);
-              listaMapeada.set(chave, linhaInicio);
-            }
-
-            const linhaFim = linhaInicio + val.values.length - 1;
-            cellValidation = {
-              type: 'list',
-              formulae: [`=HiddenSelect!$A$${linhaInicio}:$A$${linhaFim}`],
-              allowBlank: true,
-              showErrorMessage: true,
-              errorTitle: 'Entrada inválida',
-              error: 'Escolha um valor da lista suspensa.'
-            };
-          } else {
-            cellValidation = columnConfig.validation;
-          }
-        }
+  applyConditionalFormats(worksheet, preparedColumns, 2, lastDataRow, config?.cellStyles);
+  unlockEditableRows(worksheet, editableRanges, worksheet.rowCount);
+  protectSheet(worksheet, protection);
+}
 
-        if (cellValidation) {
-          cell.dataValidation = cellValidation;
-        }
+/**
+ * Configura uma aba de um workbook em streaming, gravando cada linha assim que é produzida.
+ *
+ * As primeiras linhas (`config.widthSampleSize`, padrão 1000) ficam em memória até que as larguras
+ * das colunas sejam estimadas, pois as larguras são gravadas junto com a primeira linha.
+ *
+ * @param {Object} worksheet - Instância de `WorksheetWriter` do ExcelJS.
+ * @param {Array} columns - Configuração das colunas, podendo ser strings ou objetos.
+ * @param {AsyncIterable<Object>} rows - Produtor das linhas (iterável assíncrono ou `Readable` em modo objeto).
+ * @param {Object} [config] - As mesmas configurações aceitas por `configureSheet`.
+ * @param {Object} workbook - Instância de `WorkbookWriter` do ExcelJS.
+ * @param {Object} protection - Configuração de proteção da aba (`enabled`, `password`, `allow`, `editableRanges`).
+ *
+ * @returns {Promise<void>} Retorna uma promessa resolvida quando a aba é finalizada.
+ */
+async function configureSheetStream(worksheet, columns, rows, config, workbook, protection) {
+  if (config?.table) {
+    throw new Error('A opção "table" não está disponível na gravação em streaming.');
+  }
+  const preparedColumns = prepareColumns(columns);
+  setHeaderRow(worksheet, columns, config?.header || {}, config?.cellStyles);
 
-        cell.value = valorFinal || null;
+  const abaOculta = getHiddenSelectSheet(workbook);
+  const listaMapeada = new Map(); // Evita duplicar listas
 
-        // Aplica proteção se for célula desbloqueada pela coluna
-        if (columnConfig.editable === true) {
-          cell.protection = { locked: false };
-        }
+  // Listas de seleção são gravadas antes das linhas, pois a aba oculta só é finalizada no fim
+  preparedColumns.forEach((column) => prepareValidationLists(abaOculta, listaMapeada, column.validation));
+
+  const ajustColumn = !config || config.ajustColumn !== false;
+  const sampleSize = config?.widthSampleSize ?? 1000;
+  let sampled = 0;
+  let widthsAdjusted = false;
+  let lastRow = null;
+  const totals = createTotalsAccumulator(preparedColumns);
+  const editableRanges = getEditableRanges(protection, preparedColumns);
+
+  for await (const rowData of rows) {
+    lastRow = worksheet.addRow();
+    const values = fillRow(lastRow, rowData, preparedColumns, config, abaOculta, listaMapeada, editableRanges);
+    if (totals) totals.add(values);
+
+    if (widthsAdjusted) {
+      lastRow.commit();
+      continue;
+    }
 
-        if (matchedValue && typeof matchedValue === 'object' && matchedValue.protection) {
-          cell.protection = matchedValue.protection;
-        }
+    sampled++;
+    if (sampled >= sampleSize) {
+      if (ajustColumn) adjustColumnWidths(worksheet, columns);
+      widthsAdjusted = true;
+      lastRow.commit(); // Grava de uma vez todas as linhas da amostra
+    }
+  }
 
-      });
-    });
+  const lastDataRow = lastRow ? lastRow.number : 2;
+  if (totals && totals.rows) {
+    lastRow = worksheet.addRow();
+    fillTotalsRow(lastRow, preparedColumns, totals, 2);
   }
 
-  // Ajusta larguras, passando as colunas originais como referência
-  if (!config || config.ajustColumn !== false) {
+  if (!widthsAdjusted && ajustColumn) {
     adjustColumnWidths(worksheet, columns);
   }
 
-  if (protection?.enabled && typeof worksheet.protect === 'function') {
-    worksheet.protect(protection.password, {
-      selectLockedCells: true,
-      selectUnlockedCells: true,
-      autoFilter: true
+  applyConditionalFormats(worksheet, preparedColumns, 2, lastDataRow, config?.cellStyles);
+  unlockEditableRows(worksheet, editableRanges, lastRow ? lastRow.number : 1, true);
+  protectSheet(worksheet, protection);
+  worksheet.commit();
+}
+
+/**
+ * Preenche uma linha da planilha com os dados, estilos, validações e proteção de cada coluna.
+ *
+ * @param {Object} row - Linha do ExcelJS a ser preenchida.
+ * @param {Object} rowData - Objeto com os dados da linha, usando as chaves das colunas.
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @param {Object} [config] - Configurações da planilha (estilo global, zebrado e bordas).
+ * @param {Object} abaOculta - A aba `HiddenSelect`.
+ * @param {Map} listaMapeada - Listas de seleção já gravadas na aba oculta.
+ * @param {Array<Object>} [editableRanges=[]] - Faixas editáveis da proteção (ver `getEditableRanges`).
+ * @returns {Array} - Os valores gravados na linha, por posição da coluna (o resultado, nas colunas de fórmula).
+ */
+function fillRow(row, rowData, preparedColumns, config, abaOculta, listaMapeada, editableRanges = []) {
+  const values = [];
+
+  preparedColumns.forEach((columnConfig, index) => {
+    const cell = row.getCell(index + 1);
+    const matchedValue = rowData[columnConfig.key];
+    const columnStyle = columnConfig.style || [];
+
+    let valorFinal = matchedValue;
+    let cellValidation = null;
+    let numberFormat = columnConfig.numberFormat;
+
+
+    applyBodyStyle(cell, config, row.number); // aplica estilo global, zebrado e bordas primeiro
+
+    if (matchedValue && typeof matchedValue === 'object' && 'value' in matchedValue) {
+      valorFinal = matchedValue.value;
+
+      if (matchedValue.style) {
+        const styles = Array.isArray(matchedValue.style) ? matchedValue.style : [matchedValue.style];
+        applyCellStyle(cell, [...columnStyle, ...styles], config?.cellStyles);
+      } else if (columnStyle.length) {
+        applyCellStyle(cell, columnStyle, config?.cellStyles);
+      }
+      if (matchedValue.note) {
+        cell.note = { texts: [{ text: matchedValue.note }] };
+      }
+      cellValidation = matchedValue.validation;
+      if (matchedValue.format) {
+        numberFormat = getNumberFormat(matchedValue.format);
+      }
+    } else {
+      if (columnStyle.length) applyCellStyle(cell, columnStyle, config?.cellStyles);
+
+    }
+
+    // Aplica validação de coluna, convertendo as validações simplificadas (ver `buildCellValidation`)
+    cellValidation = buildCellValidation(cellValidation || columnConfig.validation, {
+      abaOculta,
+      listaMapeada,
+      preparedColumns,
+      columnIndex: index,
+      rowNumber: row.number,
     });
-  }
+
+    if (cellValidation) {
+      cell.dataValidation = cellValidation;
+    }
+
+    if (numberFormat) {
+      cell.numFmt = numberFormat.numFmt;
+    }
+
+    // Colunas de fórmula são preenchidas depois, quando os valores da linha já são conhecidos
+    if (!columnConfig.formula) {
+      if (numberFormat) {
+        valorFinal = coerceFormattedValue(
+          valorFinal,
+          numberFormat.type,
+          columnConfig.decimalSeparator ?? config?.decimalSeparator
+        );
+      }
+      cell.value = valorFinal === undefined || valorFinal === '' ? null : valorFinal;
+      values[index] = cell.value;
+    }
+
+    // Aplica proteção se for célula desbloqueada pela coluna ou por uma faixa editável
+    if (columnConfig.editable === true || isEditableCell(editableRanges, index + 1, row.number)) {
+      cell.protection = { locked: false };
+    }
+
+    if (matchedValue && typeof matchedValue === 'object' && matchedValue.protection) {
+      cell.protection = matchedValue.protection;
+    }
+
+  });
+
+  const formulas = preparedColumns
+    .map((columnConfig, index) => columnConfig.formula && {
+      index,
+      formula: buildRowFormula(columnConfig.formula, preparedColumns, row.number, columnConfig.header),
+    })
+    .filter(Boolean);
+  const results = evaluateRowFormulas(formulas, row.number, values);
+  formulas.forEach(({ index, formula }) => {
+    const result = results.get(index);
+    row.getCell(index + 1).value = result === undefined ? { formula } : { formula, result };
+  });
+
+  return values;
 }
 
 /**
@@ -381,7 +652,7 @@ function adjustColumnWidths(worksheet, columns) {
     let maxLength = column.header ? column.header.length : 10; // Começa com o tamanho do cabeçalho
     column.eachCell({ includeEmpty: true }, (cell) => {
       if (cell.value) {
-        const cellLength = cell.value.toString().length;
+        const cellLength = getCellTextLength(cell);
         if (cellLength > maxLength) {
           maxLength = cellLength;
         }
@@ -392,6 +663,21 @@ function adjustColumnWidths(worksheet, columns) {
   });
 }
 
+/**
+ * Estima a quantidade de caracteres exibidos em uma célula, usada no ajuste automático de largura.
+ * Datas e números são medidos pelo texto exibido com o formato numérico da célula (ex: moeda, percentual),
+ * e não pelo `toString()` do valor.
+ *
+ * @param {Object} cell - Objeto da célula fornecido pela biblioteca ExcelJS.
+ * @returns {number} - A quantidade estimada de caracteres.
+ */
+function getCellTextLength(cell) {
+  const value = typeof cell.value === 'object' && !(cell.value instanceof Date) && 'formula' in cell.value
+    ? cell.value.result
+    : cell.value;
+  return getFormattedTextLength(value, cell.numFmt);
+}
+
 /**
  * Habilita filtros automáticos nas colunas de uma planilha Excel.
  *
@@ -417,4 +703,7 @@ module.exports = {
   setWorksheet,
   saveXlsxFile,
   createExcelXlsx,
+  writeExcelXlsx,
+  configureSheet,
+  adjustColumnWidths,
 };
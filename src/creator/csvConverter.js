@@ -0,0 +1,163 @@
+const ExcelJS = require('exceljs');
+
+const { readCsvRecords } = require('../parser/csvParser');
+const { formatTextToIdentifier } = require('../parser/transformer');
+const { inferColumnType, parseNumber, parseBoolean, parseDate } = require('../parser/schema');
+const { setHeaderRow, saveXlsxFile, adjustColumnWidths } = require('./creator');
+const { applyBodyStyle } = require('./styles');
+
+/** Formatos numéricos aplicados às células de cada tipo de coluna */
+const TYPE_NUM_FORMATS = {
+  integer: '0',
+  decimal: '#,##0.00',
+  date: 'dd/mm/yyyy',
+  datetime: 'dd/mm/yyyy hh:mm',
+};
+
+/** Tipos aceitos na especificação explícita de colunas */
+const COLUMN_TYPES = ['string', 'integer', 'decimal', 'boolean', 'date', 'datetime'];
+
+/**
+ * Converte um arquivo CSV em um arquivo XLSX, gravando números e datas como valores reais do Excel.
+ *
+ * Os tipos das colunas são deduzidos de uma amostra das linhas (incluindo formatos brasileiros como
+ * `1.234,56` e `31/12/2024`) ou informados explicitamente em `options.columns`. Valores que não puderem
+ * ser convertidos para o tipo da coluna (como '1.5' em uma coluna com vírgula decimal) são mantidos como texto.
+ * O arquivo XLSX é montado em memória antes de ser gravado.
+ *
+ * @param {string} csvFilePath - Caminho para o arquivo CSV de entrada.
+ * @param {string} xlsxFilePath - Caminho para salvar o arquivo XLSX gerado.
+ * @param {string} [aba='Planilha1'] - Nome da aba da planilha dentro do arquivo XLSX (padrão: 'Planilha1').
+ * @param {Object} [options={}] - Opções de leitura e conversão:
+ *   - `delimiter`, `quote`, `encoding`, `headerRow`: Dialeto do CSV (ver `readCsvRecords`).
+ *   - `columns`: Tipos explícitos por coluna (identificador ou texto do cabeçalho), ex:
+ *     `{ valor: 'decimal', vencimento: { type: 'date', numFmt: 'dd/mm/yy' } }`.
+ *     Tipos aceitos: 'string', 'integer', 'decimal', 'boolean', 'date' e 'datetime'.
+ *   - `inferTypes`: Deduz o tipo das colunas não especificadas (padrão: true).
+ *   - `sampleSize`: Quantidade de linhas usadas na dedução dos tipos (padrão: 1000).
+ *   - `decimalSeparator`: Separador decimal dos números do arquivo (',' ou '.'). Sem ele, o separador é deduzido
+ *     da amostra de cada coluna (ver `inferColumnType`).
+ * @param {Object} [config={}] - Configurações de estilo, as mesmas de `createExcelXlsx` (`header`, `global`, `zebra`, `borders`, `ajustColumn`).
+ * @returns {Promise<void>} - Retorna uma Promise que é resolvida quando o arquivo XLSX é salvo.
+ * @throws {Error} - Lança um erro se a especificação de colunas for inválida ou o arquivo não puder ser salvo.
+ */
+async function csvToXlsx(csvFilePath, xlsxFilePath, aba = 'Planilha1', options = {}, config = {}) {
+  const records = readCsvRecords(csvFilePath, options);
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(aba);
+
+  const first = await records.next();
+  const headers = first.done ? [] : first.value;
+  if (headers.length) {
+    setHeaderRow(worksheet, headers, config?.header || {}, config?.cellStyles);
+  }
+
+  // As linhas da amostra são lidas antes das demais, para deduzir os tipos das colunas
+  const sampleSize = options.sampleSize ?? 1000;
+  const sample = [];
+  while (sample.length < sampleSize) {
+    const { value, done } = await records.next();
+    if (done) {
+      break;
+    }
+    sample.push(value);
+  }
+
+  const columnTypes = getColumnTypes(headers, sample, options);
+
+  const addRecord = (record) => {
+    const row = worksheet.addRow();
+    record.forEach((text, index) => {
+      const cell = row.getCell(index + 1);
+      const columnType = columnTypes[index] || { type: 'string' };
+
+      applyBodyStyle(cell, config, row.number);
+
+      const value = convertCsvValue(text, columnType);
+      cell.value = value;
+      if (value !== null && typeof value !== 'string' && columnType.numFmt) {
+        cell.numFmt = columnType.numFmt;
+      }
+    });
+  };
+
+  sample.forEach(addRecord);
+  for await (const record of records) {
+    addRecord(record);
+  }
+
+  if (!config || config.ajustColumn !== false) {
+    adjustColumnWidths(worksheet, headers);
+  }
+
+  await saveXlsxFile(workbook, xlsxFilePath);
+  console.log(`Arquivo XLSX salvo em: ${xlsxFilePath}`);
+}
+
+/**
+ * Define o tipo de cada coluna do CSV, combinando a especificação explícita com a dedução pela amostra.
+ *
+ * @param {Array<string>} headers - Textos do cabeçalho.
+ * @param {Array<string[]>} sample - Amostra dos registros de dados do CSV.
+ * @param {Object} options - Opções de conversão (`columns`, `inferTypes`, `decimalSeparator`).
+ * @returns {Array<Object>} - O tipo de cada coluna (`type`, `numFmt` e, para números deduzidos, `decimalSeparator`).
+ * @throws {Error} - Lança um erro se algum tipo explícito não for válido.
+ */
+function getColumnTypes(headers, sample, options) {
+  const spec = options.columns || {};
+  const inferTypes = options.inferTypes !== false;
+
+  return headers.map((header, index) => {
+    let definition = spec[formatTextToIdentifier(header)] ?? spec[header];
+
+    if (definition) {
+      definition = typeof definition === 'string' ? { type: definition } : { ...definition };
+      if (!COLUMN_TYPES.includes(definition.type)) {
+        throw new Error(`Tipo "${definition.type}" inválido para a coluna "${header}". Tipos aceitos: ${COLUMN_TYPES.join(', ')}.`);
+      }
+    } else if (inferTypes) {
+      definition = inferColumnType(sample.map((record) => record[index]), { decimalSeparator: options.decimalSeparator });
+    } else {
+      definition = { type: 'string' };
+    }
+
+    return { ...definition, numFmt: definition.numFmt || TYPE_NUM_FORMATS[definition.type] };
+  });
+}
+
+/**
+ * Converte o texto de um campo do CSV para o tipo da coluna.
+ *
+ * @param {string} text - O texto do campo.
+ * @param {Object} columnType - O tipo da coluna, retornado por `getColumnTypes`.
+ * @returns {string|number|boolean|Date|null} - O valor convertido, o texto original se a conversão falhar, ou null se o campo estiver vazio.
+ */
+function convertCsvValue(text, columnType) {
+  if (text === undefined || text.trim() === '') {
+    return null;
+  }
+
+  let value = null;
+  switch (columnType.type) {
+    case 'integer':
+    case 'decimal':
+      value = parseNumber(text, columnType.decimalSeparator);
+      break;
+    case 'boolean':
+      value = parseBoolean(text);
+      break;
+    case 'date':
+    case 'datetime':
+      value = parseDate(text);
+      break;
+    default:
+      return text;
+  }
+
+  return value === null ? text : value;
+}
+
+module.exports = {
+  csvToXlsx,
+};
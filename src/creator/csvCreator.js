@@ -1,33 +1,273 @@
 const fs = require('fs');
-const util = require('util');
-const writeFile = util.promisify(fs.writeFile);
+const path = require('path');
+const { once } = require('events');
+const { getExcelWorkbook, getWorksheet } = require('../parser/reader');
+const { formatTextToIdentifier } = require('../parser/transformer');
+const { getCellValue } = require('../parser/formatter');
+const { formatDatePattern } = require('../utils/dateUtils');
+
+/** Políticas de aspas aceitas na escrita do CSV */
+const QUOTE_POLICIES = ['all', 'minimal', 'nonnumeric'];
 
 /**
  * Cria um arquivo CSV diretamente a partir de colunas e linhas fornecidas.
  *
+ * As linhas são gravadas no disco uma a uma, então `rows` também pode ser um iterável assíncrono
+ * ou um `Readable` em modo objeto, para arquivos grandes.
+ *
  * @param {string} outputFilePath - Caminho onde o arquivo CSV será salvo.
- * @param {Array} columns - Lista de colunas (strings) que definem o cabeçalho.
- * @param {Array<Object>} rows - Dados em formato de array de objetos.
+ * @param {Array} columns - Lista de colunas, com as mesmas definições de `Excel.create`: strings ou objetos
+ * `{ value, key }`. Sem `key`, a chave é gerada com `formatTextToIdentifier`.
+ * @param {Array<Object>|AsyncIterable<Object>} rows - Dados em formato de array de objetos. Células no formato
+ * `{ value, style }` têm o valor extraído.
+ * @param {Object} [options={}] - Opções do dialeto e da formatação:
+ *   - `delimiter`: Delimitador dos campos (padrão: ';').
+ *   - `lineEnding`: Quebra de linha (padrão: '\n').
+ *   - `bom`: Grava o BOM UTF-8 no início do arquivo (padrão: true).
+ *   - `quote`: Política de aspas: 'all' (padrão), 'minimal' (apenas quando necessário) ou 'nonnumeric'.
+ *   - `dateFormat`: Padrão das datas, ex: 'dd/MM/yyyy HH:mm' (padrão: 'dd/MM/yyyy', com horário quando houver).
+ *   - `decimalSeparator`: Separador decimal dos números (padrão: '.').
  */
-async function createExcelCsv(outputFilePath, columns, rows) {
+async function createExcelCsv(outputFilePath, columns, rows, options = {}) {
     try {
-        const csvContent = [
-            columns.map((col) => `"${col}"`).join(';'),
-            ...rows.map((row) => {
-                return columns
-                    .map((col) => {
-                        const value = row[col] || '';
-                        return `"${value.toString().replace(/"/g, '""')}"`;
-                    })
-                    .join(';');
-            }),
-        ].join('\n');
-
-        await writeFile(outputFilePath, '\uFEFF' + csvContent, 'utf8');
+        const preparedColumns = prepareCsvColumns(columns);
+
+        async function* records() {
+            yield preparedColumns.map((col) => col.header);
+            for await (const row of rows || []) {
+                yield preparedColumns.map((col) => getCsvRowValue(row, col));
+            }
+        }
+
+        await writeCsvRecords(outputFilePath, records(), options);
         console.log(`Arquivo CSV criado com sucesso: ${outputFilePath}`);
     } catch (error) {
         throw new Error(`Erro ao criar o arquivo CSV: ${error.message}`);
     }
 }
 
-module.exports = { createExcelCsv };
\ No newline at end of file
+/**
+ * Exporta abas de um arquivo Excel (.xlsx) para CSV.
+ *
+ * Fórmulas são exportadas pelo resultado e rich text/hiperlinks pelo texto. Colunas e linhas ocultas
+ * são ignoradas, como na leitura com `toJson`, a menos que `includeHidden` seja informado.
+ *
+ * @param {string} fileExcel - Caminho do arquivo Excel de entrada.
+ * @param {string} outputFilePath - Caminho do CSV de saída. Ao exportar todas as abas, pode conter `{sheet}`,
+ * substituído pelo nome da aba; caso contrário, o nome da aba é adicionado ao nome do arquivo.
+ * @param {Object} [options={}] - Opções da exportação, além das opções de dialeto de `createExcelCsv`:
+ *   - `sheet`: Nome (ou índice) da aba exportada (padrão: 1). Nomes com mais de 31 caracteres são truncados como no Excel.
+ *   - `allSheets`: Exporta cada aba visível para o seu próprio arquivo.
+ *   - `headerRow`: Linha do cabeçalho; as linhas anteriores são descartadas (padrão: 1).
+ *   - `includeHidden`: Inclui colunas, linhas e abas ocultas (padrão: false).
+ * @returns {Promise<string[]>} - Os caminhos dos arquivos CSV gravados.
+ * @throws {Error} - Lança um erro se o arquivo ou a aba não forem encontrados, ou se a gravação falhar.
+ */
+async function xlsxToCsv(fileExcel, outputFilePath, options = {}) {
+    const { sheet = 1, allSheets = false, headerRow = 1, includeHidden = false } = options;
+    if (typeof headerRow !== 'number' || headerRow < 1) {
+        throw new Error('Número da linha de cabeçalho inválido fornecido. Deve ser um número maior ou igual a 1.');
+    }
+
+    const workbook = await getExcelWorkbook(fileExcel);
+    const worksheets = allSheets
+        ? workbook.worksheets.filter((worksheet) => includeHidden || worksheet.state === 'visible')
+        : [getWorksheet(workbook, sheet)];
+
+    const files = [];
+    for (const worksheet of worksheets) {
+        const filePath = allSheets ? getSheetCsvPath(outputFilePath, worksheet.name) : outputFilePath;
+        try {
+            await writeCsvRecords(filePath, getWorksheetRecords(worksheet, headerRow, includeHidden), options);
+        } catch (error) {
+            throw new Error(`Erro ao criar o arquivo CSV: ${error.message}`);
+        }
+        console.log(`Arquivo CSV criado com sucesso: ${filePath}`);
+        files.push(filePath);
+    }
+
+    return files;
+}
+
+/**
+ * Percorre as linhas de uma aba a partir do cabeçalho, retornando os valores das colunas visíveis.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {number} headerRow - Linha do cabeçalho.
+ * @param {boolean} includeHidden - Se colunas e linhas ocultas devem ser incluídas.
+ * @returns {Generator<Array>} - Os valores de cada linha não vazia.
+ */
+function* getWorksheetRecords(worksheet, headerRow, includeHidden) {
+    const columnNumbers = [];
+    for (let colNumber = 1; colNumber <= worksheet.columnCount; colNumber++) {
+        if (includeHidden || !worksheet.getColumn(colNumber).hidden) {
+            columnNumbers.push(colNumber);
+        }
+    }
+
+    for (let rowNumber = headerRow; rowNumber <= worksheet.rowCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        if (!row.hasValues || (!includeHidden && row.hidden)) {
+            continue;
+        }
+        yield columnNumbers.map((colNumber) => row.getCell(colNumber).value);
+    }
+}
+
+/**
+ * Monta o caminho do CSV de uma aba, ao exportar todas as abas do arquivo.
+ *
+ * @param {string} outputFilePath - Caminho informado para a exportação.
+ * @param {string} sheetName - Nome da aba.
+ * @returns {string} - O caminho do CSV da aba.
+ */
+function getSheetCsvPath(outputFilePath, sheetName) {
+    const safeName = sheetName.replace(/[\\/:*?"<>|]/g, '_');
+    if (outputFilePath.includes('{sheet}')) {
+        return outputFilePath.replace(/\{sheet\}/g, safeName);
+    }
+
+    const { dir, name, ext } = path.parse(outputFilePath);
+    return path.join(dir, `${name}_${safeName}${ext || '.csv'}`);
+}
+
+/**
+ * Grava registros (arrays de valores) em um arquivo CSV, linha a linha, respeitando o backpressure do disco.
+ *
+ * @param {string} outputFilePath - Caminho onde o arquivo CSV será salvo.
+ * @param {Iterable<Array>|AsyncIterable<Array>} records - Os registros, começando pelo cabeçalho.
+ * @param {Object} [options={}] - Opções do dialeto e da formatação (ver `createExcelCsv`).
+ * @returns {Promise<void>} - Retorna uma Promise que é resolvida quando o arquivo é finalizado.
+ * @throws {Error} - Lança um erro se a política de aspas for inválida ou a gravação falhar.
+ */
+async function writeCsvRecords(outputFilePath, records, options = {}) {
+    const {
+        delimiter = ';',
+        lineEnding = '\n',
+        bom = true,
+        quote = 'all',
+        dateFormat = null,
+        decimalSeparator = '.',
+    } = options;
+
+    if (!QUOTE_POLICIES.includes(quote)) {
+        throw new Error(`Política de aspas inválida: ${quote}. Valores aceitos: ${QUOTE_POLICIES.join(', ')}.`);
+    }
+
+    const dialect = { delimiter, quote, dateFormat, decimalSeparator };
+    const stream = fs.createWriteStream(outputFilePath, { encoding: 'utf8' });
+
+    try {
+        let first = true;
+        for await (const record of records) {
+            const line = record.map((value) => formatCsvField(value, dialect)).join(delimiter);
+            const text = first ? (bom ? '\uFEFF' : '') + line : lineEnding + line;
+            first = false;
+
+            if (!stream.write(text)) {
+                await once(stream, 'drain');
+            }
+        }
+
+        stream.end();
+        await once(stream, 'finish');
+    } catch (error) {
+        stream.destroy();
+        throw error;
+    }
+}
+
+/**
+ * Normaliza as definições de colunas no formato `{ header, key }`.
+ *
+ * @param {Array} columns - Lista de colunas (strings ou objetos com `value` e `key` opcional).
+ * @returns {Array<Object>} - As colunas preparadas.
+ * @throws {Error} - Lança um erro se as colunas não forem um array ou alguma coluna for inválida.
+ */
+function prepareCsvColumns(columns) {
+    if (!Array.isArray(columns)) {
+        throw new Error('As colunas devem ser fornecidas como um array.');
+    }
+
+    return columns.map((column) => {
+        if (typeof column === 'string') {
+            return { header: column, key: formatTextToIdentifier(column) };
+        }
+        if (typeof column === 'object' && column !== null && column.value) {
+            return { header: column.value, key: column.key || formatTextToIdentifier(column.value) };
+        }
+        throw new Error('Cada coluna deve ser uma string ou um objeto com o campo "value".');
+    });
+}
+
+/**
+ * Retorna o valor de uma coluna em uma linha, extraindo o valor de células no formato `{ value, style }`.
+ * Por compatibilidade, se a chave da coluna não existir na linha, procura pelo texto do cabeçalho.
+ *
+ * @param {Object} row - Objeto com os dados da linha.
+ * @param {Object} column - Coluna preparada (`header`, `key`).
+ * @returns {any} - O valor da célula.
+ */
+function getCsvRowValue(row, column) {
+    let value = row[column.key] !== undefined ? row[column.key] : row[column.header];
+
+    if (value && typeof value === 'object' && !(value instanceof Date) && 'value' in value) {
+        value = value.value;
+    }
+    return value;
+}
+
+/**
+ * Formata um valor como campo de CSV, aplicando a política de aspas.
+ *
+ * @param {any} value - O valor a ser gravado.
+ * @param {Object} dialect - Opções de escrita (`delimiter`, `quote`, `dateFormat`, `decimalSeparator`).
+ * @returns {string} - O campo formatado.
+ */
+function formatCsvField(value, dialect) {
+    const isNumeric = typeof value === 'number';
+    const text = formatCsvValue(value, dialect);
+
+    const needsQuotes = dialect.quote === 'all'
+        || (dialect.quote === 'nonnumeric' && !isNumeric && text !== '')
+        || text.includes(dialect.delimiter)
+        || /["\r\n]/.test(text)
+        || /^\s|\s$/.test(text);
+
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converte um valor em texto para o CSV. Valores nulos viram texto vazio; `0` e `false` são mantidos.
+ *
+ * @param {any} value - O valor a ser convertido.
+ * @param {Object} dialect - Opções de escrita (`dateFormat`, `decimalSeparator`).
+ * @returns {string} - O texto do valor.
+ */
+function formatCsvValue(value, dialect) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            return '';
+        }
+        // As datas seguem o horário gravado pelo ExcelJS (UTC), como em `Excel.create`
+        const hasTime = value.getUTCHours() || value.getUTCMinutes() || value.getUTCSeconds();
+        return formatDatePattern(value, dialect.dateFormat || (hasTime ? 'dd/MM/yyyy HH:mm:ss' : 'dd/MM/yyyy'));
+    }
+
+    if (typeof value === 'number') {
+        return dialect.decimalSeparator === '.' ? String(value) : String(value).replace('.', dialect.decimalSeparator);
+    }
+
+    if (typeof value === 'object') {
+        // Fórmulas, hiperlinks e rich text lidos do ExcelJS
+        return formatCsvValue(getCellValue(value), dialect);
+    }
+
+    return value.toString();
+}
+
+module.exports = { createExcelCsv, xlsxToCsv };
@@ -0,0 +1,369 @@
+const { formatTextToIdentifier } = require('../parser/transformer');
+const { CELL_REFERENCE_PATTERN } = require('./references');
+
+/** Funções aceitas na linha de totais, com a fórmula correspondente do Excel */
+const TOTAL_FUNCTIONS = {
+  sum: 'SUM',
+  avg: 'AVERAGE',
+  count: 'COUNTA',
+  min: 'MIN',
+  max: 'MAX',
+};
+
+/** Referências aceitas nos modelos de fórmula: `[@coluna]`, `{coluna}` e `{row}` */
+const TEMPLATE_REFERENCE_PATTERN = /\[@([^\]]+)\]|\{([^}]+)\}/g;
+
+/**
+ * Monta a fórmula de uma célula a partir do modelo da coluna, trocando as referências relativas pelos endereços da linha.
+ *
+ *   - `[@quantidade]`: Célula da coluna `quantidade` na mesma linha, ex: `B5`.
+ *   - `{quantidade}`: Letra da coluna `quantidade`, ex: `B`.
+ *   - `{row}`: Número da linha, ex: `5`.
+ *
+ * As colunas podem ser referenciadas pela chave (`key`) ou pelo cabeçalho.
+ *
+ * @param {string} template - O modelo da fórmula, ex: '=[@quantidade]*[@preco]' ou '={qtd}{row}*{preco}{row}'.
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @param {number} rowNumber - Número da linha da célula.
+ * @param {string} header - O cabeçalho da coluna da fórmula, usado nas mensagens de erro.
+ * @returns {string} - A fórmula, sem o `=` inicial.
+ *
+ * @throws {Error} Caso alguma coluna referenciada não exista.
+ */
+function buildRowFormula(template, preparedColumns, rowNumber, header) {
+  return String(template)
+    .replace(/^=/, '')
+    .replace(TEMPLATE_REFERENCE_PATTERN, (match, cellReference, columnReference) => {
+      if (columnReference === 'row') {
+        return String(rowNumber);
+      }
+      const letter = getColumnLetter(findColumnIndex(preparedColumns, cellReference || columnReference, header) + 1);
+      return cellReference ? `${letter}${rowNumber}` : letter;
+    });
+}
+
+/**
+ * Procura a posição de uma coluna pela chave ou pelo cabeçalho.
+ *
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @param {string} name - A chave ou o cabeçalho da coluna.
+ * @param {string} header - O cabeçalho da coluna da fórmula, usado nas mensagens de erro.
+ * @returns {number} - A posição da coluna (a partir de 0).
+ *
+ * @throws {Error} Caso a coluna não exista.
+ */
+function findColumnIndex(preparedColumns, name, header) {
+  const key = formatTextToIdentifier(name.trim());
+  const index = preparedColumns.findIndex((column) => column.key === name.trim() || column.key === key);
+  if (index === -1) {
+    throw new Error(`Coluna "${name}" usada na fórmula da coluna "${header}" não encontrada.`);
+  }
+  return index;
+}
+
+/**
+ * Calcula os resultados das fórmulas de uma linha (ver `evaluateRowFormula`), de forma que cada fórmula seja calculada
+ * depois das fórmulas da mesma linha que ela usa, em qualquer ordem de colunas. Uma fórmula que usa outra sem resultado
+ * (como uma divisão por zero, uma função ou uma referência circular) também fica sem resultado.
+ *
+ * @param {Array<Object>} formulas - As fórmulas da linha: `{ index, formula }`, com a posição da coluna (a partir de 0)
+ * e a fórmula, sem o `=` inicial.
+ * @param {number} rowNumber - Número da linha.
+ * @param {Array} values - Valores da linha, por posição da coluna; os resultados calculados são gravados nele.
+ * @returns {Map<number, number|undefined>} - O resultado de cada fórmula, pela posição da coluna.
+ */
+function evaluateRowFormulas(formulas, rowNumber, values) {
+  const formulasByIndex = new Map(formulas.map(({ index, formula }) => [index, formula]));
+  const unresolved = new Set(formulasByIndex.keys());
+  const visiting = new Set();
+  const results = new Map();
+
+  const evaluate = (index) => {
+    if (results.has(index) || visiting.has(index)) {
+      return;
+    }
+    visiting.add(index);
+    const formula = formulasByIndex.get(index);
+    getRowReferences(formula, rowNumber)
+      .filter((reference) => formulasByIndex.has(reference))
+      .forEach(evaluate);
+
+    const result = evaluateRowFormula(formula, rowNumber, values, unresolved);
+    results.set(index, result);
+    values[index] = result;
+    if (result !== undefined) {
+      unresolved.delete(index);
+    }
+    visiting.delete(index);
+  };
+
+  formulasByIndex.forEach((formula, index) => evaluate(index));
+  return results;
+}
+
+/**
+ * Retorna as colunas das referências de uma fórmula a células da própria linha.
+ *
+ * @param {string} formula - A fórmula, sem o `=` inicial.
+ * @param {number} rowNumber - Número da linha.
+ * @returns {Array<number>} - As posições das colunas (a partir de 0).
+ */
+function getRowReferences(formula, rowNumber) {
+  return [...formula.matchAll(CELL_REFERENCE_PATTERN)]
+    .filter(([, prefix, , , , row, , , , endRow]) => !prefix && !endRow && Number(row) === rowNumber)
+    .map(([, , , letter]) => getColumnNumber(letter) - 1);
+}
+
+/**
+ * Calcula o resultado de uma fórmula aritmética simples (`+ - * / ^` e parênteses), usando os valores da própria linha.
+ * O resultado é salvo junto com a fórmula para que leitores que não recalculam a planilha (como `toJson`) vejam o valor.
+ *
+ * @param {string} formula - A fórmula, sem o `=` inicial.
+ * @param {number} rowNumber - Número da linha da célula.
+ * @param {Array} values - Valores já gravados na linha, por posição da coluna.
+ * @param {Set<number>} [unresolved] - Posições das colunas de fórmula ainda sem resultado; as fórmulas que as usam não
+ * são calculadas, em vez de lê-las como vazias.
+ * @returns {number|undefined} - O resultado, ou undefined se a fórmula não puder ser calculada (funções, outras linhas,
+ * textos, fórmulas sem resultado ou divisão por zero).
+ */
+function evaluateRowFormula(formula, rowNumber, values, unresolved = new Set()) {
+  let evaluable = true;
+  const expression = formula.replace(CELL_REFERENCE_PATTERN, (match, prefix, colAbs, letter, rowAbs, row, ...end) => {
+    const index = getColumnNumber(letter) - 1;
+    const value = values[index];
+    // Referências a outras abas, intervalos e fórmulas sem resultado não são calculados
+    if (prefix || end[3] || Number(row) !== rowNumber || unresolved.has(index)) {
+      evaluable = false;
+      return '0';
+    }
+    if (value === null || value === undefined || value === '') {
+      return '0';
+    }
+    if (typeof value !== 'number') {
+      evaluable = false;
+      return '0';
+    }
+    return `(${value})`;
+  });
+
+  if (!evaluable) {
+    return undefined;
+  }
+  return evaluateArithmetic(expression);
+}
+
+/**
+ * Avalia uma expressão aritmética com números, `+ - * / ^` e parênteses, sem usar `eval`.
+ *
+ * @param {string} expression - A expressão.
+ * @returns {number|undefined} - O resultado, ou undefined se a expressão for inválida ou o resultado não for finito.
+ */
+function evaluateArithmetic(expression) {
+  const tokens = expression.replace(/\s+/g, '').match(/\d+(?:\.\d+)?(?:E[+-]?\d+)?|[-+*/^()]|./gi) || [];
+  let position = 0;
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (tokens[position] === '+' || tokens[position] === '-') {
+      const operator = tokens[position++];
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parsePower();
+    while (tokens[position] === '*' || tokens[position] === '/') {
+      const operator = tokens[position++];
+      const right = parsePower();
+      value = operator === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  const parsePower = () => {
+    const base = parseUnary();
+    if (tokens[position] === '^') {
+      position++;
+      return Math.pow(base, parsePower());
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (tokens[position] === '-' || tokens[position] === '+') {
+      const operator = tokens[position++];
+      const value = parseUnary();
+      return operator === '-' ? -value : value;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const value = parseExpression();
+      if (tokens[position++] !== ')') {
+        throw new Error('Parêntese não fechado.');
+      }
+      return value;
+    }
+    if (token !== undefined && /^\d/.test(token)) {
+      return Number(token);
+    }
+    throw new Error(`Elemento inesperado na fórmula: ${token}`);
+  };
+
+  try {
+    const result = parseExpression();
+    return position === tokens.length && Number.isFinite(result) ? result : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Cria o acumulador dos valores das colunas com `total`, usado para salvar os resultados da linha de totais.
+ * Os valores são acumulados linha a linha, para funcionar também na gravação em streaming.
+ *
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @returns {Object|null} - O acumulador (`add(values)`, `rows`, `columns`), ou null se nenhuma coluna tiver `total`.
+ */
+function createTotalsAccumulator(preparedColumns) {
+  if (!preparedColumns.some((column) => column.total)) {
+    return null;
+  }
+
+  const columns = preparedColumns.map(() => ({ sum: 0, numbers: 0, filled: 0, min: null, max: null, unknown: false }));
+
+  return {
+    rows: 0,
+    columns,
+    add(values) {
+      this.rows++;
+      values.forEach((value, index) => {
+        const totals = columns[index];
+        // Fórmulas sem resultado calculado deixam o total da coluna sem resultado salvo
+        if (value === undefined) {
+          totals.unknown = true;
+          return;
+        }
+        if (value === null || value === undefined || value === '') {
+          return;
+        }
+        totals.filled++;
+        if (typeof value === 'number') {
+          totals.sum += value;
+          totals.numbers++;
+          totals.min = totals.min === null ? value : Math.min(totals.min, value);
+          totals.max = totals.max === null ? value : Math.max(totals.max, value);
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Preenche a linha de totais abaixo dos dados, com fórmulas reais e os resultados já calculados.
+ *
+ * O `total` de cada coluna pode ser `sum`, `avg`, `count`, `min` ou `max`. Qualquer outro texto é gravado como
+ * rótulo (ex: 'Total'). A linha é gravada em negrito e com o formato numérico da coluna (exceto na contagem).
+ *
+ * @param {Object} row - Linha do ExcelJS logo abaixo da última linha de dados.
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @param {Object} accumulator - O acumulador criado por `createTotalsAccumulator`.
+ * @param {number} firstRow - Primeira linha de dados.
+ */
+function fillTotalsRow(row, preparedColumns, accumulator, firstRow) {
+  const lastRow = row.number - 1;
+
+  preparedColumns.forEach((column, index) => {
+    if (!column.total) {
+      return;
+    }
+
+    const cell = row.getCell(index + 1);
+    const functionName = TOTAL_FUNCTIONS[column.total];
+    if (functionName) {
+      const letter = getColumnLetter(index + 1);
+      const result = getTotalResult(column.total, accumulator.columns[index]);
+      cell.value = {
+        formula: `${functionName}(${letter}${firstRow}:${letter}${lastRow})`,
+        ...(result === undefined ? {} : { result }),
+      };
+      if (column.numberFormat && column.total !== 'count') {
+        cell.numFmt = column.numberFormat.numFmt;
+      }
+    } else {
+      cell.value = column.total;
+    }
+    cell.font = { ...cell.font, bold: true };
+  });
+}
+
+/**
+ * Calcula o resultado de uma função da linha de totais a partir dos valores acumulados.
+ *
+ * @param {string} total - A função (`sum`, `avg`, `count`, `min` ou `max`).
+ * @param {Object} totals - Os valores acumulados da coluna.
+ * @returns {number|undefined} - O resultado, ou undefined quando o Excel retornaria erro (média sem números) ou quando
+ * a coluna possui fórmulas sem resultado calculado.
+ */
+function getTotalResult(total, totals) {
+  if (totals.unknown) {
+    return undefined;
+  }
+  switch (total) {
+    case 'sum':
+      return totals.sum;
+    case 'avg':
+      return totals.numbers ? totals.sum / totals.numbers : undefined;
+    case 'count':
+      return totals.filled;
+    case 'min':
+      return totals.min ?? 0;
+    case 'max':
+      return totals.max ?? 0;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Converte o número de uma coluna na letra correspondente (1 = A, 27 = AA).
+ *
+ * @param {number} columnNumber - O número da coluna.
+ * @returns {string} - A letra da coluna.
+ */
+function getColumnLetter(columnNumber) {
+  let letter = '';
+  let number = columnNumber;
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    number = Math.floor((number - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Converte a letra de uma coluna no número correspondente (A = 1, AA = 27).
+ *
+ * @param {string} letter - A letra da coluna.
+ * @returns {number} - O número da coluna.
+ */
+function getColumnNumber(letter) {
+  return letter.split('').reduce((number, char) => number * 26 + char.charCodeAt(0) - 64, 0);
+}
+
+module.exports = {
+  buildRowFormula,
+  evaluateRowFormula,
+  evaluateRowFormulas,
+  createTotalsAccumulator,
+  fillTotalsRow,
+  getTotalResult,
+  getColumnLetter,
+  getColumnNumber,
+};
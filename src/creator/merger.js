@@ -0,0 +1,397 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { getExcelWorkbook, getWorksheet } = require('../parser/reader');
+const { getExcelData, setObjectReplacements } = require('../parser/extractor');
+const { getCellValue } = require('../parser/formatter');
+const { formatTextToIdentifier, formatSheetName } = require('../parser/transformer');
+const { findTotalsRow } = require('../parser/modifier');
+const { writeExcelXlsx, saveXlsxFile } = require('./creator');
+const { getNumberFormat } = require('./numberFormats');
+const { protectWorkbook } = require('./protection');
+const { replaceOutsideStrings } = require('./references');
+
+/** Modos de consolidação aceitos por `mergeWorkbooks` */
+const MERGE_MODES = ['append', 'sheets'];
+
+/** Texto padrão do cabeçalho da coluna com o arquivo de origem */
+const DEFAULT_SOURCE_COLUMN = 'Arquivo';
+
+/** Tamanho máximo de uma lista de validação escrita diretamente na fórmula */
+const MAX_INLINE_LIST_LENGTH = 255;
+
+/** Referência a um intervalo de outra aba, ex: HiddenSelect!$A$1:$A$5 ou 'Listas 2024'!B2:B9 */
+const SHEET_RANGE_PATTERN = /^(?:'((?:[^']|'')+)'|([^'!]+))!\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/;
+
+/**
+ * Consolida vários arquivos Excel com o mesmo layout em um único arquivo.
+ *
+ * @param {Array<string|Object>} inputs - Os arquivos de entrada: caminhos ou objetos `{ file, sheet, name }`, onde `sheet`
+ * é a aba lida do arquivo (padrão: `options.sheet`) e `name` é o nome usado na coluna de origem ou na aba copiada.
+ * @param {string} output - O caminho do arquivo consolidado.
+ * @param {Object} [options={}] - Opções da consolidação:
+ *   - `mode`: 'append' empilha as linhas sob um cabeçalho unificado (padrão); 'sheets' copia cada entrada para uma aba.
+ *   - `sheet`: Nome ou índice da aba lida de cada arquivo (padrão: 1).
+ *   - `headerIndex`: Linha do cabeçalho, no modo 'append' (padrão: 1).
+ *   - `sourceColumn`: No modo 'append', acrescenta uma primeira coluna com o nome do arquivo de origem:
+ *     true (cabeçalho "Arquivo") ou o texto do cabeçalho.
+ *   - `sheetName`: Nome da aba consolidada, no modo 'append' (padrão: 'Consolidado').
+ *   - `config`: Configurações de estilo da aba consolidada, como em `createExcelXlsx`.
+ * @param {Object} [protection={}] - Proteção do arquivo consolidado (ver `createExcelXlsx`). No modo 'sheets', as abas
+ * mantêm a proteção dos arquivos de origem e apenas a proteção da estrutura (`workbook`) é aplicada.
+ * @returns {Promise<Object>} - `{ output, columns, rows }` no modo 'append' (as chaves das colunas e a quantidade de
+ * linhas) ou `{ output, sheets }` no modo 'sheets' (os nomes das abas criadas).
+ * @throws {Error} - Lança um erro se os arquivos ou o modo forem inválidos, ou se o arquivo consolidado não puder ser
+ * gravado.
+ */
+async function mergeWorkbooks(inputs, output, options = {}, protection = {}) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('Informe ao menos um arquivo Excel para consolidar.');
+  }
+  const mode = options.mode ?? 'append';
+  if (!MERGE_MODES.includes(mode)) {
+    throw new Error(`Modo de consolidação inválido: ${mode}. Valores aceitos: ${MERGE_MODES.join(', ')}.`);
+  }
+
+  const sources = inputs.map((input) => {
+    const source = typeof input === 'string' ? { file: input } : { ...input };
+    if (!source.file || typeof source.file !== 'string') {
+      throw new Error(`Arquivo de entrada inválido: ${JSON.stringify(input)}.`);
+    }
+    return { ...source, sheet: source.sheet ?? options.sheet ?? 1 };
+  });
+
+  if (mode === 'sheets') {
+    return copyWorkbooksAsSheets(sources, output, protection);
+  }
+  return appendWorkbooks(sources, output, options, protection);
+}
+
+/**
+ * Empilha as linhas das entradas em uma única aba. As colunas são unificadas pelo identificador do cabeçalho
+ * (ver `formatTextToIdentifier`), de forma que "Código", "codigo" e "CODIGO " ocupam a mesma coluna, com o texto
+ * da primeira ocorrência e o formato numérico do primeiro número ou data. Os valores mantêm o tipo original (números,
+ * datas...) e as fórmulas são gravadas com o último resultado calculado. A linha de totais de cada entrada (como a
+ * gravada por `create` com `total` ou `table`) não é copiada.
+ *
+ * @param {Array<Object>} sources - As entradas `{ file, sheet, name }`.
+ * @param {string} output - O caminho do arquivo consolidado.
+ * @param {Object} options - As opções de `mergeWorkbooks`.
+ * @param {Object} protection - A proteção do arquivo consolidado.
+ * @returns {Promise<Object>} - `{ output, columns, rows }`.
+ */
+async function appendWorkbooks(sources, output, options, protection) {
+  const { headerIndex = 1, sourceColumn = false, sheetName = 'Consolidado', config = {} } = options;
+
+  const columns = new Map();
+  let sourceKey = null;
+  if (sourceColumn) {
+    const sourceHeader = sourceColumn === true ? DEFAULT_SOURCE_COLUMN : String(sourceColumn);
+    sourceKey = formatTextToIdentifier(sourceHeader);
+    columns.set(sourceKey, { value: sourceHeader, key: sourceKey });
+  }
+
+  const rows = [];
+  for (const source of sources) {
+    const fileName = path.basename(source.file);
+    const { worksheet, headerRow, initRow } = await getExcelData(source.file, [], source.sheet, headerIndex);
+    const totalsRow = findTotalsRow(worksheet, initRow);
+
+    for (let rowNumber = initRow; rowNumber <= worksheet.rowCount; rowNumber++) {
+      if (rowNumber === totalsRow) {
+        continue;
+      }
+      const { replacements, cells } = setObjectReplacements(worksheet.getRow(rowNumber), headerRow, worksheet);
+      const row = {};
+      Object.keys(replacements).forEach((key) => {
+        const value = getCellValue(replacements[key]);
+        if (value === null || value === '') {
+          return;
+        }
+        if (key === sourceKey) {
+          throw new Error(`A coluna de origem "${sourceKey}" já existe na planilha "${fileName}".`);
+        }
+        if (!columns.has(key)) {
+          columns.set(key, { value: headerRow.getCell(cells[key].col).text.trim(), key });
+        }
+        const column = columns.get(key);
+        if (!column.format && (typeof value === 'number' || value instanceof Date)) {
+          column.format = getSourceFormat(cells[key].numFmt, value);
+        }
+        row[key] = value;
+      });
+
+      if (Object.keys(row).length > 0) {
+        if (sourceKey) {
+          row[sourceKey] = source.name ?? fileName;
+        }
+        rows.push(row);
+      }
+    }
+  }
+
+  await writeExcelXlsx(formatSheetName(sheetName), [...columns.values()], rows, output, config, protection);
+  return { output, columns: [...columns.keys()], rows: rows.length };
+}
+
+/**
+ * Retorna o formato da coluna consolidada a partir do formato numérico de uma célula de número ou data. Formatos de
+ * texto (como '@') não são usados, para que os números não voltem a ser gravados como texto.
+ *
+ * @param {string} numFmt - O formato numérico da célula.
+ * @param {number|Date} value - O valor da célula.
+ * @returns {string|undefined} - O formato, ou undefined quando a célula usa o formato geral.
+ */
+function getSourceFormat(numFmt, value) {
+  if (numFmt && numFmt !== 'General' && getNumberFormat(numFmt).type !== 'text') {
+    return numFmt;
+  }
+  return value instanceof Date ? 'datetime' : undefined;
+}
+
+/**
+ * Copia a aba de cada entrada para uma aba do arquivo consolidado, mantendo estilos, larguras, mesclagens, validações,
+ * formatação condicional, imagens e a proteção da aba. O nome da aba é o `name` da entrada ou o nome do arquivo,
+ * ajustado ao limite de 31 caracteres do Excel e sem repetir (ver `formatSheetName`).
+ *
+ * Como as outras abas dos arquivos de origem não são copiadas, as fórmulas que as referenciam são gravadas com o último
+ * resultado calculado, e as listas de seleção que as usam (como as da aba `HiddenSelect`) são escritas diretamente
+ * na validação, quando cabem no limite de 255 caracteres do Excel; as demais são removidas.
+ *
+ * @param {Array<Object>} sources - As entradas `{ file, sheet, name }`.
+ * @param {string} output - O caminho do arquivo consolidado.
+ * @param {Object} protection - A proteção do arquivo consolidado (apenas `workbook` é usada).
+ * @returns {Promise<Object>} - `{ output, sheets }`.
+ */
+async function copyWorkbooksAsSheets(sources, output, protection) {
+  const workbook = new ExcelJS.Workbook();
+  const sheets = [];
+
+  for (const source of sources) {
+    const sourceWorkbook = await getExcelWorkbook(source.file);
+    const sourceWorksheet = getWorksheet(sourceWorkbook, source.sheet);
+    const sheetName = formatSheetName(source.name ?? path.parse(source.file).name, sheets);
+    copyWorksheet(sourceWorksheet, workbook, sheetName);
+    sheets.push(sheetName);
+  }
+
+  protectWorkbook(workbook, protection);
+  await saveXlsxFile(workbook, output);
+  return { output, sheets };
+}
+
+/**
+ * Copia uma aba para outro workbook.
+ *
+ * @param {Object} sourceWorksheet - A aba de origem do ExcelJS.
+ * @param {Object} workbook - O workbook de destino.
+ * @param {string} sheetName - O nome da nova aba.
+ * @returns {Object} - A nova aba.
+ */
+function copyWorksheet(sourceWorksheet, workbook, sheetName) {
+  const worksheet = workbook.addWorksheet(sheetName);
+  const model = sourceWorksheet.model;
+
+  const tableNames = workbook.worksheets.flatMap((sheet) => Object.keys(sheet.tables));
+  const renamedTables = new Map();
+  worksheet.model = {
+    ...model,
+    id: worksheet.id,
+    name: sheetName,
+    state: 'visible',
+    mergeCells: model.merges,
+    media: [],
+    dataValidations: getCopiedValidations(sourceWorksheet),
+    tables: model.tables.map((table) => {
+      const tableName = getUniqueTableName(table.name, tableNames);
+      if (tableName !== table.name) {
+        renamedTables.set(table.name, tableName);
+      }
+      return { ...table, name: tableName, displayName: tableName };
+    }),
+  };
+
+  sourceWorksheet.getImages().forEach((image) => {
+    const media = sourceWorksheet.workbook.getImage(Number(image.imageId));
+    if (media) {
+      const imageId = workbook.addImage({ buffer: media.buffer, base64: media.base64, extension: media.extension });
+      worksheet.addImage(imageId, image.range);
+    }
+  });
+
+  freezeExternalFormulas(worksheet, sourceWorksheet);
+  renameTableReferences(worksheet, renamedTables);
+  return worksheet;
+}
+
+/**
+ * Retorna as validações de uma aba prontas para a cópia: as listas que dependem de outras abas são escritas
+ * diretamente na fórmula (`"A,B,C"`), quando cabem no limite do Excel, e as demais validações com outras abas são removidas.
+ *
+ * @param {Object} worksheet - A aba de origem do ExcelJS.
+ * @returns {Object} - O modelo das validações, por endereço.
+ */
+function getCopiedValidations(worksheet) {
+  const validations = {};
+  const inlineLists = new Map();
+
+  Object.entries(worksheet.dataValidations.model).forEach(([address, validation]) => {
+    const formulae = (validation.formulae || []).map((formula) => String(formula).replace(/^=/, ''));
+    if (!formulae.some((formula) => referencesOtherSheet(formula, worksheet))) {
+      validations[address] = validation;
+      return;
+    }
+    if (validation.type !== 'list') {
+      return;
+    }
+    if (!inlineLists.has(formulae[0])) {
+      inlineLists.set(formulae[0], getInlineList(worksheet.workbook, formulae[0]));
+    }
+    const inlineList = inlineLists.get(formulae[0]);
+    if (inlineList) {
+      validations[address] = { ...validation, formulae: [inlineList] };
+    }
+  });
+
+  return validations;
+}
+
+/**
+ * Escreve os valores de uma lista de validação de outra aba (ou de um nome definido) como uma lista fixa.
+ *
+ * @param {Object} workbook - O workbook de origem.
+ * @param {string} formula - A fórmula da lista, ex: `HiddenSelect!$A$1:$A$5` ou `Estados`.
+ * @returns {string|null} - A lista `"A,B,C"`, ou null se a fórmula não for um intervalo, se algum valor tiver vírgula
+ * ou se a lista passar de 255 caracteres.
+ */
+function getInlineList(workbook, formula) {
+  let reference = formula;
+  if (!reference.includes('!')) {
+    const ranges = workbook.definedNames.getRanges(reference).ranges;
+    if (!ranges || ranges.length !== 1) {
+      return null;
+    }
+    reference = ranges[0];
+  }
+
+  const match = reference.match(SHEET_RANGE_PATTERN);
+  const worksheet = match ? workbook.getWorksheet((match[1] || '').replace(/''/g, "'") || match[2]) : null;
+  if (!worksheet) {
+    return null;
+  }
+  const [, , , startColumn, startRow, endColumn = startColumn, endRow = startRow] = match;
+  const firstColumn = worksheet.getColumn(startColumn).number;
+  const lastColumn = worksheet.getColumn(endColumn).number;
+
+  const values = [];
+  for (let rowNumber = Number(startRow); rowNumber <= Number(endRow); rowNumber++) {
+    for (let colNumber = firstColumn; colNumber <= lastColumn; colNumber++) {
+      const value = getCellValue(worksheet.getRow(rowNumber).getCell(colNumber).value);
+      if (value !== null && value !== '') {
+        values.push(value instanceof Date ? value.toISOString() : String(value));
+      }
+    }
+  }
+
+  const list = values.join(',');
+  if (values.length === 0 || values.some((value) => value.includes(',')) || list.length > MAX_INLINE_LIST_LENGTH) {
+    return null;
+  }
+  return `"${list}"`;
+}
+
+/**
+ * Indica se uma fórmula referencia outra aba ou um nome definido do workbook, que não existem no arquivo consolidado.
+ *
+ * @param {string} formula - A fórmula, sem o `=`.
+ * @param {Object} worksheet - A aba de origem do ExcelJS.
+ * @returns {boolean}
+ */
+function referencesOtherSheet(formula, worksheet) {
+  const expression = formula.replace(/"(?:[^"]|"")*"/g, '');
+  if (expression.includes('!')) {
+    return true;
+  }
+  return worksheet.workbook.definedNames.model.some(({ name }) =>
+    new RegExp(`(?<![\\w.])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w(])`, 'i').test(expression)
+  );
+}
+
+/**
+ * Substitui pelo último resultado calculado as fórmulas da aba que referenciam outras abas ou nomes definidos.
+ * As fórmulas compartilhadas são lidas antes das substituições, pois dependem da fórmula da célula principal.
+ *
+ * @param {Object} worksheet - A aba copiada.
+ * @param {Object} sourceWorksheet - A aba de origem, cujo workbook tem os nomes definidos.
+ */
+function freezeExternalFormulas(worksheet, sourceWorksheet) {
+  const frozen = [];
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      if (cell.type === ExcelJS.ValueType.Formula && cell.formula && referencesOtherSheet(cell.formula, sourceWorksheet)) {
+        frozen.push([cell, getCellValue(cell.value)]);
+      }
+    });
+  });
+  frozen.forEach(([cell, value]) => {
+    cell.value = value;
+  });
+}
+
+/**
+ * Troca, nas fórmulas da aba, as referências estruturadas às tabelas renomeadas na cópia
+ * (ex: `Tabela_dados[Qtd]` => `Tabela_dados2[Qtd]`).
+ * As fórmulas compartilhadas são lidas antes das substituições, pois dependem da fórmula da célula principal.
+ *
+ * @param {Object} worksheet - A aba copiada.
+ * @param {Map<string, string>} renamedTables - O novo nome de cada tabela renomeada, pelo nome original.
+ */
+function renameTableReferences(worksheet, renamedTables) {
+  if (renamedTables.size === 0) {
+    return;
+  }
+  const patterns = [...renamedTables].map(([name, newName]) => [
+    new RegExp(`(?<![\\w.])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=\\[)`, 'gi'),
+    newName,
+  ]);
+  const renameTables = (part) => patterns.reduce((text, [pattern, newName]) => text.replace(pattern, newName), part);
+
+  const renamed = [];
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      if (cell.type !== ExcelJS.ValueType.Formula || !cell.formula) {
+        return;
+      }
+      const formula = replaceOutsideStrings(cell.formula, renameTables);
+      if (formula !== cell.formula) {
+        renamed.push([cell, formula, cell.result]);
+      }
+    });
+  });
+  renamed.forEach(([cell, formula, result]) => {
+    cell.value = result === undefined ? { formula } : { formula, result };
+  });
+}
+
+/**
+ * Retorna um nome de tabela ainda não usado no workbook, acrescentando um número quando necessário.
+ *
+ * @param {string} name - O nome original da tabela.
+ * @param {Array<string>} usedNames - Os nomes já usados; o nome retornado é acrescentado à lista.
+ * @returns {string} - O nome da tabela.
+ */
+function getUniqueTableName(name, usedNames) {
+  const used = new Set(usedNames.map((usedName) => usedName.toLowerCase()));
+  let tableName = name;
+  let counter = 1;
+  while (used.has(tableName.toLowerCase())) {
+    counter++;
+    tableName = `${name}${counter}`;
+  }
+  usedNames.push(tableName);
+  return tableName;
+}
+
+module.exports = {
+  mergeWorkbooks,
+};
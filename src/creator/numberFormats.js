@@ -0,0 +1,217 @@
+const { parseNumber, parseDate } = require('../parser/schema');
+
+/** Símbolos das moedas aceitas em `currency:<código>`. Outros códigos são exibidos pelo próprio código */
+const CURRENCY_SYMBOLS = {
+  BRL: 'R$',
+  USD: 'US$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+};
+
+/** Moedas exibidas sem casas decimais */
+const CURRENCIES_WITHOUT_DECIMALS = ['JPY'];
+
+/** Números com um único separador seguido de três dígitos (ex: 1.500, 2,750), que podem ser milhar ou decimal */
+const AMBIGUOUS_NUMBER_PATTERN = /^[-+]?\d{1,3}[.,]\d{3}$/;
+
+/**
+ * Converte o `format` de uma coluna ou célula no formato numérico do Excel (`numFmt`) e no tipo de valor esperado.
+ *
+ * Formatos aceitos:
+ *   - `currency` ou `currency:BRL` (USD, EUR, GBP, JPY...): Moeda com separador de milhar e 2 casas decimais.
+ *   - `percent` ou `percent:1`: Percentual (o valor 0.15 é exibido como 15,00%), com as casas decimais informadas (padrão: 2).
+ *   - `integer`: Número inteiro com separador de milhar.
+ *   - `decimal` ou `decimal:3`: Número com separador de milhar e as casas decimais informadas (padrão: 2).
+ *   - `date` ou `date:dd/mm/yyyy`, `datetime` ou `datetime:dd/mm/yyyy hh:mm`, `time`: Datas e horários.
+ *   - `text`: Texto, mesmo quando o valor parece um número (ex: CEP, códigos com zeros à esquerda).
+ *   - Qualquer outro texto é usado como `numFmt` personalizado, ex: '0.000', '#,##0.00 "kg"'.
+ *
+ * @param {string} format - O formato.
+ * @returns {{ numFmt: string, type: string }} - O `numFmt` e o tipo do valor: 'number', 'date' ou 'text'.
+ *
+ * @throws {Error} Caso o formato não seja um texto.
+ */
+function getNumberFormat(format) {
+  if (typeof format !== 'string' || !format.trim()) {
+    throw new Error(`Formato inválido: ${format}. Informe um texto, ex: 'currency:BRL', 'percent' ou 'date:dd/mm/yyyy'.`);
+  }
+
+  const separator = format.indexOf(':');
+  const name = (separator === -1 ? format : format.slice(0, separator)).trim().toLowerCase();
+  const argument = separator === -1 ? '' : format.slice(separator + 1).trim();
+
+  switch (name) {
+    case 'currency': {
+      const code = (argument || 'BRL').toUpperCase();
+      const symbol = CURRENCY_SYMBOLS[code] || code;
+      const decimals = CURRENCIES_WITHOUT_DECIMALS.includes(code) ? 0 : 2;
+      return { numFmt: `"${symbol}" ${getNumberPattern(decimals)}`, type: 'number' };
+    }
+    case 'percent':
+      return { numFmt: `${getDecimalsPattern('0', getDecimals(argument, 2))}%`, type: 'number' };
+    case 'integer':
+      return { numFmt: '#,##0', type: 'number' };
+    case 'decimal':
+      return { numFmt: getNumberPattern(getDecimals(argument, 2)), type: 'number' };
+    case 'date':
+      return { numFmt: argument || 'dd/mm/yyyy', type: 'date' };
+    case 'datetime':
+      return { numFmt: argument || 'dd/mm/yyyy hh:mm', type: 'date' };
+    case 'time':
+      return { numFmt: argument || 'hh:mm', type: 'date' };
+    case 'text':
+      return { numFmt: '@', type: 'text' };
+    default:
+      return { numFmt: format, type: isTextNumFmt(format) ? 'text' : isDateNumFmt(format) ? 'date' : 'number' };
+  }
+}
+
+/**
+ * Converte o valor de uma célula para o tipo esperado pelo formato, para que o Excel o trate como número ou data.
+ * Textos numéricos (inclusive `1.234,56`) viram números, percentuais (`12%`, `7,5%`) viram a fração (0.12, 0.075)
+ * e textos de data (ISO 8601 ou `31/12/2024`) viram `Date`. Valores que não puderem ser convertidos, como `2.50` com
+ * o separador decimal ',' (ver `parseNumber`), são mantidos sem alteração.
+ *
+ * Textos ambíguos, com um único separador seguido de três dígitos (`1.500` é mil e quinhentos no Brasil e um e meio
+ * em inglês), só são convertidos quando o separador decimal é informado; sem ele, são mantidos como texto.
+ *
+ * @param {*} value - O valor da célula.
+ * @param {string} type - O tipo retornado por `getNumberFormat`.
+ * @param {string} [decimalSeparator] - O separador decimal dos textos numéricos (',' ou '.').
+ * @returns {*} - O valor convertido.
+ */
+function coerceFormattedValue(value, type, decimalSeparator) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+
+  switch (type) {
+    case 'number': {
+      if (typeof value !== 'string') {
+        return value;
+      }
+      const text = value.trim();
+      const percent = text.endsWith('%');
+      const numberText = percent ? text.slice(0, -1).trim() : text;
+      if (!decimalSeparator && AMBIGUOUS_NUMBER_PATTERN.test(numberText)) {
+        return value;
+      }
+      const number = parseNumber(numberText, decimalSeparator);
+      if (number === null) {
+        return value;
+      }
+      return percent ? Number(`${number}e-2`) : number;
+    }
+    case 'date':
+      return typeof value === 'string' ? parseDate(value) ?? value : value;
+    case 'text':
+      return value instanceof Date ? value : String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Estima a quantidade de caracteres exibidos por um valor com o formato numérico da célula,
+ * usada no ajuste automático das larguras das colunas.
+ *
+ * @param {*} value - O valor da célula (o resultado, em células com fórmula).
+ * @param {string} [numFmt] - O formato numérico da célula.
+ * @returns {number} - A quantidade estimada de caracteres.
+ */
+function getFormattedTextLength(value, numFmt) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  if (value instanceof Date) {
+    return (numFmt || 'dd/mm/yyyy').replace(/[\\"]/g, '').length;
+  }
+  if (typeof value !== 'number' || !numFmt || numFmt === 'General' || numFmt === '@') {
+    return value.toString().length;
+  }
+
+  // Apenas a seção dos números positivos é considerada (ex: '#,##0.00;[Red]-#,##0.00')
+  const section = numFmt.split(';')[0];
+  const literals = (section.match(/"[^"]*"/g) || []).reduce((total, literal) => total + literal.length - 2, 0);
+  const pattern = section.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+  const decimalsMatch = pattern.match(/\.([0#]+)/);
+  const decimals = decimalsMatch ? decimalsMatch[1].length : 0;
+  const percent = pattern.includes('%');
+  const grouped = /[#0],[#0]/.test(pattern);
+
+  const number = Math.abs(percent ? value * 100 : value);
+  const text = grouped
+    ? number.toLocaleString('pt-BR', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    : number.toFixed(decimals);
+
+  return text.length + literals + (percent ? 1 : 0) + (value < 0 ? 1 : 0) + (/\s/.test(pattern) ? 1 : 0);
+}
+
+/**
+ * Monta o padrão de número com separador de milhar, ex: '#,##0.00'.
+ *
+ * @param {number} decimals - Quantidade de casas decimais.
+ * @returns {string} - O padrão.
+ */
+function getNumberPattern(decimals) {
+  return getDecimalsPattern('#,##0', decimals);
+}
+
+/**
+ * Acrescenta as casas decimais a um padrão de número, ex: ('0', 2) => '0.00'.
+ *
+ * @param {string} integerPattern - O padrão da parte inteira.
+ * @param {number} decimals - Quantidade de casas decimais.
+ * @returns {string} - O padrão.
+ */
+function getDecimalsPattern(integerPattern, decimals) {
+  return decimals > 0 ? `${integerPattern}.${'0'.repeat(decimals)}` : integerPattern;
+}
+
+/**
+ * Lê a quantidade de casas decimais informada no formato (ex: 'percent:1').
+ *
+ * @param {string} argument - O texto após os dois pontos do formato.
+ * @param {number} fallback - A quantidade padrão.
+ * @returns {number} - A quantidade de casas decimais.
+ *
+ * @throws {Error} Caso a quantidade não seja um inteiro entre 0 e 30.
+ */
+function getDecimals(argument, fallback) {
+  if (!argument) {
+    return fallback;
+  }
+  const decimals = Number(argument);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 30) {
+    throw new Error(`Quantidade de casas decimais inválida no formato: ${argument}`);
+  }
+  return decimals;
+}
+
+/**
+ * Verifica se um `numFmt` personalizado é de data ou horário (possui d, m, y, h ou s fora de textos entre aspas).
+ *
+ * @param {string} numFmt - O formato numérico.
+ * @returns {boolean} - Se o formato é de data.
+ */
+function isDateNumFmt(numFmt) {
+  const pattern = numFmt.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+  return /[dmyhs]/i.test(pattern) && !/[0#?]/.test(pattern);
+}
+
+/**
+ * Verifica se um `numFmt` personalizado é de texto (possui `@` em alguma seção, fora de textos entre aspas).
+ *
+ * @param {string} numFmt - O formato numérico.
+ * @returns {boolean} - Se o formato é de texto.
+ */
+function isTextNumFmt(numFmt) {
+  return numFmt.replace(/"[^"]*"|\\./g, '').includes('@');
+}
+
+module.exports = {
+  getNumberFormat,
+  coerceFormattedValue,
+  getFormattedTextLength,
+};
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+// O hash da senha da estrutura usa o `Encryptor` interno do ExcelJS e `setWorkbookProtection` substitui o
+// `addWorkbook` da gravação; nenhum dos dois faz parte da API pública, por isso a versão do ExcelJS é fixada no
+// package.json. Ao atualizá-la, confira se os dois continuam iguais (os testes de proteção passam por ambos).
+const Encryptor = require('exceljs/lib/utils/encryptor');
+const JSZip = require('jszip');
+
+const { formatTextToIdentifier } = require('../parser/transformer');
+const { getColumnNumber } = require('./formulas');
+
+/**
+ * Ações que podem ser liberadas na aba protegida (`allow`), com o padrão usado quando não são informadas.
+ * Os nomes são os mesmos das opções de `worksheet.protect` do ExcelJS.
+ */
+const DEFAULT_ALLOW = {
+  selectLockedCells: true,
+  selectUnlockedCells: true,
+  autoFilter: true,
+  sort: false,
+  formatCells: false,
+  formatColumns: false,
+  formatRows: false,
+  insertRows: false,
+  insertColumns: false,
+  insertHyperlinks: false,
+  deleteRows: false,
+  deleteColumns: false,
+  pivotTables: false,
+};
+
+/** Quantidade de iterações do hash da senha da estrutura, a mesma usada pelo ExcelJS nas abas */
+const SPIN_COUNT = 100000;
+
+/** Altura padrão das linhas, usada para que a gravação em streaming mantenha as linhas vazias desbloqueadas */
+const DEFAULT_ROW_HEIGHT = 15;
+
+/** Primeira linha de dados das abas criadas */
+const FIRST_DATA_ROW = 2;
+
+/**
+ * Combina a configuração de proteção padrão (da instância ou de `create`) com a configuração de uma aba ou chamada.
+ *
+ *   - `undefined` ou `null`: Mantém a configuração padrão.
+ *   - `false`: Desabilita a proteção da aba.
+ *   - `true`: Habilita a proteção com a configuração padrão.
+ *   - Objeto: Sobrescreve a configuração padrão e habilita a proteção, exceto com `enabled: false`.
+ *     As ações de `allow` são combinadas com as padrão; `editableRanges` e `workbook` substituem as padrão.
+ *
+ * @param {Object} [base] - A configuração de proteção padrão.
+ * @param {Object|boolean} [override] - A configuração da aba ou da chamada.
+ * @returns {Object|null} - A configuração resultante.
+ */
+function resolveProtection(base, override) {
+  if (override === undefined || override === null) {
+    return base || null;
+  }
+  if (typeof override === 'boolean') {
+    return { ...base, enabled: override };
+  }
+  return {
+    ...base,
+    ...override,
+    enabled: override.enabled ?? true,
+    allow: { ...base?.allow, ...override.allow },
+  };
+}
+
+/**
+ * Protege a aba com senha, caso a proteção esteja habilitada, liberando as ações informadas em `allow`.
+ *
+ * @param {Object} worksheet - Instância de `ExcelJS.Worksheet` ou `WorksheetWriter`.
+ * @param {Object} protection - Configuração de proteção (`enabled`, `password`, `allow`).
+ *
+ * @throws {Error} Caso alguma ação de `allow` não exista.
+ */
+function protectSheet(worksheet, protection) {
+  if (!protection?.enabled || typeof worksheet.protect !== 'function') {
+    return;
+  }
+
+  const allow = protection.allow || {};
+  const unknown = Object.keys(allow).filter((action) => !(action in DEFAULT_ALLOW));
+  if (unknown.length) {
+    throw new Error(
+      `Ação de proteção "${unknown[0]}" inválida na aba "${worksheet.name}". ` +
+      `Use: ${Object.keys(DEFAULT_ALLOW).join(', ')}.`
+    );
+  }
+
+  const options = {};
+  Object.keys(DEFAULT_ALLOW).forEach((action) => {
+    options[action] = allow[action] === undefined ? DEFAULT_ALLOW[action] : !!allow[action];
+  });
+  worksheet.protect(protection.password, options);
+}
+
+/**
+ * Converte as faixas editáveis da proteção (`editableRanges`) em faixas de colunas e linhas da aba.
+ *
+ * Cada faixa aceita:
+ *   - `columns`: Chave ou cabeçalho de uma coluna, um array deles ou um intervalo de letras (ex: 'D:F').
+ *   - `rows`: `[primeira, última]` ou `{ from, to }`, com os números das linhas na aba. Sem `rows` (ou sem a última
+ *     linha), a faixa vai até a última linha de dados. Linhas além dos dados também são liberadas, para preenchimento.
+ *   - `range`: Alternativa a `columns` e `rows` com um intervalo do Excel, ex: 'D2:F500'.
+ *
+ * @param {Object} protection - Configuração de proteção.
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @returns {Array<Object>} - As faixas (`columns`: números das colunas, `fromRow`, `toRow` ou null).
+ *
+ * @throws {Error} Caso alguma faixa seja inválida ou use uma coluna inexistente.
+ */
+function getEditableRanges(protection, preparedColumns) {
+  const ranges = protection?.editableRanges;
+  if (!ranges) {
+    return [];
+  }
+  if (!Array.isArray(ranges)) {
+    throw new Error('As faixas editáveis (`editableRanges`) devem ser fornecidas como um array.');
+  }
+
+  return ranges.map((range) => {
+    if (!range || typeof range !== 'object') {
+      throw new Error(`Faixa editável inválida: ${range}`);
+    }
+    if (range.range) {
+      return parseRangeAddress(range.range);
+    }
+    if (range.columns === undefined) {
+      throw new Error('Informe as colunas (`columns`) ou o intervalo (`range`) da faixa editável.');
+    }
+
+    const rows = Array.isArray(range.rows)
+      ? { from: range.rows[0], to: range.rows[1] }
+      : range.rows || {};
+    const fromRow = rows.from ?? FIRST_DATA_ROW;
+    const toRow = rows.to ?? null;
+    if (!Number.isInteger(fromRow) || fromRow < FIRST_DATA_ROW || (toRow !== null && (!Number.isInteger(toRow) || toRow < fromRow))) {
+      throw new Error(
+        `Linhas inválidas na faixa editável: ${JSON.stringify(range.rows)}. ` +
+        `Informe [primeira, última], a partir da linha ${FIRST_DATA_ROW}.`
+      );
+    }
+
+    return { columns: getRangeColumns(range.columns, preparedColumns), fromRow, toRow };
+  });
+}
+
+/**
+ * Converte um intervalo do Excel (ex: 'D2:F500' ou 'D2') em uma faixa editável.
+ *
+ * @param {string} address - O intervalo.
+ * @returns {Object} - A faixa (`columns`, `fromRow`, `toRow`).
+ *
+ * @throws {Error} Caso o intervalo seja inválido ou comece no cabeçalho.
+ */
+function parseRangeAddress(address) {
+  const match = String(address).toUpperCase().replace(/\$/g, '').match(/^([A-Z]{1,3})(\d+)(?::([A-Z]{1,3})(\d+))?$/);
+  if (!match) {
+    throw new Error(`Intervalo inválido na faixa editável: ${address}. Use o formato 'D2:F500'.`);
+  }
+
+  const [, startLetter, startRow, endLetter = startLetter, endRow = startRow] = match;
+  const fromRow = Math.min(Number(startRow), Number(endRow));
+  if (fromRow < FIRST_DATA_ROW) {
+    throw new Error(`O intervalo ${address} da faixa editável deve começar a partir da linha ${FIRST_DATA_ROW}.`);
+  }
+
+  return {
+    columns: getColumnSpan(getColumnNumber(startLetter), getColumnNumber(endLetter)),
+    fromRow,
+    toRow: Math.max(Number(startRow), Number(endRow)),
+  };
+}
+
+/**
+ * Converte as colunas de uma faixa editável nos números das colunas.
+ *
+ * @param {string|Array<string>} columns - Chave ou cabeçalho, array deles ou intervalo de letras (ex: 'D:F').
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @returns {Array<number>} - Os números das colunas (a partir de 1).
+ *
+ * @throws {Error} Caso alguma coluna não exista.
+ */
+function getRangeColumns(columns, preparedColumns) {
+  if (typeof columns === 'string') {
+    const letters = columns.toUpperCase().match(/^([A-Z]{1,3}):([A-Z]{1,3})$/);
+    if (letters) {
+      return getColumnSpan(getColumnNumber(letters[1]), getColumnNumber(letters[2]));
+    }
+  }
+
+  return (Array.isArray(columns) ? columns : [columns]).map((name) => {
+    const key = formatTextToIdentifier(String(name).trim());
+    const index = preparedColumns.findIndex((column) => column.key === name || column.key === key);
+    if (index === -1) {
+      throw new Error(`Coluna "${name}" da faixa editável não encontrada.`);
+    }
+    return index + 1;
+  });
+}
+
+/**
+ * Lista os números das colunas de um intervalo, em qualquer ordem (ex: 4 e 6 => [4, 5, 6]).
+ *
+ * @param {number} start - Número de uma das colunas das pontas.
+ * @param {number} end - Número da outra coluna das pontas.
+ * @returns {Array<number>} - Os números das colunas.
+ */
+function getColumnSpan(start, end) {
+  const first = Math.min(start, end);
+  return Array.from({ length: Math.abs(end - start) + 1 }, (_, index) => first + index);
+}
+
+/**
+ * Verifica se uma célula de dados está em alguma faixa editável.
+ *
+ * @param {Array<Object>} editableRanges - Faixas retornadas por `getEditableRanges`.
+ * @param {number} columnNumber - Número da coluna.
+ * @param {number} rowNumber - Número da linha.
+ * @returns {boolean} - Se a célula deve ficar desbloqueada.
+ */
+function isEditableCell(editableRanges, columnNumber, rowNumber) {
+  return editableRanges.some(
+    (range) =>
+      range.columns.includes(columnNumber) &&
+      rowNumber >= range.fromRow &&
+      (range.toRow === null || rowNumber <= range.toRow)
+  );
+}
+
+/**
+ * Desbloqueia as células das faixas editáveis que ficam abaixo das linhas já gravadas, para que o usuário possa
+ * preencher novas linhas na aba protegida. As células das linhas de dados são desbloqueadas em `fillRow`.
+ *
+ * @param {Object} worksheet - Instância de `ExcelJS.Worksheet` ou `WorksheetWriter`.
+ * @param {Array<Object>} editableRanges - Faixas retornadas por `getEditableRanges`.
+ * @param {number} lastRow - Última linha gravada na aba (dados e totais).
+ * @param {boolean} [streaming=false] - Se a aba é gravada em streaming, que descarta as linhas sem valores e sem altura.
+ */
+function unlockEditableRows(worksheet, editableRanges, lastRow, streaming = false) {
+  editableRanges.forEach((range) => {
+    if (range.toRow === null) {
+      return;
+    }
+    for (let rowNumber = Math.max(range.fromRow, lastRow + 1); rowNumber <= range.toRow; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      if (streaming && !row.height) {
+        row.height = DEFAULT_ROW_HEIGHT;
+      }
+      range.columns.forEach((columnNumber) => {
+        row.getCell(columnNumber).protection = { locked: false };
+      });
+    }
+  });
+}
+
+/**
+ * Protege a estrutura do workbook, impedindo que as abas sejam renomeadas, movidas, excluídas, inseridas ou reexibidas
+ * (como a aba `HiddenSelect`). Deve ser chamada antes de gravar o workbook (ver `setWorkbookProtection`).
+ *
+ * A proteção é aplicada quando `protection.workbook` é `true` ou `{ structure, windows, password }`, mesmo sem
+ * a proteção das abas. Sem `password`, é usada a senha das abas.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook` ou `WorkbookWriter`.
+ * @param {Object} protection - Configuração de proteção.
+ */
+function protectWorkbook(workbook, protection) {
+  if (!protection?.workbook) {
+    return;
+  }
+
+  const options = protection.workbook === true ? {} : protection.workbook;
+  const password = options.password ?? protection.password;
+  const attributes = {
+    lockStructure: options.structure === false ? '0' : '1',
+    lockWindows: options.windows ? '1' : '0',
+  };
+  if (password) {
+    // Mesmo algoritmo e quantidade de iterações usados pelo ExcelJS na senha das abas
+    const saltValue = Encryptor.randomBytes(16).toString('base64');
+    attributes.workbookAlgorithmName = 'SHA-512';
+    attributes.workbookHashValue = Encryptor.convertPasswordToHash(String(password), 'SHA512', saltValue, SPIN_COUNT);
+    attributes.workbookSaltValue = saltValue;
+    attributes.workbookSpinCount = String(SPIN_COUNT);
+  }
+  const element = `<workbookProtection ${Object.entries(attributes)
+    .map(([name, value]) => `${name}="${value}"`)
+    .join(' ')}/>`;
+
+  setWorkbookProtection(workbook, element);
+}
+
+/**
+ * Lê o elemento `workbookProtection` de um arquivo .xlsx, para que a proteção da estrutura seja mantida quando o
+ * arquivo é regravado pelo ExcelJS (que não a preserva).
+ *
+ * @param {string} filePath - Caminho do arquivo .xlsx.
+ * @returns {Promise<string|null>} - O elemento XML, ou null se a estrutura não estiver protegida.
+ */
+async function readWorkbookProtection(filePath) {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+  const entry = zip.file(/^\/?xl\/workbook\.xml$/)[0];
+  if (!entry) {
+    return null;
+  }
+  const match = (await entry.async('string')).match(/<workbookProtection[^>]*\/>/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Faz com que o elemento `workbookProtection` seja incluído no `xl/workbook.xml` nas próximas gravações do workbook.
+ * O ExcelJS não grava essa proteção; o elemento é inserido no XML gerado, antes de ir para o arquivo, de forma que
+ * a gravação em streaming continua sem reler o arquivo. Deve ser chamada uma única vez por workbook.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook` ou `WorkbookWriter`.
+ * @param {string|null} element - O elemento XML da proteção (ver `readWorkbookProtection`); null não altera o workbook.
+ */
+function setWorkbookProtection(workbook, element) {
+  if (!element) {
+    return;
+  }
+
+  const protectZip = (zip) => ({
+    append: (data, options) => zip.append(insertWorkbookProtection(String(data), element), options),
+  });
+
+  if (workbook instanceof ExcelJS.stream.xlsx.WorkbookWriter) {
+    // O `WorkbookWriter` grava apenas o `xl/workbook.xml` em `addWorkbook`, usando o seu `zip`
+    const { addWorkbook } = workbook;
+    workbook.addWorkbook = function () {
+      return addWorkbook.call(Object.create(this, { zip: { value: protectZip(this.zip) } }));
+    };
+    return;
+  }
+
+  const { xlsx } = workbook;
+  const { addWorkbook } = xlsx;
+  xlsx.addWorkbook = (zip, model) => addWorkbook.call(xlsx, protectZip(zip), model);
+}
+
+/**
+ * Insere o elemento `workbookProtection` no XML do workbook, substituindo o existente.
+ *
+ * @param {string} xml - O conteúdo do `xl/workbook.xml`.
+ * @param {string} element - O elemento XML da proteção.
+ * @returns {string} - O XML com a proteção.
+ */
+function insertWorkbookProtection(xml, element) {
+  const unprotectedXml = xml.replace(/<workbookProtection[^>]*\/>/, '');
+
+  // A proteção deve vir logo após `workbookPr` (ou `fileVersion`), antes de `bookViews`
+  const anchor =
+    unprotectedXml.match(/<workbookPr[^>]*\/>|<\/workbookPr>/) || unprotectedXml.match(/<fileVersion[^>]*\/>/);
+  return anchor
+    ? unprotectedXml.replace(anchor[0], anchor[0] + element)
+    : unprotectedXml.replace(/<bookViews|<sheets/, (tag) => element + tag);
+}
+
+module.exports = {
+  resolveProtection,
+  protectSheet,
+  getEditableRanges,
+  isEditableCell,
+  unlockEditableRows,
+  protectWorkbook,
+  readWorkbookProtection,
+  setWorkbookProtection,
+};
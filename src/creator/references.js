@@ -0,0 +1,65 @@
+/** Referências de células em fórmulas, com a aba opcional (ex: A1, $B$2, C3:D4, 'Aba 1'!E5) */
+const CELL_REFERENCE_PATTERN = /(?<![A-Za-z0-9_.!$])((?:'(?:[^']|'')+'|[A-Za-z0-9_.]+)!)?(\$?)([A-Z]{1,3})(\$?)(\d+)(?::(\$?)([A-Z]{1,3})(\$?)(\d+))?(?![A-Za-z0-9_(!])/g;
+
+/**
+ * Ajusta as linhas das referências a células e intervalos de uma aba em uma fórmula (ou endereço), sem alterar os textos
+ * entre aspas nem as referências a outras abas.
+ *
+ * @param {string} formula - A fórmula, sem o `=`, ou o endereço.
+ * @param {string} sheetName - O nome da aba ajustada; referências com o nome dela (ex: 'Aba 1'!E5) também são ajustadas.
+ * @param {Function} mapRow - Recebe o número da linha e `{ absolute, side }`, onde `side` é o papel da referência
+ * ('single', ou 'start' e 'end' de um intervalo); retorna o novo número, ou null se a linha não existe mais.
+ * @param {boolean} [sameSheet=true] - Se a fórmula está na aba ajustada. Em fórmulas de outras abas (e nos nomes
+ * definidos), apenas as referências com o nome da aba são ajustadas.
+ * @returns {string} - A fórmula ajustada. Referências a linhas que não existem mais, e intervalos que ficam vazios,
+ * viram `#REF!`.
+ */
+function mapFormulaReferences(formula, sheetName, mapRow, sameSheet = true) {
+  return replaceOutsideStrings(String(formula), (part) =>
+    part.replace(CELL_REFERENCE_PATTERN, (match, prefix, colAbs, col, rowAbs, row, endColAbs, endCol, endRowAbs, endRow) => {
+      if (prefix ? getPrefixSheetName(prefix) !== sheetName : !sameSheet) {
+        return match;
+      }
+
+      const newRow = mapRow(Number(row), { absolute: rowAbs === '$', side: endRow ? 'start' : 'single' });
+      if (!endRow) {
+        return newRow === null ? '#REF!' : `${prefix || ''}${colAbs}${col}${rowAbs}${newRow}`;
+      }
+      const newEndRow = mapRow(Number(endRow), { absolute: endRowAbs === '$', side: 'end' });
+      if (newRow === null || newEndRow === null || newEndRow < newRow) {
+        return '#REF!';
+      }
+      return `${prefix || ''}${colAbs}${col}${rowAbs}${newRow}:${endColAbs}${endCol}${endRowAbs}${newEndRow}`;
+    })
+  );
+}
+
+/**
+ * Aplica uma substituição apenas aos trechos de uma fórmula fora dos textos entre aspas duplas.
+ *
+ * @param {string} formula - A fórmula.
+ * @param {Function} replace - Recebe cada trecho fora das aspas e retorna o trecho alterado.
+ * @returns {string} - A fórmula alterada.
+ */
+function replaceOutsideStrings(formula, replace) {
+  return formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, index) => (index % 2 === 1 ? part : replace(part)))
+    .join('');
+}
+
+/**
+ * Retorna o nome da aba de um prefixo de referência (ex: "'Aba 1'!" => "Aba 1").
+ *
+ * @param {string} prefix - O prefixo, com o `!`.
+ * @returns {string} - O nome da aba.
+ */
+function getPrefixSheetName(prefix) {
+  return prefix.slice(0, -1).replace(/^'|'$/g, '').replace(/''/g, "'");
+}
+
+module.exports = {
+  CELL_REFERENCE_PATTERN,
+  mapFormulaReferences,
+  replaceOutsideStrings,
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+const { getExcelData, setObjectReplacements } = require('../parser/extractor');
+const { formatData, getCellValue } = require('../parser/formatter');
+const { findTotalsRow } = require('../parser/modifier');
+const { formatTextToIdentifier, formatSheetName } = require('../parser/transformer');
+const { formatFileName } = require('../utils/pathUtils');
+const { writeExcelXlsx } = require('./creator');
+
+/** Destinos aceitos por `splitWorkbook` */
+const SPLIT_OUTPUTS = ['files', 'tabs'];
+
+/** Nomes padrão dos arquivos gerados: um por grupo ('files') ou um único arquivo com uma aba por grupo ('tabs') */
+const DEFAULT_FILENAME_PATTERNS = {
+  files: '{name}_{group}.xlsx',
+  tabs: '{name}_por_{by}.xlsx',
+};
+
+/** Nome do grupo das linhas com a coluna de agrupamento vazia */
+const DEFAULT_EMPTY_GROUP = 'Sem valor';
+
+/**
+ * Divide uma aba em vários arquivos ou abas, um para cada valor de uma coluna (ex: por região ou por gestor).
+ *
+ * As linhas são lidas com as mesmas chaves de `toJson`, mas com os valores no tipo original (números, datas...), e cada
+ * grupo é gravado com `writeExcelXlsx`, na ordem em que o valor aparece na planilha. Sem `columns`, as colunas são as
+ * da aba de origem (exceto as ocultas), com o texto do cabeçalho e o formato numérico das colunas de números e datas.
+ * A linha de totais da aba de origem não é copiada para os grupos.
+ *
+ * @param {string} input - O caminho do arquivo Excel.
+ * @param {Object} options - Opções da divisão:
+ *   - `by`: A coluna de agrupamento, pela chave de `toJson` ou pelo texto do cabeçalho.
+ *   - `sheet`: Nome ou índice da aba dividida (padrão: 1).
+ *   - `headerIndex`: Linha do cabeçalho (padrão: 1).
+ *   - `output`: 'files' grava um arquivo por grupo (padrão); 'tabs' grava um único arquivo com uma aba por grupo.
+ *   - `filenamePattern`: Nome dos arquivos gravados, com os marcadores `{name}` (nome do arquivo de origem, sem a
+ *     extensão), `{group}` (valor do grupo), `{index}` (posição do grupo, a partir de 1) e `{by}` (coluna de
+ *     agrupamento). Padrão: '{name}_{group}.xlsx' em 'files' e '{name}_por_{by}.xlsx' em 'tabs'.
+ *   - `directory`: Diretório dos arquivos gravados (padrão: o diretório do arquivo de origem).
+ *   - `columns`: Definições das colunas, como em `createExcelXlsx` (ex: as mesmas usadas para criar o arquivo de origem).
+ *   - `emptyGroup`: Nome do grupo das linhas sem valor na coluna de agrupamento (padrão: 'Sem valor').
+ *   - `config`: Configurações de estilo dos arquivos gravados, como em `createExcelXlsx`.
+ * @param {Object} [protection={}] - Proteção dos arquivos gravados (ver `createExcelXlsx`).
+ * @returns {Promise<Array<Object>>} - Os grupos gravados: `{ group, rows, file, sheetName }`.
+ * @throws {Error} - Lança um erro se a coluna de agrupamento não for encontrada, se as opções forem inválidas ou se algum
+ * arquivo não puder ser gravado.
+ */
+async function splitWorkbook(input, options = {}, protection = {}) {
+  const { sheet = 1, headerIndex = 1, output = 'files', emptyGroup = DEFAULT_EMPTY_GROUP, config = {} } = options;
+  if (!SPLIT_OUTPUTS.includes(output)) {
+    throw new Error(`Destino da divisão inválido: ${output}. Valores aceitos: ${SPLIT_OUTPUTS.join(', ')}.`);
+  }
+  const by = formatTextToIdentifier(options.by);
+  if (!by) {
+    throw new Error('Informe a coluna de agrupamento (by) para dividir a planilha.');
+  }
+  const filenamePattern = options.filenamePattern ?? DEFAULT_FILENAME_PATTERNS[output];
+  if (output === 'files' && !/\{(group|index)\}/.test(filenamePattern)) {
+    throw new Error(`O filenamePattern "${filenamePattern}" deve ter o marcador {group} ou {index}, para gravar um arquivo por grupo.`);
+  }
+
+  const { worksheet, columnMap, headerRow, initRow } = await getExcelData(input, [], sheet, headerIndex);
+  // A linha de totais (como a gravada por `create` com `total` ou `table`) não pertence a nenhum grupo
+  const totalsRow = findTotalsRow(worksheet, initRow);
+  if (totalsRow) {
+    worksheet.spliceRows(totalsRow, 1);
+  }
+  if (!Object.keys(columnMap).some((name) => formatTextToIdentifier(name) === by)) {
+    throw new Error(`A coluna de agrupamento "${options.by}" não foi encontrada na planilha "${path.basename(input)}".`);
+  }
+  const columns = options.columns ?? getSourceColumns(worksheet, headerRow, initRow);
+
+  const groups = new Map();
+  for (let rowNumber = initRow; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = getTypedRow(worksheet, worksheet.getRow(rowNumber), headerRow);
+    if (Object.keys(row).length === 0) {
+      continue;
+    }
+    const group = row[by] === undefined ? emptyGroup : formatData(by, row[by], { format: 'iso' });
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(row);
+  }
+
+  const directory = options.directory ?? path.dirname(input);
+  const getFileName = (group, index) => {
+    const fileName = filenamePattern.replace(/\{(name|group|index|by)\}/g, (marker, name) => ({
+      name: path.parse(input).name,
+      group: formatFileName(group),
+      index: String(index + 1),
+      by,
+    })[name]);
+    const file = path.join(directory, path.extname(fileName) ? fileName : `${fileName}.xlsx`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    return file;
+  };
+
+  if (output === 'tabs') {
+    const file = getFileName('', 0);
+    const sheetNames = [];
+    const sheets = [...groups].map(([group, rows]) => {
+      const sheetName = formatSheetName(group, sheetNames);
+      sheetNames.push(sheetName);
+      return { sheetName, columns, rows };
+    });
+    await writeExcelXlsx(sheets, file, config, null, {}, protection);
+    return [...groups.keys()].map((group, index) => ({
+      group,
+      rows: sheets[index].rows.length,
+      file,
+      sheetName: sheets[index].sheetName,
+    }));
+  }
+
+  const sheetName = formatSheetName(worksheet.name);
+  const fileNames = new Set();
+  const files = [];
+  for (const [group, rows] of groups) {
+    const file = getUniqueFileName(getFileName(group, files.length), fileNames);
+    await writeExcelXlsx(sheetName, columns, rows, file, config, protection);
+    files.push({ group, rows: rows.length, file, sheetName });
+  }
+  return files;
+}
+
+/**
+ * Retorna os valores de uma linha pelas chaves de `toJson`, no tipo original: as fórmulas usam o último resultado
+ * calculado, os textos são aparados e as células vazias são omitidas.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Object} row - A linha do ExcelJS.
+ * @param {Object} headerRow - A linha de cabeçalho do ExcelJS.
+ * @returns {Object} - Os valores da linha, por chave.
+ */
+function getTypedRow(worksheet, row, headerRow) {
+  const { replacements } = setObjectReplacements(row, headerRow, worksheet);
+  const values = {};
+  Object.keys(replacements).forEach((key) => {
+    const value = getCellValue(replacements[key]);
+    const typedValue = typeof value === 'string' ? value.trim() : value;
+    if (typedValue !== null && typedValue !== '') {
+      values[key] = typedValue;
+    }
+  });
+  return values;
+}
+
+/**
+ * Retorna as definições das colunas de uma aba: o texto do cabeçalho, a chave de `toJson` e, nas colunas de números
+ * e datas, o formato numérico da primeira célula preenchida (ver `getNumberFormat`).
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Object} headerRow - A linha de cabeçalho do ExcelJS.
+ * @param {number} initRow - A primeira linha de dados.
+ * @returns {Array<Object>} - As colunas, no formato `{ value, key, format }`.
+ */
+function getSourceColumns(worksheet, headerRow, initRow) {
+  const columns = [];
+  const keys = new Set();
+
+  headerRow.eachCell((headerCell, colNumber) => {
+    const baseKey = formatTextToIdentifier(headerCell.value);
+    if (!baseKey || worksheet.getColumn(colNumber).hidden) {
+      return;
+    }
+    let key = baseKey;
+    let counter = 1;
+    while (keys.has(key)) {
+      counter++;
+      key = `${baseKey}_${counter}`;
+    }
+    keys.add(key);
+
+    const column = { value: headerCell.text.trim(), key };
+    for (let rowNumber = initRow; rowNumber <= worksheet.rowCount; rowNumber++) {
+      const cell = worksheet.getRow(rowNumber).getCell(colNumber);
+      const value = getCellValue(cell.value);
+      if (value === null || value === '') {
+        continue;
+      }
+      if (typeof value === 'number' || value instanceof Date) {
+        column.format = cell.numFmt || (value instanceof Date ? 'datetime' : 'General');
+      }
+      break;
+    }
+    columns.push(column);
+  });
+
+  return columns;
+}
+
+/**
+ * Retorna um caminho de arquivo ainda não usado na divisão, acrescentando um sufixo " (2)", " (3)"... quando dois grupos
+ * geram o mesmo nome (ex: "São Paulo/SP" e "São Paulo_SP"). A comparação não diferencia maiúsculas, como no Windows.
+ *
+ * @param {string} file - O caminho gerado.
+ * @param {Set<string>} usedFiles - Os caminhos já usados, em minúsculas; o caminho retornado é acrescentado.
+ * @returns {string} - O caminho do arquivo.
+ */
+function getUniqueFileName(file, usedFiles) {
+  const { dir, name, ext } = path.parse(file);
+  let uniqueFile = file;
+  let counter = 1;
+  while (usedFiles.has(uniqueFile.toLowerCase())) {
+    counter++;
+    uniqueFile = path.join(dir, `${name} (${counter})${ext}`);
+  }
+  usedFiles.add(uniqueFile.toLowerCase());
+  return uniqueFile;
+}
+
+module.exports = {
+  splitWorkbook,
+};
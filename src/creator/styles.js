@@ -1,4 +1,4 @@
-/** Estilos pré definidos para as células */
+/** Estilos pré definidos para as células, presentes em todos os registros de estilos (ver `createStyleRegistry`) */
 const PRE_CELL_STYLES = {
   Bom: {
     fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C6EFCE' } },
@@ -23,14 +23,92 @@ const PRE_CELL_STYLES = {
   },
 };
 
+/** Propriedades de estilo de célula aceitas pelos estilos registrados e personalizados */
+const STYLE_PROPERTIES = ['fill', 'font', 'border', 'alignment', 'numFmt', 'protection'];
+
+/** Estilos de borda aceitos no atalho `borders` dos temas */
+const BORDER_STYLES = ['thin', 'medium', 'thick', 'dotted', 'dashed', 'double', 'hair'];
+
+/**
+ * Cria um registro de estilos com nome, com os estilos pré-definidos. Cada instância de `Excel` tem o próprio registro,
+ * repassado à criação das planilhas em `config.cellStyles`.
+ *
+ * @returns {Object} - O registro, com os estilos pelo nome.
+ */
+function createStyleRegistry() {
+  return { ...PRE_CELL_STYLES };
+}
+
+/**
+ * Registra um estilo de célula com nome, para ser usado como os estilos pré-definidos (ex: `{ value, style: 'Destaque' }`).
+ * Um estilo já registrado com o mesmo nome é substituído, exceto os pré-definidos, usados também por outras funções
+ * (como "Bom", "Ruim" e "Neutro" em `diff`). Com `extends`, o estilo parte de outro estilo registrado, combinando as
+ * propriedades (ex: apenas a cor da fonte é alterada, mantendo o restante de `font`).
+ *
+ * @param {Object} registry - O registro de estilos (ver `createStyleRegistry`).
+ * @param {string} name - O nome do estilo.
+ * @param {Object} style - O estilo: `fill`, `font`, `border`, `alignment`, `numFmt`, `protection` e, opcionalmente, `extends`.
+ * Em `fill` também é aceita uma cor RGB (ex: '1F4E78'), convertida em preenchimento sólido.
+ *
+ * @throws {Error} Caso o nome ou o estilo sejam inválidos, o nome seja de um estilo pré-definido ou o estilo de
+ * `extends` não exista.
+ */
+function registerCellStyle(registry, name, style) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Necessário informar o nome do estilo.');
+  }
+  if (Object.prototype.hasOwnProperty.call(PRE_CELL_STYLES, name)) {
+    throw new Error(`O estilo "${name}" é pré-definido e não pode ser substituído. Use "extends" com outro nome.`);
+  }
+  if (!isPlainObject(style)) {
+    throw new Error(`O estilo "${name}" deve ser um objeto.`);
+  }
+
+  const { extends: baseName, ...definition } = style;
+  const base = baseName ? resolveCellStyle(baseName, registry) : {};
+  registry[name] = mergeStyles(base, normalizeStyle(definition, registry));
+}
+
+/**
+ * Retorna a definição de um estilo: o estilo registrado com o nome informado, um preenchimento sólido
+ * a partir de uma cor RGB (ex: 'F2F2F2') ou o próprio objeto de estilo.
+ *
+ * @param {string|Object} style - Nome do estilo, cor RGB ou objeto de estilo.
+ * @param {Object} [registry=PRE_CELL_STYLES] - O registro de estilos (padrão: apenas os pré-definidos).
+ * @returns {Object} - A definição do estilo.
+ *
+ * @throws {Error} Caso o estilo não seja encontrado ou seja inválido.
+ */
+function resolveCellStyle(style, registry = PRE_CELL_STYLES) {
+  if (typeof style === 'string') {
+    if (Object.prototype.hasOwnProperty.call(registry, style)) {
+      return registry[style];
+    }
+    if (isRgbColor(style)) {
+      return { fill: getSolidFill(style) };
+    }
+    throw new Error(
+      `Estilo inválido ou não encontrado: ${style}. Estilos registrados: ${Object.keys(registry).join(', ')}.`
+    );
+  }
+  if (isPlainObject(style)) {
+    return normalizeStyle(style, registry);
+  }
+  throw new Error(`Estilo inválido ou não encontrado: ${style}`);
+}
+
 /**
  * Aplica estilos a uma célula em uma planilha Excel.
  *
+ * Os estilos são combinados com o estilo atual da célula: um estilo com apenas `font: { color }` mantém
+ * o nome e o tamanho da fonte já aplicados (por exemplo, pelo estilo global).
+ *
  * @param {Object} cell - Objeto da célula fornecido pela biblioteca ExcelJS.
  * @param {string|Array|string[]|Object|Object[]} styleType - Tipo(s) de estilo a ser(em) aplicado(s):
- *   - Pode ser um nome de estilo predefinido (e.g., "Bom", "Ruim").
+ *   - Pode ser um nome de estilo predefinido (e.g., "Bom", "Ruim") ou registrado com `registerCellStyle`.
  *   - Pode ser um array contendo múltiplos estilos predefinidos.
- *   - Pode ser um objeto com propriedades de estilo personalizadas.
+ *   - Pode ser um objeto com propriedades de estilo personalizadas (`fill`, `font`, `border`, `alignment`, `numFmt`, `protection`).
+ * @param {Object} [registry=PRE_CELL_STYLES] - O registro de estilos com nome (ver `createStyleRegistry`).
  *
  * @example
  * applyCellStyle(cell, 'Bom');
@@ -43,25 +121,240 @@ const PRE_CELL_STYLES = {
  *
  * @throws {Error} Caso um estilo não seja encontrado ou seja inválido.
  */
-function applyCellStyle(cell, styleType) {
+function applyCellStyle(cell, styleType, registry = PRE_CELL_STYLES) {
   const styleArray = Array.isArray(styleType) ? styleType : [styleType];
   styleArray.forEach((style) => {
-    if (typeof style === 'string' && PRE_CELL_STYLES[style]) {
-      cell.fill = PRE_CELL_STYLES[style]?.fill ?? cell.fill;
-      cell.font = PRE_CELL_STYLES[style]?.font ?? cell.font;
-      cell.border = PRE_CELL_STYLES[style]?.border ?? cell.border;
-      cell.alignment = PRE_CELL_STYLES[style]?.alignment ?? cell.alignment;
-    } else if (typeof style === 'object') {
-      cell.fill = style.fill ?? cell.fill;
-      cell.font = style.font ?? cell.font;
-      cell.border = style.border ?? cell.border;
-      cell.alignment = style.alignment ?? cell.alignment;
-    } else {
-      throw new Error(`Estilo inválido ou não encontrado: ${style}`);
+    const definition = resolveCellStyle(style, registry);
+    STYLE_PROPERTIES.forEach((property) => {
+      if (definition[property] === undefined) {
+        return;
+      }
+      // Preenchimentos de tipos diferentes (padrão e gradiente) não podem ser combinados
+      const replace = property === 'numFmt' || (property === 'fill' && cell.fill?.type !== definition.fill.type);
+      cell[property] = replace ? definition[property] : mergeStyles(cell[property], definition[property]);
+    });
+  });
+}
+
+/**
+ * Aplica os estilos das células de dados definidos na configuração da planilha: o estilo global,
+ * as linhas zebradas (`zebra`, nas linhas pares de dados) e as bordas (`borders`).
+ *
+ * @param {Object} cell - Objeto da célula fornecido pela biblioteca ExcelJS.
+ * @param {Object} [config] - Configurações da planilha (`global.style`, `zebra`, `borders` e o registro `cellStyles`).
+ * @param {number} rowNumber - Número da linha da célula (o cabeçalho ocupa a linha 1).
+ */
+function applyBodyStyle(cell, config, rowNumber) {
+  if (config?.global?.style) {
+    applyCellStyle(cell, config.global.style, config.cellStyles); // aplica estilo global primeiro
+  }
+  if (config?.zebra && rowNumber % 2 === 1) {
+    applyCellStyle(cell, config.zebra, config.cellStyles);
+  }
+  if (config?.borders) {
+    cell.border = getBorderStyle(config.borders);
+  }
+}
+
+/**
+ * Converte um tema em configurações de planilha, no mesmo formato de `Excel.documentPredefinitions`.
+ *
+ * @param {Object} theme - O tema:
+ *   - `font`: Fonte de todo o documento, ex: `{ name: 'Calibri', size: 10 }`.
+ *   - `header`: Estilo do cabeçalho (`font`, `fill`, `alignment`, `border`), além de `fixed` e `filter` (padrão: true).
+ *   - `body`: Estilo das células de dados (nome de estilo registrado ou objeto).
+ *   - `zebra`: Estilo das linhas pares de dados, ex: 'F2F2F2' ou `{ fill, font }`.
+ *   - `borders`: Bordas das células: `true`, um estilo de borda ('thin', 'medium'...), `{ style, color }` ou o objeto `border` do ExcelJS.
+ * @param {Object} [base={}] - Configurações das quais o tema parte (ex: o tema de `extends`).
+ * @returns {Object} - As configurações da planilha (`header`, `global`, `zebra`, `borders`).
+ */
+function createThemeConfig(theme, base = {}) {
+  const font = theme.font || {};
+  const header = theme.header || {};
+  const headerStyle = {
+    font: mergeStyles({ ...font, bold: true }, header.font),
+    alignment: header.alignment ?? 'center',
+  };
+  if (header.fill) {
+    headerStyle.fill = header.fill;
+  }
+  if (header.border || theme.borders) {
+    headerStyle.border = getBorderStyle(header.border || theme.borders);
+  }
+
+  const config = {
+    header: { fixed: header.fixed ?? true, filter: header.filter ?? true, style: headerStyle },
+  };
+  if (theme.font || theme.body) {
+    config.global = { style: [{ font }, ...(theme.body ? [theme.body] : [])] };
+  }
+  if (theme.zebra) {
+    config.zebra = theme.zebra;
+  }
+  if (theme.borders) {
+    config.borders = theme.borders;
+  }
+
+  return mergeStyles(base, config);
+}
+
+/**
+ * Converte o atalho de bordas no objeto `border` do ExcelJS, com as quatro bordas iguais.
+ *
+ * @param {boolean|string|Object} borders - `true` (borda fina), um estilo de borda, `{ style, color }` ou o objeto `border`.
+ * @returns {Object} - O objeto `border` do ExcelJS.
+ *
+ * @throws {Error} Caso o estilo de borda seja inválido.
+ */
+function getBorderStyle(borders) {
+  if (isPlainObject(borders) && ['top', 'left', 'bottom', 'right'].some((side) => side in borders)) {
+    return borders;
+  }
+
+  const { style = 'thin', color } = isPlainObject(borders) ? borders : { style: borders === true ? 'thin' : borders };
+  if (!BORDER_STYLES.includes(style)) {
+    throw new Error(`Estilo de borda inválido: ${style}. Use: ${BORDER_STYLES.join(', ')}.`);
+  }
+
+  const side = color ? { style, color: { argb: toArgb(color) } } : { style };
+  return { top: side, left: side, bottom: side, right: side };
+}
+
+/**
+ * Retorna o preenchimento de um estilo, aceitando uma cor RGB, o nome de um estilo registrado ou o objeto `fill`.
+ *
+ * @param {string|Object} fill - A cor, o nome do estilo ou o preenchimento.
+ * @param {Object} [registry=PRE_CELL_STYLES] - O registro de estilos com nome (ver `createStyleRegistry`).
+ * @returns {Object} - O objeto `fill` do ExcelJS.
+ */
+function resolveFill(fill, registry = PRE_CELL_STYLES) {
+  if (typeof fill === 'string') {
+    return resolveCellStyle(fill, registry).fill;
+  }
+  return fill;
+}
+
+/**
+ * Combina dois estilos recursivamente: as propriedades de `override` substituem as de `base`,
+ * mas objetos internos (como `font` e `font.color`) são combinados em vez de substituídos.
+ *
+ * @param {Object} [base] - O estilo base.
+ * @param {Object} [override] - O estilo a ser combinado.
+ * @returns {Object} - Um novo objeto com os dois estilos combinados.
+ */
+function mergeStyles(base, override) {
+  if (!isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  if (!isPlainObject(base)) {
+    return mergeStyles({}, override);
+  }
+
+  const merged = { ...base };
+  Object.keys(override).forEach((key) => {
+    merged[key] = isPlainObject(override[key]) ? mergeStyles(base[key], override[key]) : override[key];
+  });
+  return merged;
+}
+
+/**
+ * Normaliza um estilo, convertendo `fill` informado como cor RGB ou nome de estilo em preenchimento.
+ *
+ * @param {Object} style - O estilo.
+ * @param {Object} [registry=PRE_CELL_STYLES] - O registro de estilos com nome (ver `createStyleRegistry`).
+ * @returns {Object} - O estilo normalizado.
+ */
+function normalizeStyle(style, registry = PRE_CELL_STYLES) {
+  return typeof style.fill === 'string' ? { ...style, fill: resolveFill(style.fill, registry) } : style;
+}
+
+/**
+ * Cria um preenchimento sólido com a cor informada.
+ *
+ * @param {string} color - A cor RGB ou ARGB (ex: 'F2F2F2').
+ * @returns {Object} - O objeto `fill` do ExcelJS.
+ */
+function getSolidFill(color) {
+  return { type: 'pattern', pattern: 'solid', fgColor: { argb: toArgb(color) } };
+}
+
+/**
+ * Converte uma cor RGB (ex: '1F4E78' ou '#1F4E78') em ARGB opaco. Cores já em ARGB são mantidas.
+ *
+ * @param {string} color - A cor.
+ * @returns {string} - A cor em ARGB.
+ */
+function toArgb(color) {
+  const hex = String(color).replace(/^#/, '').toUpperCase();
+  return hex.length === 6 ? `FF${hex}` : hex;
+}
+
+/**
+ * Verifica se o texto é uma cor RGB ou ARGB em hexadecimal.
+ *
+ * @param {string} text - O texto.
+ * @returns {boolean} - Se o texto é uma cor.
+ */
+function isRgbColor(text) {
+  return /^#?([0-9A-F]{6}|[0-9A-F]{8})$/i.test(text);
+}
+
+/**
+ * Verifica se o valor é um objeto simples (e não um array, data ou null).
+ *
+ * @param {*} value - O valor.
+ * @returns {boolean} - Se o valor é um objeto simples.
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Converte um ou mais estilos (pré-definidos ou personalizados) no estilo diferencial usado pela formatação condicional.
+ *
+ * Na formatação condicional o Excel aplica a cor do preenchimento sólido a partir de `bgColor`, e não de `fgColor`
+ * como nas células, por isso o preenchimento é convertido.
+ *
+ * @param {string|Object|Array<string|Object>} styleType - Nome de estilo pré-definido (ex: "Ruim"), objeto de estilo ou array deles.
+ * @param {Object} [registry=PRE_CELL_STYLES] - O registro de estilos com nome (ver `createStyleRegistry`).
+ * @returns {Object} - O estilo `{ fill, font, border }` da regra de formatação condicional.
+ *
+ * @throws {Error} Caso um estilo não seja encontrado ou seja inválido.
+ */
+function getConditionalStyle(styleType, registry = PRE_CELL_STYLES) {
+  const styleArray = Array.isArray(styleType) ? styleType : [styleType];
+  const conditionalStyle = {};
+
+  styleArray.forEach((style) => {
+    const definition = resolveCellStyle(style, registry);
+
+    if (definition.fill) {
+      const { fill } = definition;
+      conditionalStyle.fill = fill.type === 'pattern' && fill.pattern === 'solid' && fill.fgColor && !fill.bgColor
+        ? { type: 'pattern', pattern: 'solid', bgColor: fill.fgColor }
+        : fill;
+    }
+    if (definition.font) {
+      conditionalStyle.font = definition.font;
+    }
+    if (definition.border) {
+      conditionalStyle.border = definition.border;
     }
   });
+
+  return conditionalStyle;
 }
 
 module.exports = {
+  PRE_CELL_STYLES,
+  createStyleRegistry,
+  registerCellStyle,
+  resolveCellStyle,
   applyCellStyle,
+  applyBodyStyle,
+  createThemeConfig,
+  getBorderStyle,
+  resolveFill,
+  mergeStyles,
+  getConditionalStyle,
 };
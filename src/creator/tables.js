@@ -0,0 +1,173 @@
+const { formatTextToIdentifier } = require('../parser/transformer');
+const { getTotalResult, getColumnLetter } = require('./formulas');
+
+/** Funções da linha de totais (`total` das colunas), com a função correspondente das tabelas do Excel */
+const TABLE_TOTAL_FUNCTIONS = {
+  sum: 'sum',
+  avg: 'average',
+  count: 'count',
+  min: 'min',
+  max: 'max',
+};
+
+/** Nomes válidos de tabela: começam com letra, `_` ou `\` e contêm apenas letras, números, `_` e `.` */
+const TABLE_NAME_PATTERN = /^[A-Za-z_\\][A-Za-z0-9_.]*$/;
+
+/** Nomes que o Excel confunde com referências de célula (ex: A1, R1C1) */
+const CELL_REFERENCE_NAME_PATTERN = /^([A-Za-z]{1,3}\d+|[Rr]\d*[Cc]\d*|[RrCc])$/;
+
+/**
+ * Transforma o cabeçalho e as linhas já gravadas na aba em uma tabela nativa do Excel, com filtros, ordenação,
+ * linhas em faixas e expansão automática, que pode ser usada por tabelas dinâmicas e pelo Power Query.
+ *
+ * Os nomes das colunas da tabela são os cabeçalhos das colunas. Se alguma coluna tiver `total`, a linha de totais
+ * da tabela é usada no lugar da linha de totais comum, com as funções `SUBTOTAL` do Excel.
+ *
+ * @param {Object} worksheet - Instância de `ExcelJS.Worksheet` com o cabeçalho na linha 1 e os dados já preenchidos.
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @param {number} lastDataRow - Última linha de dados.
+ * @param {boolean|Object} tableConfig - `true` para os padrões, ou as opções da tabela:
+ *   - `name`: Nome da tabela (padrão: 'Tabela_' seguido do identificador da aba).
+ *   - `style`: Estilo de tabela do Excel (padrão: 'TableStyleMedium2').
+ *   - `bandedRows`: Linhas em faixas (padrão: true).
+ *   - `bandedColumns`: Colunas em faixas (padrão: false).
+ *   - `firstColumn` e `lastColumn`: Destaque da primeira e da última coluna (padrão: false).
+ *   - `totalsRow`: Exibe a linha de totais (padrão: true quando alguma coluna tem `total`).
+ * @param {Object|null} totals - O acumulador criado por `createTotalsAccumulator`, usado nos resultados da linha de totais.
+ *
+ * @throws {Error} Caso o nome da tabela seja inválido ou já exista no workbook.
+ */
+function addWorksheetTable(worksheet, preparedColumns, lastDataRow, tableConfig, totals) {
+  const options = tableConfig === true ? {} : tableConfig;
+  const name = options.name || `Tabela_${formatTextToIdentifier(worksheet.name) || worksheet.id}`;
+  validateTableName(worksheet.workbook, name);
+
+  const totalsRow = options.totalsRow ?? preparedColumns.some((column) => column.total);
+  const names = getTableColumnNames(preparedColumns);
+
+  const columns = preparedColumns.map((column, index) => {
+    const tableColumn = { name: names[index], filterButton: true };
+    if (!totalsRow) {
+      return tableColumn;
+    }
+    if (index === 0) {
+      tableColumn.totalsRowLabel = column.total && !TABLE_TOTAL_FUNCTIONS[column.total] ? column.total : 'Total';
+      return tableColumn;
+    }
+    if (TABLE_TOTAL_FUNCTIONS[column.total]) {
+      tableColumn.totalsRowFunction = TABLE_TOTAL_FUNCTIONS[column.total];
+      const result = totals ? getTotalResult(column.total, totals.columns[index]) : undefined;
+      if (result !== undefined) {
+        tableColumn.totalsRowResult = result;
+      }
+    }
+    return tableColumn;
+  });
+
+  // A tabela regrava os valores das células; os valores já preenchidos são reaproveitados para manter os estilos
+  const rows = [];
+  for (let rowNumber = 2; rowNumber <= lastDataRow; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    rows.push(preparedColumns.map((column, index) => getStoredValue(row.getCell(index + 1))));
+  }
+  if (!rows.length) {
+    rows.push(preparedColumns.map(() => null)); // O Excel exige ao menos uma linha de dados na tabela
+  }
+
+  // A tabela possui os próprios filtros; o filtro automático da aba impediria a abertura do arquivo
+  worksheet.autoFilter = undefined;
+
+  worksheet.addTable({
+    name,
+    displayName: name,
+    ref: 'A1',
+    headerRow: true,
+    totalsRow,
+    style: {
+      theme: options.style || 'TableStyleMedium2',
+      showRowStripes: options.bandedRows ?? true,
+      showColumnStripes: options.bandedColumns ?? false,
+      showFirstColumn: options.firstColumn ?? false,
+      showLastColumn: options.lastColumn ?? false,
+    },
+    columns,
+    rows,
+  });
+
+  if (totalsRow) {
+    const totalsRowNumber = rows.length + 2;
+    preparedColumns.forEach((column, index) => {
+      const cell = worksheet.getCell(`${getColumnLetter(index + 1)}${totalsRowNumber}`);
+      cell.font = { ...cell.font, bold: true };
+      if (column.numberFormat && TABLE_TOTAL_FUNCTIONS[column.total] && column.total !== 'count') {
+        cell.numFmt = column.numberFormat.numFmt;
+      }
+    });
+  }
+}
+
+/**
+ * Retorna o valor de uma célula para ser regravado pela tabela. O `cell.value` do ExcelJS omite resultados falsos
+ * de fórmulas (ex: `0`), por isso o resultado é lido de `cell.result`.
+ *
+ * @param {Object} cell - A célula do ExcelJS.
+ * @returns {any} - O valor da célula.
+ */
+function getStoredValue(cell) {
+  const value = cell.value;
+  if (value && typeof value === 'object' && 'formula' in value && cell.result !== undefined) {
+    return { ...value, result: cell.result };
+  }
+  return value;
+}
+
+/**
+ * Retorna os nomes das colunas da tabela a partir dos cabeçalhos. O Excel exige nomes únicos, por isso
+ * cabeçalhos repetidos recebem um número no final (ex: 'Valor', 'Valor2').
+ *
+ * @param {Array<Object>} preparedColumns - Colunas retornadas por `prepareColumns`.
+ * @returns {Array<string>} - Os nomes das colunas da tabela.
+ */
+function getTableColumnNames(preparedColumns) {
+  const used = new Set();
+  return preparedColumns.map((column, index) => {
+    const base = column.header === undefined || column.header === null || column.header === ''
+      ? `Coluna${index + 1}`
+      : String(column.header);
+    let name = base;
+    let counter = 1;
+    while (used.has(name.toLowerCase())) {
+      counter++;
+      name = `${base}${counter}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Verifica se o nome da tabela é aceito pelo Excel e ainda não foi usado no workbook.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook`.
+ * @param {string} name - O nome da tabela.
+ *
+ * @throws {Error} Caso o nome seja inválido ou já exista.
+ */
+function validateTableName(workbook, name) {
+  if (!TABLE_NAME_PATTERN.test(name) || CELL_REFERENCE_NAME_PATTERN.test(name) || name.length > 255) {
+    throw new Error(
+      `Nome de tabela inválido: "${name}". Use apenas letras, números, "_" e ".", começando com letra ou "_".`
+    );
+  }
+
+  const exists = workbook.worksheets.some((worksheet) =>
+    Object.keys(worksheet.tables || {}).some((tableName) => tableName.toLowerCase() === name.toLowerCase())
+  );
+  if (exists) {
+    throw new Error(`Já existe uma tabela chamada "${name}" no arquivo.`);
+  }
+}
+
+module.exports = {
+  addWorksheetTable,
+};
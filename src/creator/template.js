@@ -0,0 +1,462 @@
+const { getExcelWorkbook } = require('../parser/reader');
+const { updateSheetReferences } = require('../parser/modifier');
+const { formatDatePattern } = require('../utils/dateUtils');
+const { saveXlsxFile } = require('./creator');
+const { mapFormulaReferences } = require('./references');
+
+/** Marcador `{{caminho}}` substituído pelos dados */
+const PLACEHOLDER_PATTERN = /\{\{\s*([^#/{}\s][^{}]*?)\s*\}\}/g;
+
+/** Célula cujo texto é apenas um marcador: o valor é gravado com o tipo original (número, data...) */
+const SINGLE_PLACEHOLDER_PATTERN = /^\s*\{\{\s*([^#/{}\s][^{}]*?)\s*\}\}\s*$/;
+
+/** Início e fim de uma região repetida para cada item de um array */
+const EACH_START_PATTERN = /\{\{\s*#each\s+([^{}\s]+)\s*\}\}/;
+const EACH_END_PATTERN = /\{\{\s*\/each\s*\}\}/;
+
+/**
+ * Preenche um arquivo Excel modelo com os dados informados, mantendo o layout desenhado no próprio Excel.
+ *
+ * Em todas as abas, os marcadores `{{campo}}` (ou `{{cliente.nome}}`) são substituídos pelos dados. Uma célula que
+ * contém apenas o marcador recebe o valor com o tipo original (número, data, booleano), mantendo o formato da célula.
+ *
+ * As linhas entre `{{#each itens}}` e `{{/each}}` (que podem estar na mesma linha) são repetidas para cada item do
+ * array `itens`, copiando estilos, mesclagens, alturas e validações. Dentro da região, os marcadores procuram primeiro
+ * no item e depois nos dados gerais; `{{this}}` é o próprio item, `{{@index}}` a posição a partir de 0 e `{{@number}}`
+ * a posição a partir de 1. As linhas abaixo são deslocadas e as fórmulas ajustadas: referências à região repetida
+ * passam a cobrir todas as cópias (ex: `SUM(C5:C5)` vira `SUM(C5:C9)`).
+ *
+ * @param {string} templatePath - Caminho do arquivo modelo (.xlsx).
+ * @param {Object} data - Os dados usados nos marcadores.
+ * @param {string} outputPath - Caminho do arquivo gerado.
+ * @returns {Promise<string>} - O caminho do arquivo gerado.
+ * @throws {Error} - Lança um erro se os dados forem inválidos, uma região `{{#each}}` não for fechada ou não
+ * corresponder a um array, ou o arquivo não puder ser salvo.
+ */
+async function fillTemplate(templatePath, data, outputPath) {
+  if (typeof data !== 'object' || data === null) {
+    throw new Error('Os dados do template devem ser um objeto.');
+  }
+
+  const workbook = await getExcelWorkbook(templatePath);
+
+  workbook.worksheets.forEach((worksheet) => {
+    let block = findEachBlock(worksheet, 1);
+    while (block) {
+      const items = getPathValue(data, block.path);
+      if (!Array.isArray(items)) {
+        throw new Error(`A região {{#each ${block.path}}} da aba "${worksheet.name}" precisa de um array nos dados.`);
+      }
+
+      expandEachBlock(worksheet, block, items, data);
+      block = findEachBlock(worksheet, block.start + items.length * (block.end - block.start + 1));
+    }
+
+    fillPlaceholders(worksheet, [data]);
+  });
+
+  // As fórmulas deslocadas são recalculadas pelo Excel ao abrir o arquivo
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  await saveXlsxFile(workbook, outputPath);
+  return outputPath;
+}
+
+/**
+ * Procura a próxima região `{{#each}}` de uma aba.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {number} fromRow - Linha a partir da qual a busca começa.
+ * @returns {{ path: string, start: number, end: number }|null} - O caminho do array e as linhas de início e fim da região.
+ * @throws {Error} - Lança um erro se a região não for fechada ou houver regiões aninhadas.
+ */
+function findEachBlock(worksheet, fromRow) {
+  let block = null;
+
+  for (let rowNumber = fromRow; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const texts = [];
+    worksheet.getRow(rowNumber).eachCell((cell) => {
+      if (typeof cell.value === 'string') {
+        texts.push(cell.value);
+      }
+    });
+
+    for (const text of texts) {
+      const startMatch = text.match(EACH_START_PATTERN);
+      if (startMatch) {
+        if (block) {
+          throw new Error(`Regiões {{#each}} aninhadas não são suportadas (aba "${worksheet.name}", linha ${rowNumber}).`);
+        }
+        block = { path: startMatch[1], start: rowNumber };
+      }
+      if (block && EACH_END_PATTERN.test(text)) {
+        return { ...block, end: rowNumber };
+      }
+    }
+  }
+
+  if (block) {
+    throw new Error(`A região {{#each ${block.path}}} da aba "${worksheet.name}" não possui o {{/each}} correspondente.`);
+  }
+  return null;
+}
+
+/**
+ * Repete as linhas de uma região `{{#each}}` para cada item, deslocando as linhas abaixo, as mesclagens e as
+ * referências das fórmulas, das validações, das formatações condicionais, da área de impressão, das outras abas
+ * e dos nomes definidos.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Object} block - A região retornada por `findEachBlock`.
+ * @param {Array} items - Os itens da região.
+ * @param {Object} data - Os dados gerais do template.
+ */
+function expandEachBlock(worksheet, block, items, data) {
+  const { start, end } = block;
+  const size = end - start + 1;
+  const lastRow = worksheet.rowCount;
+  const delta = (items.length - 1) * size;
+  const mapRow = createRowMapper(start, end, items.length);
+
+  const merges = getWorksheetMerges(worksheet).filter((merge) => merge.bottom >= start);
+  merges.forEach((merge) => worksheet.unMergeCells(merge.top, merge.left, merge.bottom, merge.right));
+
+  const snapshots = [];
+  for (let rowNumber = start; rowNumber <= lastRow; rowNumber++) {
+    snapshots.push(captureRow(worksheet.getRow(rowNumber), rowNumber <= end));
+  }
+  for (let rowNumber = start; rowNumber <= lastRow; rowNumber++) {
+    clearRow(worksheet, worksheet.getRow(rowNumber));
+  }
+  // As linhas capturadas são ajustadas na gravação; o restante da aba, as outras abas e os nomes definidos, aqui
+  updateSheetReferences(worksheet, mapRow);
+
+  items.forEach((item, index) => {
+    const scopes = [{ this: item, '@index': index, '@number': index + 1 }, item, data];
+    snapshots.slice(0, size).forEach((snapshot, offset) => {
+      writeRow(worksheet.getRow(start + index * size + offset), snapshot, {
+        sheetName: worksheet.name,
+        mapRow,
+        copy: index,
+        scopes,
+      });
+    });
+  });
+  snapshots.slice(size).forEach((snapshot, offset) => {
+    writeRow(worksheet.getRow(end + 1 + offset + delta), snapshot, { sheetName: worksheet.name, mapRow, copy: null });
+  });
+
+  merges.forEach(({ top, left, bottom, right }) => {
+    const targets = top >= start && bottom <= end
+      ? items.map((item, index) => [top + index * size, bottom + index * size])
+      : [[mapRow(top, { side: 'start' }), mapRow(bottom, { side: 'end' })]];
+    targets
+      .filter(([newTop, newBottom]) => newTop < newBottom || (newTop === newBottom && left < right))
+      .forEach(([newTop, newBottom]) => worksheet.mergeCells(newTop, left, newBottom, right));
+  });
+}
+
+/**
+ * Cria a função que calcula a nova posição de uma linha após a expansão de uma região.
+ *
+ * Linhas abaixo da região são deslocadas. Dentro de uma cópia da região, referências relativas à própria região
+ * acompanham a cópia. Fora dela, um intervalo que cobre a região passa a cobrir todas as cópias.
+ *
+ * Sem cópias (array vazio), a região é removida: um intervalo que a atravessa encolhe para as linhas que restam e uma
+ * referência (ou intervalo) que fica toda dentro dela não existe mais e retorna null, gravada como `#REF!`.
+ *
+ * @param {number} start - Primeira linha da região.
+ * @param {number} end - Última linha da região.
+ * @param {number} copies - Quantidade de cópias (itens).
+ * @returns {function(number, Object): (number|null)} - A função `(linha, { absolute, copy, side }) => novaLinha`.
+ */
+function createRowMapper(start, end, copies) {
+  const size = end - start + 1;
+  const delta = (copies - 1) * size;
+
+  return (row, { absolute = false, copy = null, side = 'single' } = {}) => {
+    if (row < start) {
+      return row;
+    }
+    if (row > end) {
+      return row + delta;
+    }
+    if (copy !== null) {
+      return absolute ? row : row + copy * size;
+    }
+    if (copies === 0) {
+      // Região removida: o início de um intervalo passa para a linha seguinte e o fim para a anterior
+      if (side === 'start') {
+        return start;
+      }
+      return side === 'end' ? start - 1 : null;
+    }
+    return side === 'end' ? row + delta : row;
+  };
+}
+
+/**
+ * Ajusta as linhas das referências de uma fórmula, ignorando textos entre aspas e referências a outras abas.
+ *
+ * @param {string} formula - A fórmula, sem o `=`.
+ * @param {string} sheetName - O nome da aba da fórmula.
+ * @param {Function} mapRow - A função retornada por `createRowMapper`.
+ * @param {number|null} copy - A cópia da região em que a fórmula está, ou null se estiver fora dela.
+ * @returns {string} - A fórmula ajustada. Referências a linhas removidas viram `#REF!`.
+ */
+function shiftFormula(formula, sheetName, mapRow, copy) {
+  return mapFormulaReferences(formula, sheetName, (row, options) => mapRow(row, { ...options, copy }));
+}
+
+/**
+ * Ajusta uma fórmula capturada, descartando o resultado salvo quando as referências mudam.
+ *
+ * @param {Object} value - O valor `{ formula, result }` da célula.
+ * @param {string} sheetName - O nome da aba da fórmula.
+ * @param {Function} mapRow - A função retornada por `createRowMapper`.
+ * @param {number|null} copy - A cópia da região em que a fórmula está, ou null.
+ * @returns {Object} - O novo valor da célula.
+ */
+function shiftFormulaValue(value, sheetName, mapRow, copy) {
+  const formula = shiftFormula(value.formula, sheetName, mapRow, copy);
+  return formula === value.formula ? value : { formula };
+}
+
+/**
+ * Retorna uma cópia da validação com as referências das fórmulas ajustadas.
+ *
+ * @param {Object} validation - A validação da célula.
+ * @param {string} sheetName - O nome da aba da validação.
+ * @param {Function} mapRow - A função retornada por `createRowMapper`.
+ * @param {number|null} copy - A cópia da região em que a célula está, ou null.
+ * @returns {Object} - A nova validação.
+ */
+function shiftValidation(validation, sheetName, mapRow, copy) {
+  if (!Array.isArray(validation.formulae)) {
+    return validation;
+  }
+  return {
+    ...validation,
+    formulae: validation.formulae.map((formula) =>
+      typeof formula === 'string' ? shiftFormula(formula, sheetName, mapRow, copy) : formula
+    ),
+  };
+}
+
+/**
+ * Captura o conteúdo de uma linha: valores, estilos, comentários, validações e propriedades da linha.
+ *
+ * @param {Object} row - A linha do ExcelJS.
+ * @param {boolean} inBlock - Se a linha pertence à região `{{#each}}`, cujos marcadores são removidos.
+ * @returns {Object} - A cópia da linha.
+ */
+function captureRow(row, inBlock) {
+  const cells = [];
+  row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    let value = getTemplateCellValue(cell);
+    if (inBlock && typeof value === 'string') {
+      value = value.replace(EACH_START_PATTERN, '').replace(EACH_END_PATTERN, '');
+      value = value.trim() === '' ? null : value;
+    }
+
+    cells.push({
+      colNumber,
+      value,
+      style: structuredClone(cell.style),
+      note: cell.note,
+      dataValidation: cell.dataValidation,
+    });
+  });
+
+  return { height: row.height, hidden: row.hidden, outlineLevel: row.outlineLevel, cells };
+}
+
+/**
+ * Retorna o valor de uma célula do modelo. Células mescladas (exceto a principal) ficam vazias, e fórmulas
+ * compartilhadas são convertidas em fórmulas comuns, que podem ser deslocadas individualmente.
+ *
+ * @param {Object} cell - A célula do ExcelJS.
+ * @returns {any} - O valor da célula.
+ */
+function getTemplateCellValue(cell) {
+  if (cell.isMerged && cell.address !== cell.master.address) {
+    return null;
+  }
+  if (cell.formula) {
+    return { formula: cell.formula, result: cell.result };
+  }
+  return cell.value;
+}
+
+/**
+ * Limpa uma linha: valores, estilos, comentários, validações e propriedades da linha.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Object} row - A linha do ExcelJS.
+ */
+function clearRow(worksheet, row) {
+  row.eachCell({ includeEmpty: true }, (cell) => {
+    if (worksheet.dataValidations.find(cell.address)) {
+      worksheet.dataValidations.remove(cell.address);
+    }
+  });
+  row.splice(1, row.cellCount);
+  row.height = undefined;
+  row.hidden = false;
+  row.outlineLevel = 0;
+}
+
+/**
+ * Grava uma linha capturada na nova posição, ajustando as fórmulas e substituindo os marcadores.
+ *
+ * @param {Object} row - A linha de destino do ExcelJS.
+ * @param {Object} snapshot - A linha capturada por `captureRow`.
+ * @param {Object} options - `sheetName`, `mapRow`, `copy` (cópia da região, ou null) e `scopes` (dados dos marcadores,
+ * se os marcadores devem ser substituídos agora).
+ */
+function writeRow(row, snapshot, { sheetName, mapRow, copy, scopes = null }) {
+  row.height = snapshot.height;
+  row.hidden = snapshot.hidden;
+  row.outlineLevel = snapshot.outlineLevel;
+
+  snapshot.cells.forEach(({ colNumber, value, style, note, dataValidation }) => {
+    const cell = row.getCell(colNumber);
+    cell.style = structuredClone(style);
+
+    if (value && typeof value === 'object' && 'formula' in value) {
+      cell.value = shiftFormulaValue(value, sheetName, mapRow, copy);
+    } else {
+      cell.value = scopes ? replacePlaceholders(value, scopes) : value;
+    }
+
+    if (note) {
+      cell.note = note;
+    }
+    if (dataValidation) {
+      cell.dataValidation = shiftValidation(dataValidation, sheetName, mapRow, copy);
+    }
+  });
+}
+
+/**
+ * Substitui os marcadores `{{campo}}` de todas as células de uma aba.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Array<Object>} scopes - Os dados dos marcadores, em ordem de prioridade.
+ */
+function fillPlaceholders(worksheet, scopes) {
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      if (cell.isMerged && cell.address !== cell.master.address) {
+        return;
+      }
+      const value = replacePlaceholders(cell.value, scopes);
+      if (value !== cell.value) {
+        cell.value = value;
+      }
+    });
+  });
+}
+
+/**
+ * Substitui os marcadores de um valor de célula (texto ou rich text).
+ *
+ * @param {any} value - O valor da célula.
+ * @param {Array<Object>} scopes - Os dados dos marcadores, em ordem de prioridade.
+ * @returns {any} - O novo valor. Se o texto for apenas um marcador, o valor dos dados é retornado sem conversão.
+ */
+function replacePlaceholders(value, scopes) {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_PLACEHOLDER_PATTERN);
+    if (single) {
+      const resolved = getScopeValue(scopes, single[1]);
+      return resolved === undefined ? null : resolved;
+    }
+    if (!value.includes('{{')) {
+      return value;
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, placeholder) => formatTemplateValue(getScopeValue(scopes, placeholder)));
+  }
+
+  if (value && Array.isArray(value.richText)) {
+    return {
+      richText: value.richText.map((part) => ({
+        ...part,
+        text: part.text.replace(PLACEHOLDER_PATTERN, (match, placeholder) => formatTemplateValue(getScopeValue(scopes, placeholder))),
+      })),
+    };
+  }
+
+  return value;
+}
+
+/**
+ * Procura o valor de um marcador nos dados, em ordem de prioridade.
+ *
+ * @param {Array<Object>} scopes - Os dados dos marcadores.
+ * @param {string} placeholder - O caminho do marcador, ex: 'cliente.nome'.
+ * @returns {any} - O valor encontrado, ou undefined.
+ */
+function getScopeValue(scopes, placeholder) {
+  for (const scope of scopes) {
+    const value = getPathValue(scope, placeholder.trim());
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Retorna o valor de um caminho com pontos em um objeto, ex: 'cliente.endereco.cidade'.
+ *
+ * @param {Object} source - O objeto de origem.
+ * @param {string} valuePath - O caminho do valor.
+ * @returns {any} - O valor encontrado, ou undefined.
+ */
+function getPathValue(source, valuePath) {
+  if (source === null || typeof source !== 'object') {
+    return undefined;
+  }
+  if (valuePath in source) {
+    return source[valuePath];
+  }
+  return valuePath.split('.').reduce(
+    (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+    source
+  );
+}
+
+/**
+ * Converte um valor em texto, para marcadores que fazem parte de um texto maior.
+ *
+ * @param {any} value - O valor do marcador.
+ * @returns {string} - O texto. Datas usam o formato dd/MM/yyyy (com horário, quando houver).
+ */
+function formatTemplateValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    const hasTime = value.getUTCHours() || value.getUTCMinutes() || value.getUTCSeconds();
+    return formatDatePattern(value, hasTime ? 'dd/MM/yyyy HH:mm' : 'dd/MM/yyyy');
+  }
+  return String(value);
+}
+
+/**
+ * Retorna as mesclagens de uma aba, com as linhas e colunas de cada intervalo.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @returns {Array<{ top: number, left: number, bottom: number, right: number }>} - As mesclagens.
+ */
+function getWorksheetMerges(worksheet) {
+  return worksheet.model.merges.map((range) => {
+    const [first, last = first] = range.split(':').map((address) => worksheet.getCell(address));
+    return { top: first.row, left: first.col, bottom: last.row, right: last.col };
+  });
+}
+
+module.exports = {
+  fillTemplate,
+};
@@ -0,0 +1,328 @@
+const { formatTextToIdentifier } = require('../parser/transformer');
+const { parseDate } = require('../parser/schema');
+const { buildRowFormula, getColumnLetter } = require('./formulas');
+
+/** Tipos de validação por faixa de valores, com a descrição usada na mensagem de erro padrão */
+const RANGE_VALIDATION_TYPES = {
+  whole: 'um número inteiro',
+  decimal: 'um número',
+  date: 'uma data',
+  textLength: 'um texto',
+};
+
+/** Validações prontas de documentos e contatos, com a quantidade de dígitos esperada */
+const DOCUMENT_VALIDATIONS = {
+  cpf: { digits: 11, error: 'Informe um CPF com 11 dígitos.' },
+  cnpj: { digits: 14, error: 'Informe um CNPJ com 14 dígitos.' },
+  cep: { digits: 8, error: 'Informe um CEP com 8 dígitos.' },
+};
+
+/**
+ * Retorna a aba oculta usada para guardar os valores das listas de seleção, criando-a se necessário.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook` ou `WorkbookWriter`.
+ * @returns {Object} - A aba `HiddenSelect`.
+ */
+function getHiddenSelectSheet(workbook) {
+  const abaOculta = workbook.getWorksheet('HiddenSelect') || workbook.addWorksheet('HiddenSelect');
+  abaOculta.state = 'veryHidden';
+  return abaOculta;
+}
+
+/**
+ * Retorna a próxima linha livre da aba oculta.
+ *
+ * @param {Object} abaOculta - A aba `HiddenSelect`.
+ * @returns {number} - O número da linha.
+ */
+function getNextHiddenRow(abaOculta) {
+  // Em streaming a aba não possui `rowCount`; as linhas seguem em memória até o commit
+  const ultimaLinha = typeof abaOculta.rowCount === 'number'
+    ? abaOculta.rowCount
+    : abaOculta.lastRow?.number || 0;
+  return ultimaLinha + 1;
+}
+
+/**
+ * Grava os valores de uma lista de seleção na aba oculta (uma única vez por lista) e retorna o intervalo ocupado.
+ *
+ * @param {Object} abaOculta - A aba `HiddenSelect`.
+ * @param {Map} listaMapeada - Listas já gravadas, com a linha inicial de cada uma.
+ * @param {Array} values - Valores da lista.
+ * @returns {{ linhaInicio: number, linhaFim: number }} - Primeira e última linha da lista na aba oculta.
+ */
+function getSelectListRange(abaOculta, listaMapeada, values) {
+  const chave = values.join('|');
+  let linhaInicio;
+
+  if (listaMapeada.has(chave)) {
+    linhaInicio = listaMapeada.get(chave);
+  } else {
+    linhaInicio = getNextHiddenRow(abaOculta);
+    values.forEach((v, i) => abaOculta.getCell(`A${linhaInicio + i}`).value = v);
+    listaMapeada.set(chave, linhaInicio);
+  }
+
+  return { linhaInicio, linhaFim: linhaInicio + values.length - 1 };
+}
+
+/**
+ * Grava as opções de uma lista dependente na aba oculta (uma única vez por lista) e retorna o intervalo ocupado.
+ * Cada linha do bloco guarda o valor da coluna principal (coluna A), a quantidade de opções (coluna B)
+ * e as opções, na horizontal (a partir da coluna C).
+ *
+ * @param {Object} abaOculta - A aba `HiddenSelect`.
+ * @param {Map} listaMapeada - Listas já gravadas, com a linha inicial de cada uma.
+ * @param {Object} options - As opções por valor da coluna principal, ex: `{ SP: ['Campinas', 'Santos'] }`.
+ * @returns {{ linhaInicio: number, linhaFim: number }} - Primeira e última linha do bloco na aba oculta.
+ */
+function getDependentListRange(abaOculta, listaMapeada, options) {
+  const chave = `dependente:${JSON.stringify(options)}`;
+  const keys = Object.keys(options);
+  let linhaInicio;
+
+  if (listaMapeada.has(chave)) {
+    linhaInicio = listaMapeada.get(chave);
+  } else {
+    linhaInicio = getNextHiddenRow(abaOculta);
+    keys.forEach((key, i) => {
+      const row = abaOculta.getRow(linhaInicio + i);
+      const values = Array.isArray(options[key]) ? options[key] : [];
+      row.getCell(1).value = key;
+      row.getCell(2).value = values.length;
+      values.forEach((value, j) => row.getCell(j + 3).value = value);
+    });
+    listaMapeada.set(chave, linhaInicio);
+  }
+
+  return { linhaInicio, linhaFim: linhaInicio + keys.length - 1 };
+}
+
+/**
+ * Grava na aba oculta as listas usadas pela validação de uma coluna e cria o intervalo nomeado, quando informado.
+ * Na gravação em streaming as listas precisam ser gravadas antes das linhas, pois a aba oculta só é finalizada no fim.
+ *
+ * @param {Object} abaOculta - A aba `HiddenSelect`.
+ * @param {Map} listaMapeada - Listas já gravadas na aba oculta.
+ * @param {Object} validation - A validação da coluna.
+ */
+function prepareValidationLists(abaOculta, listaMapeada, validation) {
+  if (!validation?.select) {
+    return;
+  }
+  if (validation.dependsOn && validation.options && typeof validation.options === 'object') {
+    getDependentListRange(abaOculta, listaMapeada, validation.options);
+  } else if (Array.isArray(validation.values)) {
+    const { linhaInicio, linhaFim } = getSelectListRange(abaOculta, listaMapeada, validation.values);
+    const { definedNames } = abaOculta.workbook;
+    if (validation.name && !definedNames.getRanges(validation.name).ranges.length) {
+      definedNames.add(`HiddenSelect!$A$${linhaInicio}:$A$${linhaFim}`, validation.name);
+    }
+  }
+}
+
+/**
+ * Converte a validação simplificada de uma coluna ou célula na validação de dados do ExcelJS.
+ * Validações no formato do ExcelJS (com `formulae`) são usadas sem alteração.
+ *
+ * Validações aceitas:
+ *   - `{ select: true, values: ['A', 'B'] }`: Lista de seleção gravada na aba oculta. Com `name`, a lista também
+ *     recebe um intervalo nomeado, que pode ser usado por outras colunas e abas.
+ *   - `{ select: true, source: 'Estados' }`: Lista a partir de um intervalo nomeado ou de um intervalo ('Listas!$A$1:$A$10').
+ *   - `{ select: true, dependsOn: 'estado', options: { SP: ['Campinas'], RJ: ['Niterói'] } }`: Lista dependente, com as
+ *     opções conforme o valor da coluna `estado` na mesma linha.
+ *   - `{ type: 'whole' | 'decimal' | 'date' | 'textLength', min, max }`: Faixa de valores (ou de quantidade de caracteres).
+ *     Apenas `min` ou apenas `max` também são aceitos, e `length` exige uma quantidade exata de caracteres.
+ *   - `{ type: 'custom', formula: 'LEN([@cpf])=11' }`: Fórmula personalizada, com as mesmas referências de `formula` das colunas.
+ *   - `{ type: 'cpf' | 'cnpj' | 'cep' | 'email' }`: Validações prontas; os documentos aceitam pontos, traços e barras.
+ *
+ * Todas aceitam `prompt` e `promptTitle` (mensagem exibida ao selecionar a célula), `error` e `errorTitle`,
+ * `errorStyle` ('stop', 'warning' ou 'information') e `allowBlank` (padrão: true).
+ *
+ * @param {Object} validation - A validação da coluna ou da célula.
+ * @param {Object} context - Dados da célula validada:
+ *   - `abaOculta`, `listaMapeada`: Aba oculta e listas já gravadas.
+ *   - `preparedColumns`: Colunas retornadas por `prepareColumns`.
+ *   - `columnIndex`: Posição da coluna da célula (a partir de 0).
+ *   - `rowNumber`: Número da linha da célula.
+ * @returns {Object} - A validação de dados do ExcelJS.
+ *
+ * @throws {Error} Caso a validação seja inválida.
+ */
+function buildCellValidation(validation, context) {
+  if (!validation || typeof validation !== 'object' || Array.isArray(validation.formulae)) {
+    return validation;
+  }
+
+  const { preparedColumns, columnIndex, rowNumber } = context;
+  const header = preparedColumns[columnIndex].header;
+  const cellAddress = `${getColumnLetter(columnIndex + 1)}${rowNumber}`;
+
+  if (validation.select) {
+    return withMessages(getListValidation(validation, context, header), validation, 'Escolha um valor da lista suspensa.');
+  }
+
+  if (RANGE_VALIDATION_TYPES[validation.type]) {
+    return getRangeValidation(validation, header);
+  }
+
+  if (validation.type === 'custom') {
+    if (!validation.formula) {
+      throw new Error(`A validação personalizada da coluna "${header}" precisa de "formula".`);
+    }
+    const formula = buildRowFormula(validation.formula, preparedColumns, rowNumber, header);
+    return withMessages({ type: 'custom', formulae: [formula] }, validation, 'O valor informado não é válido.');
+  }
+
+  if (DOCUMENT_VALIDATIONS[validation.type]) {
+    const { digits, error } = DOCUMENT_VALIDATIONS[validation.type];
+    const onlyDigits = `SUBSTITUTE(SUBSTITUTE(SUBSTITUTE(${cellAddress},".",""),"-",""),"/","")`;
+    const formula = `AND(LEN(${onlyDigits})=${digits},ISNUMBER(VALUE(${onlyDigits})))`;
+    return withMessages({ type: 'custom', formulae: [formula] }, validation, error);
+  }
+
+  if (validation.type === 'email') {
+    const at = `SEARCH("@",${cellAddress})`;
+    const formula = `AND(ISNUMBER(${at}),ISNUMBER(SEARCH(".",${cellAddress},${at}+2)),ISERROR(SEARCH(" ",${cellAddress})))`;
+    return withMessages({ type: 'custom', formulae: [formula] }, validation, 'Informe um e-mail válido.');
+  }
+
+  return validation;
+}
+
+/**
+ * Monta a validação de lista: valores fixos, intervalo nomeado ou lista dependente de outra coluna.
+ *
+ * @param {Object} validation - A validação da coluna.
+ * @param {Object} context - Dados da célula validada (ver `buildCellValidation`).
+ * @param {string} header - O cabeçalho da coluna, usado nas mensagens de erro.
+ * @returns {Object} - A validação de lista do ExcelJS, sem as mensagens.
+ *
+ * @throws {Error} Caso a lista não tenha valores, origem ou opções, ou a coluna principal não exista.
+ */
+function getListValidation(validation, context, header) {
+  const { abaOculta, listaMapeada, preparedColumns, rowNumber } = context;
+
+  if (validation.dependsOn) {
+    if (!validation.options || typeof validation.options !== 'object') {
+      throw new Error(`A lista dependente da coluna "${header}" precisa de "options".`);
+    }
+    const parentIndex = preparedColumns.findIndex((column) =>
+      column.key === validation.dependsOn || column.key === formatTextToIdentifier(validation.dependsOn)
+    );
+    if (parentIndex === -1) {
+      throw new Error(`Coluna "${validation.dependsOn}" usada na lista dependente da coluna "${header}" não encontrada.`);
+    }
+
+    const { linhaInicio, linhaFim } = getDependentListRange(abaOculta, listaMapeada, validation.options);
+    const parentCell = `$${getColumnLetter(parentIndex + 1)}${rowNumber}`;
+    const match = `MATCH(${parentCell},HiddenSelect!$A$${linhaInicio}:$A$${linhaFim},0)`;
+    return {
+      type: 'list',
+      formulae: [
+        `OFFSET(HiddenSelect!$C$${linhaInicio},${match}-1,0,1,INDEX(HiddenSelect!$B$${linhaInicio}:$B$${linhaFim},${match}))`,
+      ],
+    };
+  }
+
+  if (validation.source) {
+    return { type: 'list', formulae: [String(validation.source).replace(/^=/, '')] };
+  }
+
+  if (!Array.isArray(validation.values)) {
+    throw new Error(`A lista de seleção da coluna "${header}" precisa de "values", "source" ou "dependsOn".`);
+  }
+
+  prepareValidationLists(abaOculta, listaMapeada, validation);
+  const { linhaInicio, linhaFim } = getSelectListRange(abaOculta, listaMapeada, validation.values);
+  return {
+    type: 'list',
+    formulae: [`=HiddenSelect!$A$${linhaInicio}:$A$${linhaFim}`],
+  };
+}
+
+/**
+ * Monta a validação por faixa de valores (`whole`, `decimal`, `date`, `textLength`).
+ *
+ * @param {Object} validation - A validação da coluna.
+ * @param {string} header - O cabeçalho da coluna, usado nas mensagens de erro.
+ * @returns {Object} - A validação do ExcelJS.
+ *
+ * @throws {Error} Caso não haja `min`, `max` nem `length`, ou algum limite seja inválido.
+ */
+function getRangeValidation(validation, header) {
+  const { type } = validation;
+  const toLimit = (value) => {
+    const limit = type === 'date' ? parseDate(value) : Number(value);
+    if (limit === null || (typeof limit === 'number' && !Number.isFinite(limit))) {
+      throw new Error(`Limite inválido na validação da coluna "${header}": ${value}`);
+    }
+    return limit;
+  };
+  const describe = (value) => (value instanceof Date
+    ? `${String(value.getUTCDate()).padStart(2, '0')}/${String(value.getUTCMonth() + 1).padStart(2, '0')}/${value.getUTCFullYear()}`
+    : String(value));
+
+  const hasMin = validation.min !== undefined && validation.min !== null;
+  const hasMax = validation.max !== undefined && validation.max !== null;
+  const hasLength = type === 'textLength' && validation.length !== undefined && validation.length !== null;
+
+  let rule;
+  let description;
+  if (hasLength) {
+    const length = toLimit(validation.length);
+    rule = { operator: 'equal', formulae: [length] };
+    description = `com exatamente ${length} caracteres`;
+  } else if (hasMin && hasMax) {
+    const min = toLimit(validation.min);
+    const max = toLimit(validation.max);
+    rule = { operator: 'between', formulae: [min, max] };
+    description = type === 'textLength' ? `com ${min} a ${max} caracteres` : `entre ${describe(min)} e ${describe(max)}`;
+  } else if (hasMin) {
+    const min = toLimit(validation.min);
+    rule = { operator: 'greaterThanOrEqual', formulae: [min] };
+    description = type === 'textLength' ? `com pelo menos ${min} caracteres` : `maior ou igual a ${describe(min)}`;
+  } else if (hasMax) {
+    const max = toLimit(validation.max);
+    rule = { operator: 'lessThanOrEqual', formulae: [max] };
+    description = type === 'textLength' ? `com no máximo ${max} caracteres` : `menor ou igual a ${describe(max)}`;
+  } else {
+    throw new Error(`A validação "${type}" da coluna "${header}" precisa de "min", "max"${type === 'textLength' ? ' ou "length"' : ''}.`);
+  }
+
+  return withMessages({ type, ...rule }, validation, `Informe ${RANGE_VALIDATION_TYPES[type]} ${description}.`);
+}
+
+/**
+ * Acrescenta à validação as mensagens de erro e de entrada e as opções comuns a todos os tipos.
+ *
+ * @param {Object} dataValidation - A validação do ExcelJS.
+ * @param {Object} validation - A validação simplificada, com `prompt`, `promptTitle`, `error`, `errorTitle`,
+ * `errorStyle` e `allowBlank`.
+ * @param {string} defaultError - Mensagem de erro usada quando `error` não é informado.
+ * @returns {Object} - A validação completa.
+ */
+function withMessages(dataValidation, validation, defaultError) {
+  const result = {
+    ...dataValidation,
+    allowBlank: validation.allowBlank ?? true,
+    showErrorMessage: true,
+    errorStyle: validation.errorStyle || 'stop',
+    errorTitle: validation.errorTitle || 'Entrada inválida',
+    error: validation.error || defaultError,
+  };
+
+  if (validation.prompt) {
+    result.showInputMessage = true;
+    result.promptTitle = validation.promptTitle || '';
+    result.prompt = validation.prompt;
+  }
+
+  return result;
+}
+
+module.exports = {
+  getHiddenSelectSheet,
+  prepareValidationLists,
+  buildCellValidation,
+};
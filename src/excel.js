@@ -1,10 +1,18 @@
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { createExcelXlsx } = require('./creator/creator');
-const { createExcelCsv } = require('./creator/csvCreator');
-const { excelToJson } = require('./parser/extractor');
-const { csvToXlsx } = require('./parser/reader');
+const { createExcelCsv, xlsxToCsv } = require('./creator/csvCreator');
+const { excelToJson, excelToJsonAll, excelToJsonStream } = require('./parser/extractor');
+const { csvToXlsx } = require('./creator/csvConverter');
+const { fillTemplate } = require('./creator/template');
+const { mergeWorkbooks } = require('./creator/merger');
+const { splitWorkbook } = require('./creator/splitter');
+const { openWorkbookEditor, hiddenColumns } = require('./parser/modifier');
+const { compareWorkbooks } = require('./parser/comparator');
 const { formatTextToIdentifier } = require('./parser/transformer');
+const { createStyleRegistry, registerCellStyle, createThemeConfig } = require('./creator/styles');
+const { resolveProtection } = require('./creator/protection');
 const { setDirectory } = require('./utils/pathUtils');
 
 class Excel {
@@ -43,31 +51,178 @@ class Excel {
       },
     };
 
+    /** Estilos de célula com nome desta instância: os pré-definidos e os registrados com `registerStyle` */
+    this.cellStyles = createStyleRegistry();
+
+    /**
+     * Proteção padrão das planilhas criadas: `enabled`, `password`, `allow` (ações liberadas nas abas protegidas),
+     * `editableRanges` (faixas desbloqueadas) e `workbook` (proteção da estrutura). Ver `create`.
+     */
     this.protection = {
+      ...config?.protection,
       enabled: config?.protection?.enabled ?? false,
       password: config?.protection?.password ?? '',
     };
   }
 
+  /**
+   * Registra um estilo de célula com nome, que pode ser usado nas colunas, nas células (`{ value, style }`),
+   * na formatação condicional e nos temas, como os estilos pré-definidos "Bom", "Ruim" e "Neutro".
+   * Cada instância tem o próprio registro de estilos, e os estilos pré-definidos não podem ser substituídos.
+   *
+   * @param {string} name - O nome do estilo.
+   * @param {Object} style - O estilo: `fill` (objeto do ExcelJS ou cor RGB), `font`, `border`, `alignment`, `numFmt`,
+   * `protection` e, opcionalmente, `extends` com o nome do estilo do qual este parte.
+   * @returns {Excel} - A própria instância, para encadear os registros.
+   *
+   * @example
+   * E.registerStyle('Marca', { fill: '1F4E78', font: { color: { argb: 'FFFFFF' }, bold: true } });
+   * E.registerStyle('Alerta', { extends: 'Ruim', font: { bold: true } });
+   */
+  registerStyle(name, style) {
+    registerCellStyle(this.cellStyles, name, style);
+    return this;
+  }
+
+  /**
+   * Registra um tema, que pode ser usado pelo nome no parâmetro `config` de `create` e `toXlsx`.
+   *
+   * @param {string} name - O nome do tema.
+   * @param {Object} theme - O tema:
+   *   - `font`: Fonte de todo o documento (padrão: a fonte do documento desta instância).
+   *   - `header`: Estilo do cabeçalho (`font`, `fill`, `alignment`, `border`), além de `fixed` e `filter`.
+   *   - `body`: Estilo das células de dados.
+   *   - `zebra`: Estilo das linhas pares de dados, ex: 'F2F2F2'.
+   *   - `borders`: Bordas das células, ex: `true`, 'thin' ou `{ style: 'thin', color: 'BFBFBF' }`.
+   *   - `styles`: Estilos registrados junto com o tema (ver `registerStyle`).
+   *   - `extends`: Nome do tema do qual este parte.
+   * @returns {Excel} - A própria instância, para encadear os registros.
+   * @throws {Error} - Lança um erro se o nome for inválido ou o tema de `extends` não existir.
+   *
+   * @example
+   * E.registerTheme('corporativo', {
+   *   header: { fill: '1F4E78', font: { color: { argb: 'FFFFFF' } } },
+   *   zebra: 'F2F2F2',
+   *   borders: { style: 'thin', color: 'BFBFBF' },
+   * });
+   * await E.create('Relatório', colunas, linhas, 'relatorio.xlsx', 'corporativo');
+   */
+  registerTheme(name, theme) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Necessário informar o nome do tema.');
+    }
+    if (!theme || typeof theme !== 'object') {
+      throw new Error(`O tema "${name}" deve ser um objeto.`);
+    }
+    if (theme.extends && !this.documentPredefinitions[theme.extends]) {
+      throw new Error(`Tema "${theme.extends}" não encontrado para o tema "${name}".`);
+    }
+
+    Object.entries(theme.styles || {}).forEach(([styleName, style]) => registerCellStyle(this.cellStyles, styleName, style));
+
+    // A fonte do documento só é usada como padrão quando o tema não parte de outro tema
+    const font = theme.extends && !theme.font
+      ? undefined
+      : { name: this.document_font, size: this.document_size, ...theme.font };
+    this.documentPredefinitions[name] = createThemeConfig(
+      { ...theme, font },
+      theme.extends ? this.documentPredefinitions[theme.extends] : {}
+    );
+    return this;
+  }
+
+  /**
+   * Carrega estilos e temas de um arquivo JSON (ou de um objeto já lido), para que todos os serviços
+   * gerem relatórios com a mesma identidade visual.
+   *
+   * @param {string|Object} source - Caminho do arquivo JSON (relativo à pasta do projeto ou absoluto), ou o objeto
+   * `{ styles: { Nome: estilo }, themes: { nome: tema } }`.
+   * @returns {Promise<Excel>} - A própria instância.
+   * @throws {Error} - Lança um erro se o arquivo não puder ser lido ou não for um JSON válido.
+   *
+   * @example
+   * await E.loadStyles('estilos/marca.json');
+   */
+  async loadStyles(source) {
+    let registry = source;
+    if (typeof source === 'string') {
+      const file = setDirectory(source, this.pastaProjeto);
+      try {
+        registry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Não foi possível carregar os estilos de ${file}: ${error.message}`);
+      }
+    }
+
+    Object.entries(registry?.styles || {}).forEach(([name, style]) => this.registerStyle(name, style));
+    Object.entries(registry?.themes || {}).forEach(([name, theme]) => this.registerTheme(name, theme));
+    return this;
+  }
 
+  /**
+   * Retorna as configurações de estilo de uma planilha, com os estilos registrados nesta instância (`cellStyles`).
+   *
+   * @param {Object|string} config - As configurações, ou o nome de um estilo pré-definido ou tema.
+   * @returns {Object} - As configurações.
+   */
+  getDocumentConfig(config) {
+    const documentConfig = typeof config === 'string' ? this.documentPredefinitions[config] ?? {} : config || {};
+    return { cellStyles: this.cellStyles, ...documentConfig };
+  }
 
   /**
    * Converte uma planilha do Excel em um array de objetos JSON formatados.
    *
    * @param {string} fileExcel - O caminho do arquivo Excel.
    * @param {string} sheetName - O nome da aba a ser acessada e retornada.
-   * @param {number} [headerIndex=1] - O cabeçalho da planilha (padrão é 1).
-   * @param {number} initRow - O número da linha inicial para começar a conversão.
+   * @param {number|string} [headerIndex=1] - O cabeçalho da planilha (padrão é 1). Use 'auto' para detectá-lo em
+   * arquivos com títulos, logos ou linhas em branco acima da tabela: é escolhida a primeira linha com todas as
+   * `necessaryColumns` ou, sem elas, a linha com mais textos distintos entre as primeiras.
+   * @param {number|null} [initRow=null] - O número da linha inicial para começar a conversão. Se nulo, os dados começam
+   * na linha seguinte ao cabeçalho (ou na próxima linha não vazia, com 'auto').
    * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha
-   * @returns {Array<Object>} - Um array de objetos JSON formatados.
+   * @param {Object} [options={}] - Opções adicionais de leitura:
+   *   - `schema`: Tipagem por coluna, usando os identificadores das colunas como chaves. Cada definição aceita
+   *     `type` ('string', 'integer', 'decimal', 'boolean', 'date', 'datetime', 'enum'), `required`, `default`,
+   *     `values` (para enum) e `parse` (função personalizada). Também aceita o atalho `{ quantidade: 'integer' }`.
+   *   - `dates`: Formatação das datas, global ou por coluna em `columns`: `format` ('iso', 'epoch', 'native',
+   *     'extenso', 'legacy' ou um padrão como 'dd/MM/yyyy HH:mm'), `timeZone` (IANA) e `locale` dos nomes dos meses.
+   *     Sem essa opção, o formato é escolhido pelo nome da coluna ("horario", "extenso"), como nas versões anteriores.
+   *   - `headerDetection`: Opções da detecção com 'auto', como `maxRows` (linhas analisadas, padrão: 20).
+   *   - `headerRows`: Quantidade de linhas do cabeçalho (padrão: 1). Em cabeçalhos de vários níveis, como "Janeiro"
+   *     mesclado sobre "Qtd | Valor", as chaves são compostas: `janeiro_qtd`, `janeiro_valor`.
+   *   - `fillMerged`: Leitura das células mescladas nos dados: true repete o valor em toda a mescla (padrão),
+   *     'down' apenas na vertical, 'across' apenas na horizontal e false mantém o valor só na primeira célula.
+   *   - `aliases`: Apelidos das colunas, ex: `{ cpf: ['CPF', 'C.P.F', 'Documento'] }`. A comparação ignora acentos,
+   *     maiúsculas e espaços; as colunas encontradas usam o nome canônico (`cpf`) como chave nos dados, e as
+   *     `necessaryColumns` podem ser informadas pelo nome canônico.
+   *   - `fuzzy`: Aceita nomes de colunas aproximados (ex: "Endereco" e "Enderço"): true (até 2 caracteres diferentes)
+   *     ou a distância máxima.
+   *   - `metadata`: Retorna também `metadata`, um array paralelo a `data` com os metadados de cada célula, pelas mesmas
+   *     chaves: `address`, `style` (nome do estilo pré-definido, como 'Bom' e 'Ruim', ou `{ fill, font }`), `fillColor`,
+   *     `fontColor`, `hyperlink`, `note`, `formula` e `result`. O `style` e o `note` podem ser usados diretamente nas
+   *     células `{ value, style, note }` de `create`.
+   * @returns {Object} - `{ header, data, headerIndex, initRow }`: os dados formatados e as linhas do cabeçalho e do
+   * início dos dados efetivamente usadas. Com `schema`, retorna também `errors`: a lista `{ row, column, value, message }`
+   * das linhas que falharam, e com `metadata`, o array `metadata`.
    * @throws {Error} - Lança um erro se os parâmetros fornecidos não forem válidos.
+   *
+   * @example
+   * const { data, errors } = await E.toJson('pedidos.xlsx', 'Dados', 1, 2, [], {
+   *   schema: {
+   *     quantidade: { type: 'integer', required: true },
+   *     entrega: 'date',
+   *     status: { type: 'enum', values: ['Aberto', 'Fechado'], default: 'Aberto' },
+   *   },
+   * });
    */
   async toJson(
     fileExcel,
     sheetName,
     headerIndex = 1,
-    initRow = 2,
-    necessaryColumns = []
+    initRow = null,
+    necessaryColumns = [],
+    options = {}
   ) {
     let json = await excelToJson(
       setDirectory(fileExcel, this.pastaProjeto),
@@ -75,13 +230,90 @@ class Excel {
       sheetName,
       headerIndex,
       necessaryColumns,
-      { header: true }
+      {
+        header: true,
+        schema: options?.schema,
+        dates: options?.dates,
+        headerDetection: options?.headerDetection,
+        headerRows: options?.headerRows,
+        fillMerged: options?.fillMerged,
+        aliases: options?.aliases,
+        fuzzy: options?.fuzzy,
+        metadata: options?.metadata,
+      }
     );
 
-    return {
+    const result = {
       header: [...Object.keys(json.header)],
       data: json.data,
+      headerIndex: json.headerIndex,
+      initRow: json.initRow,
     };
+    if (json.errors) {
+      result.errors = json.errors;
+    }
+    if (json.metadata) {
+      result.metadata = json.metadata;
+    }
+    return result;
+  }
+
+  /**
+   * Converte uma planilha do Excel em objetos JSON formatados, lendo o arquivo em streaming.
+   * Indicado para planilhas com centenas de milhares de linhas.
+   *
+   * @param {string} fileExcel - O caminho do arquivo Excel.
+   * @param {string|number} sheetName - O nome (ou índice) da aba a ser lida.
+   * @param {number} [headerIndex=1] - O cabeçalho da planilha (padrão é 1).
+   * @param {number} [initRow=2] - O número da linha inicial para começar a conversão.
+   * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha
+   * @param {Object} [options={}] - Opções adicionais de leitura:
+   *   - `dates`: Formatação das datas, como em `toJson`.
+   *   - `aliases`, `fuzzy`: Apelidos e busca aproximada das colunas, como em `toJson`.
+   * @returns {AsyncGenerator<Object>} - Um iterador assíncrono de objetos JSON formatados.
+   * Para obter um `Readable` em modo objeto, use `Readable.from(E.toJsonStream(...))`.
+   */
+  toJsonStream(
+    fileExcel,
+    sheetName,
+    headerIndex = 1,
+    initRow = 2,
+    necessaryColumns = [],
+    options = {}
+  ) {
+    return excelToJsonStream(
+      setDirectory(fileExcel, this.pastaProjeto),
+      initRow,
+      sheetName,
+      headerIndex,
+      necessaryColumns,
+      { dates: options?.dates, aliases: options?.aliases, fuzzy: options?.fuzzy }
+    );
+  }
+
+  /**
+   * Lê todas as abas (ou as abas filtradas) de um arquivo Excel em uma única chamada, carregando o arquivo uma vez.
+   *
+   * @param {string} fileExcel - O caminho do arquivo Excel (relativo à pasta do projeto ou absoluto).
+   * @param {Object} [options={}] - Opções de leitura:
+   *   - `sheets`: Filtro das abas: nome (aceita `*` como curinga, ex: 'Vendas*'), RegExp, posição (1 = primeira aba)
+   *     ou um array deles. Sem filtro, todas as abas visíveis são lidas.
+   *   - `includeHidden`: Inclui as abas ocultas, como a `HiddenSelect` criada pelas listas de seleção (padrão: false).
+   *   - `headerIndex`: Linha do cabeçalho de todas as abas, ou 'auto' para detectá-la em cada aba (padrão: 1).
+   *   - `headerDetection`, `headerRows`, `fillMerged`, `aliases`, `fuzzy`, `metadata`: As mesmas opções de `toJson`.
+   *   - `initRow`: Linha inicial dos dados (padrão: a linha seguinte ao cabeçalho).
+   *   - `necessaryColumns`, `schema`, `dates`: As mesmas opções de `toJson`.
+   *   - `sheetOptions`: Opções específicas por aba, ex: `{ Resumo: { headerIndex: 3, initRow: 5 } }`.
+   * @returns {Promise<Object>} - Um objeto com o nome de cada aba como chave e `{ header, data, headerIndex, initRow }` como valor
+   * (com `errors`, quando há `schema`).
+   * @throws {Error} - Lança um erro, com o nome da aba, se alguma coluna necessária não for encontrada.
+   *
+   * @example
+   * const abas = await E.toJsonAll('relatorio.xlsx', { sheets: /^Vendas/, sheetOptions: { Resumo: { headerIndex: 2 } } });
+   * abas['Vendas Janeiro'].data;
+   */
+  async toJsonAll(fileExcel, options = {}) {
+    return excelToJsonAll(setDirectory(fileExcel, this.pastaProjeto), options);
   }
 
   /**
@@ -90,11 +322,42 @@ class Excel {
    * @param {string | Array} sheetConfigOrName - Nome da aba (string) para uma única aba ou array de configurações de abas para múltiplas abas.
    * Cada configuração de aba deve conter os campos `sheetName`, `columns` e `rows`.
    * @param {Array} columns - Definição das colunas para a aba única ou o diretório de saída, caso `sheetConfigOrName` seja um array.
-   * @param {Array} rows - Linhas de dados para a aba única ou configurações adicionais, caso `sheetConfigOrName` seja um array.
+   * Cada coluna pode ter `conditionalFormats`: regras de formatação condicional gravadas no Excel, que continuam valendo
+   * quando os dados são editados, ex: `[{ when: '>', value: 100, style: 'Ruim' }, { duplicates: true, style: 'Neutro' }, { dataBar: true }]`.
+   * Colunas com `formula` recebem a fórmula em todas as linhas, com referências relativas à linha, ex: `'=[@quantidade]*[@preco]'`
+   * ou `'={quantidade}{row}*{preco}{row}'`. Com `total` (`sum`, `avg`, `count`, `min`, `max` ou um texto como 'Total'), uma linha
+   * de totais com fórmulas é gravada abaixo dos dados. Os resultados das contas simples são salvos junto com as fórmulas.
+   * O `format` da coluna (ou de uma célula `{ value, format }`) define o formato numérico: 'currency:BRL', 'percent', 'integer',
+   * 'decimal:3', 'date:dd/mm/yyyy', 'datetime', 'text' ou um `numFmt` personalizado. Textos numéricos e de data (ex: ISO 8601)
+   * são convertidos em números e datas reais, e percentuais como '12%' viram 0.12. Textos ambíguos como '1.500' só são convertidos com o `decimalSeparator`
+   * (',' ou '.') da coluna ou de `config`; sem ele, ficam como texto. Colunas com `format: 'text'` ou `'@'` mantêm o texto.
+   * A `validation` da coluna aceita listas (`{ select: true, values }`, de um intervalo nomeado com `source` ou dependentes de
+   * outra coluna com `dependsOn`), faixas (`{ type: 'whole' | 'decimal' | 'date' | 'textLength', min, max }`), fórmulas
+   * (`{ type: 'custom', formula }`), validações prontas (`cpf`, `cnpj`, `cep`, `email`) e mensagens de entrada (`prompt`).
+   * @param {Array|AsyncIterable<Object>} rows - Linhas de dados para a aba única ou configurações adicionais, caso `sheetConfigOrName` seja um array.
+   * As linhas também podem ser um iterável assíncrono ou um `Readable` em modo objeto: nesse caso o arquivo é gravado em streaming.
    * @param {string} directory - Diretório para salvar o arquivo .xlsx.
    * @param {Object} config - Objeto de configurações opcionais, ou uma string com um estilo pré-definido.
+   * Com `table: true` (ou `{ name, style: 'TableStyleMedium2', bandedRows, bandedColumns, totalsRow }`), os dados são gravados
+   * como uma tabela nativa do Excel, que pode ser ordenada, expande automaticamente e pode ser usada por tabelas dinâmicas e pelo Power Query.
+   * Com `protection`, a proteção da instância é sobrescrita nesta chamada; cada aba do array também aceita a sua `protection`
+   * (`false` deixa a aba sem proteção). A proteção aceita:
+   *   - `password`: Senha das abas (e da estrutura, se `workbook` não tiver a sua).
+   *   - `allow`: Ações liberadas nas abas protegidas: `sort`, `autoFilter`, `formatCells`, `formatColumns`, `formatRows`,
+   *     `insertRows`, `insertColumns`, `insertHyperlinks`, `deleteRows`, `deleteColumns`, `pivotTables`, `selectLockedCells`
+   *     e `selectUnlockedCells`. No Excel, a ordenação só funciona em células desbloqueadas.
+   *   - `editableRanges`: Faixas desbloqueadas, além das colunas com `editable: true`, ex: `[{ columns: ['quantidade', 'obs'],
+   *     rows: [2, 500] }, { columns: 'D:F' }, { range: 'H2:H100' }]`. Sem `rows`, a faixa vai até a última linha de dados.
+   *   - `workbook`: Protege a estrutura do workbook, impedindo renomear, excluir, mover ou reexibir abas (como a `HiddenSelect`):
+   *     `true` ou `{ structure: true, windows: false, password }`.
    *
    * @returns {Promise<void>} Retorna uma promessa que cria e salva o arquivo Excel.
+   *
+   * @example
+   * await E.create([
+   *   { sheetName: 'Pedidos', columns, rows, protection: { allow: { sort: true }, editableRanges: [{ columns: ['quantidade'] }] } },
+   *   { sheetName: 'Resumo', columns: resumoColumns, rows: resumo, protection: { password: 'outra' } },
+   * ], null, null, 'pedidos.xlsx', { protection: { password: '1234', workbook: true } });
    */
   async create(
     sheetConfigOrName,
@@ -104,13 +367,12 @@ class Excel {
     config = 'default'
   ) {
 
-    if (typeof config === 'string') {
-      config = this.documentPredefinitions[config] ?? {};
-    }
+    config = this.getDocumentConfig(config);
+    const protection = resolveProtection(this.protection, config.protection);
 
     directory = setDirectory(directory, this.pastaProjeto, false);
     if (Array.isArray(sheetConfigOrName)) {
-      await createExcelXlsx(sheetConfigOrName, directory, config, this.protection);
+      await createExcelXlsx(sheetConfigOrName, directory, config, null, {}, protection);
     } else {
       await createExcelXlsx(
         sheetConfigOrName,
@@ -118,20 +380,32 @@ class Excel {
         rows,
         directory,
         config,
-        this.protection
+        protection
       );
     }
   }
 
   /**
-   * Converte um arquivo CSV em um arquivo XLSX.
+   * Converte um arquivo CSV em um arquivo XLSX, com números e datas gravados como valores reais do Excel
+   * e o cabeçalho estilizado, fixo, filtrável e com larguras automáticas, como em `create`.
    *
    * @param {string} csvFilePath - Caminho para o arquivo CSV de entrada.
    * @param {string} xlsxFilePath - Caminho para salvar o arquivo XLSX gerado.
    * @param {string} aba - Nome da aba da planilha dentro do arquivo XLSX (padrão: 'Planilha1').
+   * @param {Object} [options={}] - Dialeto do CSV. Por padrão o delimitador é detectado automaticamente:
+   *   - `delimiter`: Delimitador dos campos (`,` `;` tabulação `|`...).
+   *   - `quote`: Caractere de aspas (padrão: `"`).
+   *   - `encoding`: Codificação do arquivo, ex: 'latin1' ou 'windows-1252' para exportações de ERPs antigos (padrão: 'utf-8').
+   *   - `headerRow`: Linha do cabeçalho; as linhas anteriores são descartadas (padrão: 1).
+   *   - `columns`: Tipos explícitos por coluna, ex: `{ valor: 'decimal', vencimento: { type: 'date', numFmt: 'dd/mm/yy' } }`.
+   *   - `inferTypes`: Deduz os tipos das demais colunas a partir de uma amostra (padrão: true).
+   *   - `sampleSize`: Quantidade de linhas da amostra (padrão: 1000).
+   *   - `decimalSeparator`: Separador decimal dos números (',' ou '.'). Sem ele, é deduzido de cada coluna: `1.234` e
+   *     `2.500` são lidos como milhares, e `1,5` como decimal.
+   * @param {Object|string} [config='default'] - Configurações de estilo, ou o nome de um estilo pré-definido, como em `create`.
    * @returns {Promise<void>} - Retorna uma Promise que é resolvida quando o arquivo XLSX é salvo.
    */
-  async toXlsx(csvFilePath, xlsxFilePath = null, aba) {
+  async toXlsx(csvFilePath, xlsxFilePath = null, aba, options = {}, config = 'default') {
 
     try {
       if (!csvFilePath) {
@@ -142,7 +416,15 @@ class Excel {
         xlsxFilePath = `${path.parse(csvFilePath).name}.xlsx`;
       }
 
-      await csvToXlsx(setDirectory(csvFilePath), setDirectory(xlsxFilePath), aba);
+      config = this.getDocumentConfig(config);
+
+      await csvToXlsx(
+        setDirectory(csvFilePath, this.pastaProjeto),
+        setDirectory(xlsxFilePath, this.pastaProjeto),
+        aba,
+        options,
+        config
+      );
 
     } catch (error) {
       throw error;
@@ -150,12 +432,251 @@ class Excel {
 
   }
 
+  /**
+   * Exporta uma aba (ou todas as abas) de um arquivo Excel (.xlsx) para CSV.
+   *
+   * @param {string} xlsxFilePath - Caminho do arquivo Excel de entrada.
+   * @param {string} [csvFilePath=null] - Caminho do CSV gerado (padrão: nome do arquivo Excel com extensão .csv).
+   * Ao exportar todas as abas, pode conter `{sheet}` para posicionar o nome da aba.
+   * @param {Object} [options={}] - Opções da exportação:
+   *   - `sheet`: Nome ou índice da aba (padrão: 1).
+   *   - `allSheets`: Exporta cada aba visível para o seu próprio arquivo.
+   *   - `headerRow`: Linha do cabeçalho; as linhas anteriores são descartadas (padrão: 1).
+   *   - `includeHidden`: Inclui colunas, linhas e abas ocultas (padrão: false).
+   *   - `delimiter`, `lineEnding`, `bom`, `quote`, `dateFormat`, `decimalSeparator`: Dialeto, como em `createExcelCsv`.
+   * @returns {Promise<string[]>} - Os caminhos dos arquivos CSV gravados.
+   */
+  async toCsv(xlsxFilePath, csvFilePath = null, options = {}) {
+    if (!xlsxFilePath) {
+      throw new Error('Caminho do arquivo Excel (.xlsx) inválido fornecido.');
+    }
+
+    if (!csvFilePath) {
+      csvFilePath = `${path.parse(xlsxFilePath).name}.csv`;
+    }
+
+    return xlsxToCsv(
+      setDirectory(xlsxFilePath, this.pastaProjeto),
+      setDirectory(csvFilePath, this.pastaProjeto, false),
+      options
+    );
+  }
+
+  /**
+   * Gera um arquivo Excel a partir de um modelo (.xlsx) desenhado no próprio Excel, injetando os dados.
+   *
+   * Os marcadores `{{campo}}` de qualquer célula são substituídos pelos dados, e as linhas entre `{{#each itens}}`
+   * e `{{/each}}` são repetidas para cada item, copiando estilos, mesclagens e alturas e ajustando as fórmulas.
+   *
+   * @param {string} templatePath - Caminho do arquivo modelo.
+   * @param {Object} data - Os dados do relatório.
+   * @param {string} [outputPath=null] - Caminho do arquivo gerado (padrão: um arquivo temporário na pasta do projeto).
+   * @returns {Promise<string>} - O caminho do arquivo gerado.
+   *
+   * @example
+   * // Modelo: B2 = "Cliente: {{cliente}}", A5 = "{{#each itens}}{{descricao}}", B5 = "{{valor}}{{/each}}", B6 = "=SUM(B5:B5)"
+   * await E.fillTemplate('modelos/fatura.xlsx', {
+   *   cliente: 'ACME',
+   *   itens: [{ descricao: 'Serviço', valor: 100 }, { descricao: 'Licença', valor: 50 }],
+   * }, 'fatura_acme.xlsx');
+   */
+  async fillTemplate(templatePath, data, outputPath = null) {
+    if (!templatePath) {
+      throw new Error('Caminho do arquivo modelo (.xlsx) inválido fornecido.');
+    }
+
+    return fillTemplate(
+      setDirectory(templatePath, this.pastaProjeto),
+      data,
+      setDirectory(outputPath, this.pastaProjeto, false)
+    );
+  }
+
+  /**
+   * Consolida vários arquivos Excel com o mesmo layout (ex: um arquivo por filial) em um único arquivo.
+   *
+   * @param {Array<string|Object>} inputs - Os arquivos de entrada (relativos à pasta do projeto ou absolutos), ou objetos
+   * `{ file, sheet, name }` com a aba lida e o nome usado na coluna de origem ou na aba copiada.
+   * @param {string} output - O caminho do arquivo consolidado.
+   * @param {Object} [options={}] - Opções da consolidação:
+   *   - `mode`: 'append' (padrão) empilha as linhas sob um cabeçalho unificado: os cabeçalhos são casados pelo
+   *     identificador (`toIdentifier`), de forma que "Código", "codigo" e "CODIGO " ocupam a mesma coluna.
+   *     'sheets' copia cada entrada para a sua própria aba, com os estilos, e usa o nome do arquivo (ou `name`)
+   *     como nome da aba, limitado a 31 caracteres e sem repetir.
+   *   - `sheet`: Nome ou índice da aba lida de cada arquivo (padrão: 1).
+   *   - `headerIndex`: Linha do cabeçalho, no modo 'append' (padrão: 1).
+   *   - `sourceColumn`: No modo 'append', acrescenta uma coluna com o arquivo de origem: true (cabeçalho "Arquivo")
+   *     ou o texto do cabeçalho.
+   *   - `sheetName`: Nome da aba consolidada, no modo 'append' (padrão: 'Consolidado').
+   *   - `config`: Configurações de estilo da aba consolidada, ou o nome de um estilo pré-definido, como em `create`.
+   *   - `protection`: Sobrescreve a proteção da instância, como em `create`. No modo 'sheets', as abas mantêm a proteção
+   *     dos arquivos de origem e apenas a proteção da estrutura (`workbook`) é aplicada.
+   * @returns {Promise<Object>} - `{ output, columns, rows }` no modo 'append' ou `{ output, sheets }` no modo 'sheets'.
+   *
+   * @example
+   * await E.merge(['filial_centro.xlsx', 'filial_norte.xlsx'], 'consolidado.xlsx', { sourceColumn: 'Filial' });
+   * await E.merge(arquivos, 'filiais.xlsx', { mode: 'sheets' });
+   */
+  async merge(inputs, output, options = {}) {
+    if (!Array.isArray(inputs)) {
+      throw new Error('Informe os arquivos Excel a consolidar em um array.');
+    }
+
+    const config = this.getDocumentConfig(options?.config ?? 'default');
+
+    return mergeWorkbooks(
+      inputs.map((input) =>
+        typeof input === 'string'
+          ? setDirectory(input, this.pastaProjeto)
+          : { ...input, file: typeof input?.file === 'string' ? setDirectory(input.file, this.pastaProjeto) : input?.file }
+      ),
+      setDirectory(output, this.pastaProjeto, false),
+      { ...options, config },
+      resolveProtection(this.protection, options?.protection)
+    );
+  }
+
+  /**
+   * Divide uma aba em vários arquivos ou abas, um para cada valor de uma coluna (ex: por região ou por gestor).
+   * As linhas são lidas com as chaves de `toJson`, mas com os valores no tipo original (números, datas...), e cada
+   * grupo é gravado como em `create`, com as colunas da aba de origem (ou as `columns` informadas) e o estilo informado.
+   * Os valores dos grupos são ajustados para nomes válidos de arquivos e de abas (até 31 caracteres, sem
+   * `\ / ? * [ ] :` e sem repetir).
+   *
+   * @param {string} input - O arquivo Excel (relativo à pasta do projeto ou absoluto).
+   * @param {Object} options - Opções da divisão:
+   *   - `by`: A coluna de agrupamento, pela chave de `toJson` ou pelo texto do cabeçalho.
+   *   - `sheet`: Nome ou índice da aba dividida (padrão: 1).
+   *   - `headerIndex`: Linha do cabeçalho (padrão: 1).
+   *   - `output`: 'files' grava um arquivo por grupo (padrão); 'tabs' grava um único arquivo com uma aba por grupo.
+   *   - `filenamePattern`: Nome dos arquivos, com os marcadores `{name}` (arquivo de origem, sem a extensão), `{group}`,
+   *     `{index}` e `{by}`. Padrão: '{name}_{group}.xlsx' em 'files' e '{name}_por_{by}.xlsx' em 'tabs'.
+   *   - `directory`: Diretório dos arquivos gravados (padrão: o diretório do arquivo de origem).
+   *   - `columns`: Definições das colunas, como em `create` (ex: as mesmas usadas para criar o arquivo de origem,
+   *     com formatos, validações e fórmulas).
+   *   - `emptyGroup`: Nome do grupo das linhas sem valor na coluna de agrupamento (padrão: 'Sem valor').
+   *   - `config`: Configurações de estilo, ou o nome de um estilo pré-definido, como em `create`.
+   *   - `protection`: Sobrescreve a proteção da instância, como em `create`.
+   * @returns {Promise<Array<Object>>} - Os grupos gravados: `{ group, rows, file, sheetName }`.
+   *
+   * @example
+   * await E.split('pedidos.xlsx', { by: 'regiao', filenamePattern: 'regioes/pedidos_{group}.xlsx' });
+   * await E.split('pedidos.xlsx', { by: 'Gestor', output: 'tabs', config: 'default' });
+   */
+  async split(input, options = {}) {
+    const config = this.getDocumentConfig(options?.config ?? 'default');
+
+    return splitWorkbook(
+      setDirectory(input, this.pastaProjeto),
+      {
+        ...options,
+        config,
+        directory: options?.directory && !path.isAbsolute(options.directory)
+          ? path.join(this.pastaProjeto, options.directory)
+          : options?.directory,
+      },
+      resolveProtection(this.protection, options?.protection)
+    );
+  }
+
+  /**
+   * Abre um arquivo Excel existente para edição: acrescentar, alterar e excluir linhas, ocultar ou exibir colunas e linhas,
+   * renomear e criar abas, mantendo os estilos, as validações, as fórmulas e a proteção existentes.
+   * As linhas usam as mesmas chaves de `toJson`. Nada é gravado até `save`, que substitui o arquivo de forma atômica.
+   *
+   * @param {string} fileExcel - O caminho do arquivo Excel (relativo à pasta do projeto ou absoluto).
+   * @param {Object} [options={}] - Opções do editor:
+   *   - `headerIndex`: Linha do cabeçalho das abas (padrão: 1).
+   * @returns {Promise<Object>} - O editor, com `appendRows`, `updateRows`, `deleteRows`, `hideColumns`, `showColumns`,
+   * `hideRows`, `showRows`, `renameSheet`, `addSheet` e `save` (ver `openWorkbookEditor`).
+   *
+   * @example
+   * const editor = await E.open('pedidos.xlsx');
+   * editor.appendRows('Pedidos', [{ codigo: 10, cliente: 'Ana', quantidade: 3 }]);
+   * const { updated, notFound } = editor.updateRows('Pedidos', 'codigo', [{ codigo: 7, status: 'Entregue' }]);
+   * editor.deleteRows('Pedidos', (linha) => linha.status === 'Cancelado');
+   * editor.hideColumns('Pedidos', 'observacao').renameSheet('Pedidos', 'Pedidos 2024');
+   * await editor.save(); // ou editor.save('pedidos_revisados.xlsx')
+   */
+  async open(fileExcel, options = {}) {
+    return openWorkbookEditor(setDirectory(fileExcel, this.pastaProjeto), {
+      headerIndex: options?.headerIndex,
+      directory: this.pastaProjeto,
+      predefinitions: this.documentPredefinitions,
+      cellStyles: this.cellStyles,
+      protection: this.protection,
+    });
+  }
+
+  /**
+   * Oculta colunas consecutivas de uma aba, salvando o próprio arquivo.
+   *
+   * @param {string} fileExcel - O caminho do arquivo Excel (relativo à pasta do projeto ou absoluto).
+   * @param {string|number} sheetName - O nome ou índice da aba.
+   * @param {number} startColumn - A primeira coluna a ser ocultada (1 = coluna A).
+   * @param {number} [numColumns=1] - Quantidade de colunas consecutivas a serem ocultadas.
+   * @returns {Promise<void>}
+   */
+  async hiddenColumns(fileExcel, sheetName, startColumn, numColumns = 1) {
+    await hiddenColumns(setDirectory(fileExcel, this.pastaProjeto), sheetName, startColumn, numColumns);
+  }
+
+  /**
+   * Compara duas versões de uma planilha (por exemplo, o arquivo gerado por `create` e a cópia devolvida pelo usuário),
+   * casando as linhas pelas colunas-chave. Os valores são lidos e comparados como em `toJson`.
+   *
+   * @param {string} fileA - A versão original (relativa à pasta do projeto ou absoluta).
+   * @param {string} fileB - A versão editada.
+   * @param {Object} options - Opções da comparação:
+   *   - `keyColumns`: Coluna-chave ou array de colunas-chave, pela chave de `toJson` ou pelo texto do cabeçalho.
+   *   - `sheet`: Nome ou índice da aba comparada (padrão: 1).
+   *   - `headerIndex`: Linha do cabeçalho (padrão: 1).
+   *   - `ignoreColumns`: Colunas que não são comparadas.
+   *   - `output`: Grava uma planilha de diferenças, com as linhas incluídas no estilo "Bom", as excluídas no estilo
+   *     "Ruim" e as células alteradas no estilo "Neutro", com o valor anterior no comentário.
+   *   - `config`: Configurações de estilo da planilha de diferenças, ou o nome de um estilo pré-definido (padrão: 'default').
+   * @returns {Promise<Object>} - `{ added, removed, modified, unchanged, columns }`, com as linhas incluídas e excluídas
+   * (`{ key, row, data }`), as alteradas (`{ key, rowA, rowB, data, changes }`, com `changes` no formato
+   * `{ campo: { old, new } }`) e as colunas presentes em apenas uma das versões. Com `output`, retorna também o caminho gravado.
+   * @throws {Error} - Lança um erro se as colunas-chave não forem encontradas, se uma chave se repetir ou se a planilha de
+   * diferenças não puder ser gravada.
+   *
+   * @example
+   * const { added, removed, modified } = await E.diff('pedidos.xlsx', 'pedidos_cliente.xlsx', {
+   *   sheet: 'Pedidos',
+   *   keyColumns: ['codigo'],
+   *   output: 'pedidos_diferencas.xlsx',
+   * });
+   * modified[0].changes; // { quantidade: { old: '2', new: '5' } }
+   */
+  async diff(fileA, fileB, options = {}) {
+    return compareWorkbooks(
+      setDirectory(fileA, this.pastaProjeto),
+      setDirectory(fileB, this.pastaProjeto),
+      {
+        ...options,
+        output: options?.output ? setDirectory(options.output, this.pastaProjeto, false) : null,
+        config: this.getDocumentConfig(options?.config ?? 'default'),
+      }
+    );
+  }
+
   toIdentifier(value) {
     return formatTextToIdentifier(value);
   }
 
-  async createExcelCsv(filePath, columns, rows) {
-    createExcelCsv(filePath, columns, rows);
+  /**
+   * Cria um arquivo CSV a partir de colunas e linhas, com as mesmas definições de colunas de `create`.
+   *
+   * @param {string} filePath - Caminho onde o arquivo CSV será salvo.
+   * @param {Array} columns - Colunas: strings ou objetos `{ value, key }`.
+   * @param {Array<Object>|AsyncIterable<Object>} rows - Linhas de dados, em array ou produzidas sob demanda.
+   * @param {Object} [options={}] - Dialeto e formatação: `delimiter` (padrão ';'), `lineEnding`, `bom`,
+   * `quote` ('all', 'minimal' ou 'nonnumeric'), `dateFormat` e `decimalSeparator`.
+   * @returns {Promise<void>} - Retorna uma Promise que é resolvida quando o arquivo é gravado.
+   */
+  async createExcelCsv(filePath, columns, rows, options = {}) {
+    await createExcelCsv(setDirectory(filePath, this.pastaProjeto, false), columns, rows, options);
   }
 
 }
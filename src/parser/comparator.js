@@ -0,0 +1,242 @@
+const path = require('path');
+
+const { getExcelData, worksheetToJson } = require('./extractor');
+const { findTotalsRow } = require('./modifier');
+const { formatTextToIdentifier } = require('./transformer');
+const { writeExcelXlsx } = require('../creator/creator');
+
+/** Chave da coluna com o tipo de alteração na planilha de diferenças */
+const CHANGE_COLUMN_KEY = 'alteracao_diff';
+
+/** Estilos e rótulos de cada tipo de alteração na planilha de diferenças */
+const CHANGE_TYPES = {
+    added: { label: 'Incluída', style: 'Bom' },
+    removed: { label: 'Excluída', style: 'Ruim' },
+    modified: { label: 'Alterada', style: 'Neutro' },
+};
+
+/**
+ * Compara a mesma aba de duas versões de uma planilha, casando as linhas pelas colunas-chave.
+ *
+ * As duas planilhas são lidas com `excelToJson`, portanto os valores são comparados já formatados (como retornados por
+ * `toJson`) e as colunas ocultas são ignoradas. Linhas com todas as colunas-chave vazias não são casadas: aparecem
+ * como incluídas (na planilha B) ou excluídas (na planilha A). A linha de totais (como a gravada por `create` com
+ * `total` ou `table`) não é comparada.
+ *
+ * @param {string} fileA - O caminho da versão original.
+ * @param {string} fileB - O caminho da versão editada.
+ * @param {Object} options - Opções da comparação:
+ *   - `keyColumns`: Coluna-chave ou array de colunas-chave, pela chave de `toJson` ou pelo texto do cabeçalho.
+ *   - `sheet`: Nome ou índice da aba comparada (padrão: 1).
+ *   - `headerIndex`: Linha do cabeçalho nas duas planilhas (padrão: 1).
+ *   - `ignoreColumns`: Colunas que não são comparadas, ex: `['atualizado_em']`.
+ *   - `output`: Caminho de uma planilha de diferenças a ser gravada (ver `writeDiffWorkbook`).
+ *   - `config`: Configurações de estilo da planilha de diferenças, como em `createExcelXlsx`.
+ * @returns {Promise<Object>} - `{ added, removed, modified, unchanged, columns }`:
+ *   - `added` e `removed`: `[{ key, row, data }]`, as linhas presentes só na planilha B ou só na planilha A.
+ *   - `modified`: `[{ key, rowA, rowB, data, changes }]`, com `changes` no formato `{ campo: { old, new } }`.
+ *   - `unchanged`: Quantidade de linhas iguais.
+ *   - `columns`: `{ added, removed }`, as colunas presentes só na planilha B ou só na planilha A (não comparadas).
+ *   - `output`: O caminho da planilha de diferenças, quando gravada.
+ * @throws {Error} - Lança um erro se as colunas-chave não forem informadas ou encontradas, se uma chave se repetir ou se a
+ * planilha de diferenças não puder ser gravada.
+ */
+async function compareWorkbooks(fileA, fileB, options = {}) {
+    const { sheet = 1, headerIndex = 1, ignoreColumns = [], output = null, config = {} } = options;
+
+    const keyColumns = (Array.isArray(options.keyColumns) ? options.keyColumns : [options.keyColumns])
+        .filter((column) => column !== undefined && column !== null && column !== '')
+        .map((column) => formatTextToIdentifier(column));
+    if (keyColumns.length === 0) {
+        throw new Error('Informe as colunas-chave (keyColumns) para comparar as planilhas.');
+    }
+
+    const sheetA = await readComparedSheet(fileA, sheet, headerIndex, keyColumns);
+    const sheetB = await readComparedSheet(fileB, sheet, headerIndex, keyColumns);
+
+    const ignored = new Set(ignoreColumns.map((column) => formatTextToIdentifier(column)));
+    const comparedColumns = sheetB.columns.filter((column) =>
+        sheetA.columns.includes(column) && !keyColumns.includes(column) && !ignored.has(column)
+    );
+
+    const diff = {
+        added: [],
+        removed: [],
+        modified: [],
+        unchanged: 0,
+        columns: {
+            added: sheetB.columns.filter((column) => !sheetA.columns.includes(column)),
+            removed: sheetA.columns.filter((column) => !sheetB.columns.includes(column)),
+        },
+    };
+
+    /** Tipo de alteração de cada linha da planilha B, na ordem da planilha */
+    const changesB = new Map();
+    sheetB.rows.forEach((rowB) => {
+        const rowA = rowB.id === null ? undefined : sheetA.rowsById.get(rowB.id);
+        if (!rowA) {
+            diff.added.push({ key: rowB.key, row: rowB.row, data: rowB.data });
+            changesB.set(rowB, { type: 'added' });
+            return;
+        }
+
+        const changes = {};
+        comparedColumns.forEach((column) => {
+            const oldValue = rowA.data[column] ?? '';
+            const newValue = rowB.data[column] ?? '';
+            if (String(oldValue) !== String(newValue)) {
+                changes[column] = { old: oldValue, new: newValue };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) {
+            diff.unchanged++;
+            return;
+        }
+        diff.modified.push({ key: rowB.key, rowA: rowA.row, rowB: rowB.row, data: rowB.data, changes });
+        changesB.set(rowB, { type: 'modified', changes });
+    });
+
+    sheetA.rows.forEach((rowA) => {
+        if (rowA.id === null || !sheetB.rowsById.has(rowA.id)) {
+            diff.removed.push({ key: rowA.key, row: rowA.row, data: rowA.data });
+        }
+    });
+
+    if (output) {
+        diff.output = await writeDiffWorkbook(output, sheetA, sheetB, changesB, config);
+    }
+    return diff;
+}
+
+/**
+ * Lê a aba comparada de uma planilha e indexa as linhas pelas colunas-chave.
+ *
+ * @param {string} fileExcel - O caminho do arquivo Excel.
+ * @param {string|number} sheet - O nome ou índice da aba.
+ * @param {number} headerIndex - A linha do cabeçalho.
+ * @param {Array<string>} keyColumns - As chaves das colunas-chave.
+ * @returns {Promise<Object>} - `{ file, columns, headers, rows, rowsById }`. Cada linha é `{ id, key, row, data }`,
+ * onde `id` identifica a chave (null quando todas as colunas-chave estão vazias) e `row` é o número da linha no arquivo.
+ * @throws {Error} - Lança um erro se uma coluna-chave não existir ou se uma chave se repetir.
+ */
+async function readComparedSheet(fileExcel, sheet, headerIndex, keyColumns) {
+    const fileName = path.basename(fileExcel);
+    const { worksheet, columnMap, headerRow, initRow } = await getExcelData(fileExcel, [], sheet, headerIndex);
+    // A linha de totais resume as demais e não tem chave, por isso não é comparada
+    const totalsRow = findTotalsRow(worksheet, initRow);
+    if (totalsRow) {
+        worksheet.spliceRows(totalsRow, 1);
+    }
+    const json = worksheetToJson(worksheet, columnMap, headerRow, initRow, { header: true, metadata: true });
+
+    const headers = {};
+    Object.keys(json.header).forEach((text) => {
+        const column = formatTextToIdentifier(text);
+        if (column && !(column in headers)) {
+            headers[column] = text;
+        }
+    });
+    const columns = Object.keys(headers);
+
+    keyColumns.forEach((column) => {
+        if (!columns.includes(column)) {
+            throw new Error(`A coluna-chave "${column}" não foi encontrada na planilha "${fileName}".`);
+        }
+    });
+
+    const rows = [];
+    const rowsById = new Map();
+    json.data.forEach((data, index) => {
+        const cells = Object.values(json.metadata[index]);
+        const row = cells.length ? Number(cells[0].address.replace(/^[A-Z]+/, '')) : null;
+        const key = {};
+        keyColumns.forEach((column) => {
+            key[column] = data[column] ?? '';
+        });
+        const values = Object.values(key);
+        const id = values.every((value) => value === '') ? null : JSON.stringify(values.map(String));
+
+        const entry = { id, key, row, data };
+        if (id !== null) {
+            const duplicated = rowsById.get(id);
+            if (duplicated) {
+                throw new Error(
+                    `A chave ${values.join(' / ')} se repete nas linhas ${duplicated.row} e ${row} da planilha "${fileName}".`
+                );
+            }
+            rowsById.set(id, entry);
+        }
+        rows.push(entry);
+    });
+
+    return { file: fileName, columns, headers, rows, rowsById };
+}
+
+/**
+ * Grava a planilha de diferenças: as linhas da planilha B, na mesma ordem, seguidas das linhas excluídas.
+ * A primeira coluna indica a alteração; as linhas incluídas usam o estilo "Bom", as excluídas o estilo "Ruim" e as
+ * células alteradas o estilo "Neutro", com o valor anterior no comentário.
+ *
+ * @param {string} output - O caminho do arquivo gravado.
+ * @param {Object} sheetA - A aba lida da planilha A (ver `readComparedSheet`).
+ * @param {Object} sheetB - A aba lida da planilha B.
+ * @param {Map} changesB - O tipo de alteração (`{ type, changes }`) das linhas alteradas ou incluídas da planilha B.
+ * @param {Object} [config={}] - Configurações de estilo, como em `createExcelXlsx`.
+ * @returns {Promise<string>} - O caminho do arquivo gravado.
+ * @throws {Error} - Lança um erro se o arquivo não puder ser gravado.
+ */
+async function writeDiffWorkbook(output, sheetA, sheetB, changesB, config = {}) {
+    const headers = { ...sheetB.headers };
+    Object.keys(sheetA.headers).forEach((column) => {
+        if (!(column in headers)) {
+            headers[column] = sheetA.headers[column];
+        }
+    });
+
+    const columns = [
+        { value: 'ALTERAÇÃO', key: CHANGE_COLUMN_KEY },
+        ...Object.keys(headers).map((column) => ({ value: headers[column], key: column })),
+    ];
+
+    const rows = sheetB.rows.map((rowB) => {
+        const change = changesB.get(rowB);
+        const row = { [CHANGE_COLUMN_KEY]: '' };
+        Object.keys(headers).forEach((column) => {
+            row[column] = rowB.data[column] ?? '';
+        });
+        if (!change) {
+            return row;
+        }
+
+        const { label, style } = CHANGE_TYPES[change.type];
+        row[CHANGE_COLUMN_KEY] = { value: label, style };
+        Object.keys(headers).forEach((column) => {
+            if (change.type === 'added') {
+                row[column] = { value: row[column], style };
+            } else if (change.changes[column]) {
+                row[column] = { value: row[column], style, note: `Antes: ${change.changes[column].old}` };
+            }
+        });
+        return row;
+    });
+
+    sheetA.rows.forEach((rowA) => {
+        if (rowA.id !== null && sheetB.rowsById.has(rowA.id)) {
+            return;
+        }
+        const { label, style } = CHANGE_TYPES.removed;
+        const row = { [CHANGE_COLUMN_KEY]: { value: label, style } };
+        Object.keys(headers).forEach((column) => {
+            row[column] = { value: rowA.data[column] ?? '', style };
+        });
+        rows.push(row);
+    });
+
+    await writeExcelXlsx('Diferenças', columns, rows, output, config, { enabled: false });
+    return output;
+}
+
+module.exports = {
+    compareWorkbooks,
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+
+/** Delimitadores testados na detecção automática, em ordem de preferência */
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/** Tamanho mínimo da amostra (em caracteres) usada para detectar o delimitador */
+const SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Lê um arquivo CSV e retorna seus registros (arrays de campos), seguindo a RFC 4180:
+ * campos entre aspas podem conter delimitadores, quebras de linha e aspas escapadas ("").
+ *
+ * O arquivo é lido em streaming, então pode ser usado com arquivos grandes.
+ *
+ * @param {string} csvFilePath - Caminho do arquivo CSV.
+ * @param {Object} [options={}] - Opções do dialeto do arquivo:
+ *   - `delimiter`: Delimitador dos campos. Se omitido, é detectado entre `,` `;` tabulação e `|`.
+ *   - `quote`: Caractere de aspas (padrão: `"`).
+ *   - `encoding`: Codificação do arquivo, ex: 'utf-8', 'latin1', 'windows-1252' (padrão: 'utf-8').
+ *   - `headerRow`: Número da linha do cabeçalho; as linhas anteriores são descartadas (padrão: 1).
+ * @returns {AsyncGenerator<string[]>} - Um iterador assíncrono dos registros, começando pelo cabeçalho. Linhas em branco são ignoradas.
+ * @throws {Error} - Lança um erro se o caminho, a codificação ou o dialeto informado não forem válidos.
+ */
+async function* readCsvRecords(csvFilePath, options = {}) {
+    if (!csvFilePath || typeof csvFilePath !== 'string') {
+        throw new Error('Caminho do arquivo CSV inválido fornecido.');
+    }
+
+    const { quote = '"', encoding = 'utf-8', headerRow = 1 } = options;
+    if (typeof headerRow !== 'number' || headerRow < 1) {
+        throw new Error('Número da linha de cabeçalho inválido fornecido. Deve ser um número maior ou igual a 1.');
+    }
+
+    const chunks = decodeChunks(fs.createReadStream(csvFilePath), encoding);
+
+    // Acumula uma amostra do início do arquivo para detectar o delimitador
+    let sample = '';
+    let ended = false;
+    while (sample.length < SAMPLE_SIZE) {
+        const { value, done } = await chunks.next();
+        if (done) {
+            ended = true;
+            break;
+        }
+        sample += value;
+    }
+    sample = sample.replace(/^\uFEFF/, '');
+
+    const delimiter = options.delimiter || detectDelimiter(sample, quote);
+    validateDialect(delimiter, quote);
+
+    async function* text() {
+        yield sample;
+        if (!ended) {
+            yield* chunks;
+        }
+    }
+
+    let recordNumber = 0;
+    for await (const record of tokenizeCsv(text(), { delimiter, quote })) {
+        recordNumber++;
+        if (recordNumber < headerRow || isBlankRecord(record)) {
+            continue;
+        }
+        yield record;
+    }
+}
+
+/**
+ * Decodifica os bytes de um stream na codificação informada, tratando caracteres divididos entre blocos.
+ * O BOM do início do arquivo é removido.
+ *
+ * @param {AsyncIterable<Buffer>} stream - O stream de bytes do arquivo.
+ * @param {string} encoding - A codificação do arquivo.
+ * @returns {AsyncGenerator<string>} - Os blocos de texto decodificados.
+ * @throws {Error} - Lança um erro se a codificação não for suportada.
+ */
+async function* decodeChunks(stream, encoding) {
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding);
+    } catch (error) {
+        stream.destroy();
+        throw new Error(`Codificação de arquivo não suportada: ${encoding}`);
+    }
+
+    for await (const chunk of stream) {
+        yield decoder.decode(chunk, { stream: true });
+    }
+    yield decoder.decode();
+}
+
+/**
+ * Separa um texto CSV em registros, seguindo a RFC 4180. Aceita quebras de linha CRLF, LF ou CR.
+ *
+ * @param {AsyncIterable<string>} textChunks - Blocos de texto do arquivo, em ordem.
+ * @param {Object} dialect - O dialeto do arquivo.
+ *   - `delimiter`: Delimitador dos campos.
+ *   - `quote`: Caractere de aspas.
+ * @returns {AsyncGenerator<string[]>} - Os registros do arquivo, incluindo as linhas em branco (como `['']`).
+ */
+async function* tokenizeCsv(textChunks, dialect) {
+    const tokenizer = createCsvTokenizer(dialect);
+    for await (const text of textChunks) {
+        yield* tokenizer.write(text);
+    }
+    yield* tokenizer.end();
+}
+
+/**
+ * Cria o tokenizador de CSV. O estado é mantido entre as chamadas de `write`, então um campo
+ * (ou uma quebra CRLF) pode começar em um bloco de texto e terminar no seguinte.
+ *
+ * @param {Object} dialect - O dialeto do arquivo (`delimiter`, `quote`).
+ * @returns {{ write: function(string): string[][], end: function(): string[][] }} - O tokenizador.
+ */
+function createCsvTokenizer({ delimiter, quote }) {
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteClosed = false; // Aspas fechadas: aguarda a próxima aspa (escape) ou o fim do campo
+    let lastWasCR = false;
+
+    function write(text) {
+        const records = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (lastWasCR) {
+                lastWasCR = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+
+            if (inQuotes) {
+                if (!quoteClosed) {
+                    if (char === quote) {
+                        quoteClosed = true;
+                    } else {
+                        field += char;
+                    }
+                    continue;
+                }
+
+                quoteClosed = false;
+                if (char === quote) {
+                    field += quote;
+                    continue;
+                }
+                // O caractere após a aspa de fechamento segue o fluxo normal abaixo
+                inQuotes = false;
+            }
+
+            if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+                lastWasCR = char === '\r';
+            } else if (char === quote && field === '') {
+                inQuotes = true;
+            } else {
+                field += char;
+            }
+        }
+
+        return records;
+    }
+
+    function end() {
+        if (field === '' && record.length === 0 && !inQuotes) {
+            return [];
+        }
+        record.push(field);
+        const records = [record];
+        record = [];
+        field = '';
+        inQuotes = false;
+        quoteClosed = false;
+        return records;
+    }
+
+    return { write, end };
+}
+
+/**
+ * Detecta o delimitador de um CSV a partir de uma amostra, escolhendo o candidato que produz
+ * a mesma quantidade de campos (maior que um) no maior número de registros.
+ *
+ * @param {string} sample - Amostra do início do arquivo.
+ * @param {string} [quote='"'] - Caractere de aspas.
+ * @returns {string} - O delimitador detectado (`,` quando nenhum candidato se destaca).
+ */
+function detectDelimiter(sample, quote = '"') {
+    // Descarta o último registro, que pode ter sido cortado pela amostra
+    const lastBreak = Math.max(sample.lastIndexOf('\n'), sample.lastIndexOf('\r'));
+    const text = lastBreak > 0 ? sample.slice(0, lastBreak) : sample;
+
+    let best = { delimiter: CSV_DELIMITERS[0], score: 0, fields: 0 };
+    CSV_DELIMITERS.forEach((delimiter) => {
+        const tokenizer = createCsvTokenizer({ delimiter, quote });
+        const counts = [...tokenizer.write(text), ...tokenizer.end()]
+            .filter((record) => !isBlankRecord(record))
+            .slice(0, 50)
+            .map((record) => record.length);
+
+        // Quantidade de campos mais frequente entre os registros
+        const frequency = {};
+        counts.forEach((count) => frequency[count] = (frequency[count] || 0) + 1);
+        const [fields, score] = Object.entries(frequency)
+            .map(([count, total]) => [Number(count), total])
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+
+        if (fields > 1 && (score > best.score || (score === best.score && fields > best.fields))) {
+            best = { delimiter, score, fields };
+        }
+    });
+
+    return best.delimiter;
+}
+
+/**
+ * Verifica se o delimitador e as aspas formam um dialeto válido.
+ *
+ * @param {string} delimiter - Delimitador dos campos.
+ * @param {string} quote - Caractere de aspas.
+ * @throws {Error} - Lança um erro se algum deles não for um único caractere ou se forem iguais.
+ */
+function validateDialect(delimiter, quote) {
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || /[\r\n]/.test(delimiter)) {
+        throw new Error('Delimitador inválido fornecido. Deve ser um único caractere.');
+    }
+    if (typeof quote !== 'string' || quote.length !== 1 || quote === delimiter) {
+        throw new Error('Caractere de aspas inválido fornecido. Deve ser um único caractere diferente do delimitador.');
+    }
+}
+
+/**
+ * Verifica se um registro corresponde a uma linha em branco.
+ *
+ * @param {string[]} record - O registro do CSV.
+ * @returns {boolean} - Se todos os campos estão vazios.
+ */
+function isBlankRecord(record) {
+    return record.every((field) => field.trim() === '');
+}
+
+module.exports = {
+    CSV_DELIMITERS,
+    readCsvRecords,
+    tokenizeCsv,
+    detectDelimiter,
+};
@@ -1,17 +1,50 @@
-const { formatReplacement } = require('./formatter');
-const { getSheetColumnMap } = require('./transformer');
-const { getWorksheet, getExcelWorkbook, getHeaderRow } = require('./reader');
+const { formatReplacement, formatData, validateDateOptions } = require('./formatter');
+const { normalizeSchema, parseRowWithSchema } = require('./schema');
+const { getCellMetadata } = require('./metadata');
+const {
+    getSheetColumnMap,
+    getRowColumnMap,
+    getHeaderTexts,
+    detectHeaderRow,
+    matchColumnAliases,
+} = require('./transformer');
+const {
+    getWorksheet,
+    getExcelWorkbook,
+    getHeaderRow,
+    getStreamWorkbookReader,
+    isSameWorksheet,
+    filterWorksheets,
+} = require('./reader');
 const { formatTextToIdentifier } = require('./transformer');
 
+/** Modos de leitura das células mescladas na área de dados */
+const FILL_MERGED_MODES = [true, false, 'down', 'across'];
+
 /**
  * Converte uma planilha do Excel em um array de objetos JSON formatados.
  * 
  * @param {string} fileExcel - O caminho do arquivo Excel.
- * @param {number} initRow - O número da linha inicial para começar a conversão.
+ * @param {number|null} initRow - O número da linha inicial para começar a conversão. Se nulo, os dados começam
+ * na linha seguinte ao cabeçalho (ou na próxima linha não vazia, quando o cabeçalho é detectado).
  * @param {string} sheetIndex - O índice da planilha a ser retornada (padrão é 1).
- * @param {number} [headerIndex=1] - O cabeçalho da planilha (padrão é 1).
+ * @param {number|string} [headerIndex=1] - O cabeçalho da planilha (padrão é 1), ou 'auto' para detectá-lo (ver `detectHeaderRow`).
  * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha
  * @param {Object} config - Objeto de configuração para retorno de dados
+ *   - `header`: Retorna também o mapeamento de colunas do cabeçalho e as linhas usadas (`headerIndex`, `initRow`).
+ *   - `schema`: Definições de tipo por coluna (ver `parseRowWithSchema`). Linhas com erro são retiradas
+ *     dos dados e descritas em `errors`, no formato `{ row, column, value, message }`.
+ *   - `dates`: Opções de formatação das datas (ver `formatDate`). Sem elas, é usado o formato legado pelo nome da coluna.
+ *   - `headerDetection`: Opções da detecção do cabeçalho, como `maxRows` (ver `detectHeaderRow`).
+ *   - `headerRows`: Quantidade de linhas do cabeçalho, para cabeçalhos de vários níveis (padrão: 1). As chaves
+ *     são compostas pelos textos de cada linha, ex: `janeiro_qtd` (ver `getHeaderTexts`).
+ *   - `fillMerged`: Como ler as células mescladas na área de dados: true repete o valor da mescla em todas as
+ *     células (padrão), 'down' apenas na vertical, 'across' apenas na horizontal e false só na célula principal.
+ *   - `aliases`: Apelidos das colunas, ex: `{ cpf: ['CPF', 'C.P.F', 'Documento'] }`. As colunas encontradas por
+ *     um apelido usam o nome canônico (`cpf`) como chave nos dados, e as `necessaryColumns` aceitam esses apelidos.
+ *   - `fuzzy`: Aceita nomes de colunas aproximados: true (até 2 caracteres diferentes) ou a distância máxima.
+ *   - `metadata`: Retorna também `metadata`, um array paralelo a `data` com os metadados de cada célula
+ *     (endereço, estilo, hiperlink, comentário e fórmula), com as mesmas chaves dos dados (ver `getCellMetadata`).
  * @returns {Array<Object>} - Um array de objetos JSON formatados.
  * @throws {Error} - Lança um erro se os parâmetros fornecidos não forem válidos.
  * 
@@ -19,48 +52,272 @@ const { formatTextToIdentifier } = require('./transformer');
  */
 async function excelToJson(fileExcel, initRow, sheetIndex = 1, headerIndex = 1, necessaryColumns, config = null) {
 
-    const { worksheet, columnMap, headerRow } = await getExcelData(fileExcel, necessaryColumns, sheetIndex, headerIndex);
+    const excelData = await getExcelData(fileExcel, necessaryColumns, sheetIndex, headerIndex, {
+        headerRows: config ? config.headerRows : undefined,
+        headerDetection: config ? config.headerDetection : undefined,
+        aliases: config ? config.aliases : undefined,
+        fuzzy: config ? config.fuzzy : undefined,
+    });
+    const { worksheet, columnMap, headerRow } = excelData;
+    const dataRow = initRow ?? excelData.initRow;
+
+    const json = worksheetToJson(worksheet, columnMap, headerRow, dataRow, config);
+    if (config && config.header && json) {
+        return { ...json, headerIndex: excelData.headerIndex, initRow: dataRow };
+    }
+    return json;
+}
 
+/**
+ * Converte as linhas de uma aba já carregada em objetos JSON formatados.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Object} columnMap - O mapeamento de colunas do cabeçalho (`getSheetColumnMap`).
+ * @param {Object} headerRow - A linha de cabeçalho do ExcelJS.
+ * @param {number} initRow - O número da linha inicial para começar a conversão.
+ * @param {Object} config - Objeto de configuração para retorno de dados (ver `excelToJson`).
+ * @returns {Array<Object>|Object} - Os objetos JSON formatados, ou `{ data, header, errors, metadata }` conforme a configuração.
+ * @throws {Error} - Lança um erro se os parâmetros fornecidos não forem válidos.
+ */
+function worksheetToJson(worksheet, columnMap, headerRow, initRow, config = null) {
     if (typeof initRow !== 'number' || initRow < 1) {
         throw new Error('Número de linha inicial inválido fornecido. Deve ser um número maior ou igual a 1.');
     }
 
+    const schema = config && config.schema ? normalizeSchema(config.schema) : null;
+    const dateOptions = config ? config.dates : undefined;
+    validateDateOptions(dateOptions);
+
+    const headerRows = config && config.headerRows ? config.headerRows : 1;
+    const rowOptions = {
+        headerTexts: headerRows > 1 ? getHeaderTexts(worksheet, headerRow.number, headerRows) : null,
+        fillMerged: config && config.fillMerged !== undefined ? config.fillMerged : true,
+        columnKeys: config && config.aliases ? matchColumnAliases(columnMap, config.aliases, config.fuzzy) : null,
+    };
+    if (!FILL_MERGED_MODES.includes(rowOptions.fillMerged)) {
+        throw new Error(`Opção fillMerged inválida: ${rowOptions.fillMerged}. Valores aceitos: ${FILL_MERGED_MODES.join(', ')}.`);
+    }
+
     let formattedReplacements = [];
+    let errors = [];
+    const metadata = config && config.metadata ? [] : null;
     try {
         for (let rowNumber = initRow; rowNumber <= worksheet.rowCount; rowNumber++) {
             const row = worksheet.getRow(rowNumber);
 
-            let data = setObjectReplacements(row, headerRow, worksheet);
+            let data = setObjectReplacements(row, headerRow, worksheet, rowOptions);
 
             const replacements = data.replacements
             //  console.log(data.styles);
-            const formattedReplacement = formatReplacement(replacements);
+            if (schema) {
+                if (Object.keys(replacements).length === 0) {
+                    continue;
+                }
+                const parsed = parseRowWithSchema(replacements, schema, rowNumber, (key, value) => formatData(key, value, dateOptions));
+                if (parsed.errors.length > 0) {
+                    errors.push(...parsed.errors);
+                } else {
+                    formattedReplacements.push(parsed.data);
+                    if (metadata) {
+                        metadata.push(getRowMetadata(data.cells));
+                    }
+                }
+                continue;
+            }
+
+            const formattedReplacement = formatReplacement(replacements, dateOptions);
             if (Object.keys(formattedReplacement).length > 0) {
                 formattedReplacements.push(formattedReplacement);
+                if (metadata) {
+                    metadata.push(getRowMetadata(data.cells));
+                }
             }
         }
+
+        const extra = {
+            ...(schema ? { errors } : {}),
+            ...(metadata ? { metadata } : {}),
+        };
         if (config && config.header) {
             return {
                 data: formattedReplacements,
                 header: columnMap,
+                ...extra,
             }
         }
-        return formattedReplacements;
+        return Object.keys(extra).length > 0 ? { data: formattedReplacements, ...extra } : formattedReplacements;
     } catch (error) {
         console.log(error);
     }
 }
 
+/**
+ * Converte várias abas de um arquivo Excel em objetos JSON formatados, lendo o arquivo uma única vez.
+ *
+ * @param {string} fileExcel - O caminho do arquivo Excel.
+ * @param {Object} [options={}] - Opções de leitura:
+ *   - `sheets`: Filtro das abas: nome (aceita `*` como curinga), RegExp, posição (1 = primeira aba) ou um array deles.
+ *   - `includeHidden`: Inclui abas ocultas e muito ocultas, como a `HiddenSelect` (padrão: false).
+ *   - `headerIndex`: Linha do cabeçalho, ou 'auto' para detectar (padrão: 1).
+ *   - `initRow`: Linha inicial dos dados (padrão: a linha seguinte ao cabeçalho).
+ *   - `necessaryColumns`, `schema`, `dates`, `headerDetection`, `headerRows`, `fillMerged`, `aliases`, `fuzzy`,
+ *     `metadata`: Como em `excelToJson`.
+ *   - `sheetOptions`: Opções específicas por nome de aba, ex: `{ Resumo: { headerIndex: 3 } }`.
+ * @returns {Promise<Object>} - Um objeto `{ [nomeDaAba]: { header, data, headerIndex, initRow } }` (e `errors`, com `schema`,
+ * e `metadata`, com `metadata`).
+ * @throws {Error} - Lança um erro se alguma aba não atender às colunas obrigatórias ou o cabeçalho não for encontrado.
+ */
+async function excelToJsonAll(fileExcel, options = {}) {
+    const workbook = await getExcelWorkbook(fileExcel);
+    const { sheetOptions = {}, ...globalOptions } = options;
+
+    const result = {};
+    const worksheets = filterWorksheets(workbook.worksheets, options.sheets, options.includeHidden);
+
+    for (const worksheet of worksheets) {
+        const sheetConfig = { ...globalOptions, ...sheetOptions[worksheet.name] };
+
+        if (sheetConfig.headerIndex === 'auto' && worksheet.actualRowCount === 0) {
+            result[worksheet.name] = { header: [], data: [], headerIndex: null, initRow: null };
+            continue;
+        }
+
+        let resolved;
+        let columnMap;
+        try {
+            resolved = resolveHeaderRow(worksheet, sheetConfig.headerIndex ?? 1, sheetConfig.necessaryColumns, sheetConfig);
+            columnMap = getSheetColumnMap(worksheet, resolved.headerIndex, sheetConfig.necessaryColumns, sheetConfig.headerRows, {
+                aliases: sheetConfig.aliases,
+                fuzzy: sheetConfig.fuzzy,
+            });
+        } catch (error) {
+            throw new Error(`Aba "${worksheet.name}": ${error.message}`);
+        }
+        const headerIndex = resolved.headerIndex;
+        const initRow = sheetConfig.initRow ?? resolved.initRow;
+        const headerRow = getHeaderRow(worksheet, headerIndex);
+
+        const json = worksheetToJson(worksheet, columnMap, headerRow, initRow, {
+            header: true,
+            schema: sheetConfig.schema,
+            dates: sheetConfig.dates,
+            headerRows: sheetConfig.headerRows,
+            fillMerged: sheetConfig.fillMerged,
+            aliases: sheetConfig.aliases,
+            fuzzy: sheetConfig.fuzzy,
+            metadata: sheetConfig.metadata,
+        });
+
+        result[worksheet.name] = {
+            header: Object.keys(json.header),
+            data: json.data,
+            ...(json.errors ? { errors: json.errors } : {}),
+            ...(json.metadata ? { metadata: json.metadata } : {}),
+            headerIndex,
+            initRow,
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Converte uma planilha do Excel em objetos JSON formatados, lendo o arquivo em streaming.
+ * Indicado para arquivos muito grandes: as linhas são entregues uma a uma, sem carregar o workbook inteiro.
+ *
+ * Observação: o leitor em streaming do ExcelJS não informa colunas ocultas, portanto elas não são ignoradas.
+ *
+ * @param {string} fileExcel - O caminho do arquivo Excel.
+ * @param {number} initRow - O número da linha inicial para começar a conversão.
+ * @param {string|number} [sheetIndex=1] - O nome ou índice da planilha a ser lida.
+ * @param {number} [headerIndex=1] - O cabeçalho da planilha (padrão é 1).
+ * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha
+ * @param {Object} [config] - Objeto de configuração da leitura:
+ *   - `dates`: Opções de formatação das datas (ver `formatDate`).
+ *   - `aliases`, `fuzzy`: Apelidos e busca aproximada das colunas (ver `excelToJson`).
+ * @returns {AsyncGenerator<Object>} - Um iterador assíncrono de objetos JSON formatados.
+ * @throws {Error} - Lança um erro se os parâmetros fornecidos não forem válidos ou a planilha não for encontrada.
+ *
+ * @example
+ * for await (const linha of excelToJsonStream('relatorio.xlsx', 2, 'Dados')) {
+ *     console.log(linha);
+ * }
+ */
+async function* excelToJsonStream(fileExcel, initRow, sheetIndex = 1, headerIndex = 1, necessaryColumns, config = null) {
+    if (typeof initRow !== 'number' || initRow < 1) {
+        throw new Error('Número de linha inicial inválido fornecido. Deve ser um número maior ou igual a 1.');
+    }
+    if (headerIndex === 'auto') {
+        throw new Error('A detecção automática do cabeçalho não está disponível na leitura em streaming. Informe a linha do cabeçalho.');
+    }
+    if (typeof headerIndex !== 'number' || headerIndex < 1 || headerIndex >= initRow) {
+        throw new Error('Número da linha de cabeçalho inválido fornecido. Deve ser maior ou igual a 1 e anterior à linha inicial.');
+    }
+
+    validateDateOptions(config ? config.dates : undefined);
+
+    const workbookReader = getStreamWorkbookReader(fileExcel);
+
+    try {
+        for await (const worksheetReader of workbookReader) {
+            if (!isSameWorksheet(worksheetReader, sheetIndex)) {
+                continue;
+            }
+
+            const matchOptions = { aliases: config ? config.aliases : undefined, fuzzy: config ? config.fuzzy : undefined };
+            let headerRow = null;
+            let columnKeys = null;
+            for await (const row of worksheetReader) {
+                if (row.number === headerIndex) {
+                    const columnMap = getRowColumnMap(row, necessaryColumns, matchOptions);
+                    columnKeys = matchOptions.aliases ? matchColumnAliases(columnMap, matchOptions.aliases, matchOptions.fuzzy) : null;
+                    headerRow = row;
+                    continue;
+                }
+
+                if (row.number < initRow) {
+                    continue;
+                }
+
+                if (!headerRow) {
+                    throw new Error(`A linha de cabeçalho ${headerIndex} não foi encontrada na planilha.`);
+                }
+
+                const { replacements } = setObjectReplacements(row, headerRow, worksheetReader, { columnKeys });
+                const formattedReplacement = formatReplacement(replacements, config ? config.dates : undefined);
+                if (Object.keys(formattedReplacement).length > 0) {
+                    yield formattedReplacement;
+                }
+            }
+
+            if (!headerRow) {
+                throw new Error(`A linha de cabeçalho ${headerIndex} não foi encontrada na planilha.`);
+            }
+            return;
+        }
+
+        throw new Error(`A planilha ${sheetIndex} não foi encontrada no workbook.`);
+    } finally {
+        // Libera o arquivo caso o consumidor interrompa a leitura antes do fim
+        if (workbookReader.stream) {
+            workbookReader.stream.destroy();
+        }
+    }
+}
+
 /**
  * Lê um arquivo Excel e retorna a planilha específica, mapeamento de colunas e linha de cabeçalho.
  *
  * @param {string} fileExcel - O caminho do arquivo Excel.
  * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha.
  * @param {number} [sheetIndex=1] - O índice da planilha a ser retornada (padrão é 1).
- * @returns {Promise<Object>} - Um objeto contendo a planilha, mapeamento de colunas e linha de cabeçalho.
+ * @param {number|string} [headerIndex=1] - A linha do cabeçalho, ou 'auto' para detectá-la.
+ * @param {Object} [headerOptions={}] - Opções do cabeçalho: `headerRows`, `headerDetection`, `aliases` e `fuzzy` (ver `excelToJson`).
+ * @returns {Promise<Object>} - Um objeto contendo a planilha, mapeamento de colunas, linha de cabeçalho
+ * e as linhas usadas (`headerIndex`, `initRow`).
  * @throws {Error} - Lança um erro se o arquivo Excel não puder ser lido ou se houver problemas com a planilha.
  */
-async function getExcelData(fileExcel, necessaryColumns, sheetIndex = 1, headerIndex = 1) {
+async function getExcelData(fileExcel, necessaryColumns, sheetIndex = 1, headerIndex = 1, headerOptions = {}) {
     if (!fileExcel || typeof fileExcel !== 'string') {
         throw new Error('Caminho do arquivo Excel inválido fornecido.');
     }
@@ -68,13 +325,51 @@ async function getExcelData(fileExcel, necessaryColumns, sheetIndex = 1, headerI
     try {
         const workbook = await getExcelWorkbook(fileExcel);
         const worksheet = getWorksheet(workbook, sheetIndex);
-        const columnMap = getSheetColumnMap(worksheet, headerIndex, necessaryColumns);
-        const headerRow = getHeaderRow(worksheet, headerIndex);
+        const resolved = resolveHeaderRow(worksheet, headerIndex, necessaryColumns, headerOptions);
+        const columnMap = getSheetColumnMap(worksheet, resolved.headerIndex, necessaryColumns, headerOptions.headerRows, {
+            aliases: headerOptions.aliases,
+            fuzzy: headerOptions.fuzzy,
+        });
+        const headerRow = getHeaderRow(worksheet, resolved.headerIndex);
 
-        return { worksheet, columnMap, headerRow };
+        return { worksheet, columnMap, headerRow, ...resolved };
     } catch (error) {
-        console.error('Erro ao obter dados do arquivo Excel:', error);
+        throw new Error(`Erro ao obter dados do arquivo Excel: ${error.message}`);
+    }
+}
+
+/**
+ * Define as linhas do cabeçalho e do início dos dados de uma aba, detectando o cabeçalho quando `headerIndex` é 'auto'.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {number|string} headerIndex - A linha do cabeçalho, ou 'auto'.
+ * @param {Array} [necessaryColumns] - Colunas obrigatórias, usadas para localizar o cabeçalho.
+ * @param {Object} [headerOptions={}] - `headerRows` (linhas do cabeçalho), `headerDetection` (ver `detectHeaderRow`),
+ * `aliases` e `fuzzy` (ver `verifyNecessaryColumns`).
+ * @returns {{ headerIndex: number, initRow: number }} - As linhas do cabeçalho e do início dos dados.
+ * @throws {Error} - Lança um erro se nenhuma linha de cabeçalho for encontrada.
+ */
+function resolveHeaderRow(worksheet, headerIndex, necessaryColumns, headerOptions = {}) {
+    const headerRows = headerOptions.headerRows ?? 1;
+    if (!Number.isInteger(headerRows) || headerRows < 1) {
+        throw new Error('Quantidade de linhas do cabeçalho inválida fornecida. Deve ser um número inteiro maior ou igual a 1.');
+    }
+
+    if (headerIndex !== 'auto') {
+        return { headerIndex, initRow: headerIndex + headerRows };
     }
+
+    const detected = detectHeaderRow(worksheet, {
+        ...headerOptions.headerDetection,
+        necessaryColumns,
+        headerRows,
+        aliases: headerOptions.aliases,
+        fuzzy: headerOptions.fuzzy,
+    });
+    if (!detected) {
+        throw new Error('A linha de cabeçalho não foi encontrada na planilha.');
+    }
+    return detected;
 }
 
 /**
@@ -83,23 +378,32 @@ async function getExcelData(fileExcel, necessaryColumns, sheetIndex = 1, headerI
  * @param {Object} row - A linha de dados do ExcelJS.
  * @param {Number} rowNumber - A linha de cabeçalho do ExcelJS.
  * @param {Object} headerRow - A linha de cabeçalho do ExcelJS.
- * @returns {Object} - Um objeto com os identificadores formatados como chaves e os valores das células correspondentes.
+ * @param {Object} [options={}] - Opções da leitura da linha:
+ *   - `headerTexts`: Textos do cabeçalho por coluna (ver `getHeaderTexts`), usados no lugar da linha de cabeçalho.
+ *   - `fillMerged`: Como ler as células mescladas (ver `excelToJson`).
+ *   - `columnKeys`: Nomes canônicos por número de coluna (ver `matchColumnAliases`), usados como chaves no lugar do cabeçalho.
+ * @returns {Object} - Um objeto com os identificadores formatados como chaves e os valores das células correspondentes
+ * (`replacements`), além dos estilos (`styles`) e das próprias células (`cells`) com as mesmas chaves.
  * @throws {Error} - Lança um erro se os parâmetros fornecidos não forem válidos.
  */
-function setObjectReplacements(row, headerRow, worksheet) {
+function setObjectReplacements(row, headerRow, worksheet, options = {}) {
     if (!headerRow || typeof headerRow.getCell !== 'function') {
         throw new Error('Linha de cabeçalho inválida fornecida.');
     }
 
+    const { headerTexts = null, fillMerged = true, columnKeys = null } = options;
+
     let replacements = {};
     let styles = {};
+    let cells = {};
 
     row.eachCell((cell, colNumber) => {
-        const columnCell = headerRow.getCell(colNumber);
+        const columnName = headerTexts ? headerTexts.get(colNumber) : headerRow.getCell(colNumber).value;
         const column = worksheet.getColumn(colNumber);
-        if (columnCell && columnCell.value && !column.hidden) {
-            let columnName = columnCell.value;
-            const upString = formatTextToIdentifier(columnName);
+        const value = getMergedCellValue(cell, fillMerged);
+        // Células mescladas que não repetem o valor são tratadas como vazias
+        if (columnName && !column.hidden && value !== null) {
+            const upString = columnKeys && columnKeys.has(colNumber) ? columnKeys.get(colNumber) : formatTextToIdentifier(columnName);
 
             if (upString) {
                 let newKey = upString;
@@ -113,17 +417,71 @@ function setObjectReplacements(row, headerRow, worksheet) {
 
                 // Define o valor no objeto com a chave única
                 //console.log(cell.style.border);
-                replacements[newKey] = cell.value;
+                replacements[newKey] = value;
                 styles[newKey] = cell.style;
+                cells[newKey] = cell;
             }
         }
     });
 
-    return { replacements, styles };
+    return { replacements, styles, cells };
+}
+
+/**
+ * Retorna o valor de uma célula conforme o modo de leitura das células mescladas.
+ * O ExcelJS repete o valor da célula principal em todas as células da mescla.
+ *
+ * @param {Object} cell - A célula do ExcelJS.
+ * @param {boolean|string} fillMerged - true, false, 'down' ou 'across' (ver `excelToJson`).
+ * @returns {any} - O valor da célula, ou null se a célula mesclada não deve repetir o valor.
+ */
+function getMergedCellValue(cell, fillMerged) {
+    if (!cell.isMerged || cell.address === cell.master.address || fillMerged === true) {
+        return getCellRawValue(cell);
+    }
+    if (fillMerged === 'down' && cell.col === cell.master.col) {
+        return getCellRawValue(cell);
+    }
+    if (fillMerged === 'across' && cell.row === cell.master.row) {
+        return getCellRawValue(cell);
+    }
+    return null;
+}
+
+/**
+ * Retorna o valor de uma célula. Em células com fórmula, o `cell.value` do ExcelJS omite resultados falsos
+ * (`0`, `false`, texto vazio), por isso o resultado é lido de `cell.result`.
+ *
+ * @param {Object} cell - A célula do ExcelJS.
+ * @returns {any} - O valor da célula.
+ */
+function getCellRawValue(cell) {
+    const value = cell.value;
+    if (value && typeof value === 'object' && ('formula' in value || 'sharedFormula' in value) && cell.result !== undefined) {
+        return { ...value, result: cell.result };
+    }
+    return value;
+}
+
+/**
+ * Retorna os metadados das células de uma linha, com as mesmas chaves dos dados.
+ *
+ * @param {Object} cells - As células da linha, retornadas por `setObjectReplacements`.
+ * @returns {Object} - Os metadados de cada célula (ver `getCellMetadata`).
+ */
+function getRowMetadata(cells) {
+    const metadata = {};
+    for (const key in cells) {
+        metadata[key] = getCellMetadata(cells[key]);
+    }
+    return metadata;
 }
 
 module.exports = {
     excelToJson,
+    excelToJsonAll,
+    excelToJsonStream,
+    worksheetToJson,
     getExcelData,
     setObjectReplacements
 };
@@ -1,13 +1,21 @@
-const { formatFullDate, getExtendedDate, getScheduleDate } = require('../utils/dateUtils');
+const {
+    formatFullDate,
+    getExtendedDate,
+    getScheduleDate,
+    formatDatePattern,
+    getTimeZoneOffset,
+    wallClockToDate,
+} = require('../utils/dateUtils');
 
 /**
  * Formata os valores de um objeto de substituições. Como datas; trim() no valores..
  *
  * @param {Object} obj - O objeto de substituições a ser formatado.
+ * @param {Object} [dateOptions] - Opções de formatação de datas (ver `formatDate`).
  * @returns {Object} - O objeto de substituições com os valores formatados.
  * @throws {Error} - Lança um erro se o parâmetro fornecido não for um objeto.
  */
-function formatReplacement(obj) {
+function formatReplacement(obj, dateOptions) {
     if (typeof obj !== 'object' || obj === null) {
         throw new Error('Parâmetro inválido fornecido. Deve ser um objeto.');
     }
@@ -16,7 +24,7 @@ function formatReplacement(obj) {
     for (const key in obj) {
         if (obj.hasOwnProperty(key)) {
             const value = obj[key];
-            formattedObj[key] = formatData(key, value); // Formata o valor
+            formattedObj[key] = formatData(key, value, dateOptions); // Formata o valor
         }
     }
 
@@ -28,16 +36,17 @@ function formatReplacement(obj) {
  *
  * @param {string} key - A chave que pode influenciar a formatação.
  * @param {any} value - O valor a ser formatado.
+ * @param {Object} [dateOptions] - Opções de formatação de datas (ver `formatDate`).
  * @returns {string} - O valor formatado.
  * @throws {Error} - Lança um erro se a chave não for uma string.
  */
-function formatData(key, value) {
+function formatData(key, value, dateOptions) {
     if (typeof key !== 'string') {
         throw new Error('A chave fornecida deve ser uma string.');
     }
 
     if (value instanceof Date) {
-        return formatDate(key, value);
+        return formatDate(key, value, dateOptions);
     }
 
     if (typeof value === 'string') {
@@ -45,41 +54,137 @@ function formatData(key, value) {
     }
 
     if (typeof value === 'object' && value !== null) {
-        return value.result || '';
+        const resolved = getCellValue(value);
+        return resolved === null || resolved === undefined ? '' : formatData(key, resolved, dateOptions);
     }
 
     return String(value);
 }
 
+/**
+ * Resolve o valor "puro" de uma célula do ExcelJS: resultado de fórmulas, texto de rich text e de hiperlinks.
+ * Valores simples (texto, número, booleano, data) são retornados sem alteração.
+ *
+ * @param {any} value - O valor da célula (`cell.value`).
+ * @returns {any} - O valor resolvido, ou null para células vazias e com erro.
+ */
+function getCellValue(value) {
+    if (value === null || value === undefined || typeof value !== 'object' || value instanceof Date) {
+        return value ?? null;
+    }
+
+    if ('formula' in value || 'sharedFormula' in value) {
+        return value.result === undefined ? null : getCellValue(value.result);
+    }
+
+    if (Array.isArray(value.richText)) {
+        return value.richText.map((part) => part.text).join('');
+    }
+
+    if ('hyperlink' in value) {
+        return getCellValue(value.text);
+    }
+
+    // Erros de fórmula (#N/D, #DIV/0!...) e objetos desconhecidos não possuem valor utilizável
+    return null;
+}
+
 /**
  * Formata uma data ou horário com base na regra fornecida.
  *
+ * Sem `dateOptions` (ou com `format: 'legacy'`), o formato é escolhido pelo nome da coluna:
+ * chaves com "horario" retornam HH:MM, com "extenso" retornam a data por extenso e as demais DD/MM/YYYY.
+ *
  * @param {string} rule - A regra que indica o tipo de formatação (data ou horário, ou data extensa).
  * @param {string|Date} dateValue - O valor da data a ser formatado.
- * @returns {string} - A data ou horário formatado.
+ * @param {Object} [dateOptions] - Opções globais de formatação, podendo ser sobrescritas por coluna em `columns`:
+ *   - `format`: 'legacy', 'iso', 'epoch', 'native' (objeto Date), 'extenso' ou um padrão como 'dd/MM/yyyy HH:mm'.
+ *   - `timeZone`: Fuso horário IANA em que a planilha foi preenchida (ex: 'America/Sao_Paulo'), usado em 'iso', 'epoch' e 'native'.
+ *   - `locale`: Locale dos nomes dos meses (ex: 'en-US'; padrão: português).
+ *   - `columns`: Opções específicas por chave de coluna, ex: `{ horario_saida: { format: 'HH:mm' } }`.
+ * @returns {string|number|Date} - A data ou horário formatado.
  * @throws {Error} - Lança um erro se a data fornecida não for válida.
  */
-function formatDate(rule = '', dateValue) {
+function formatDate(rule = '', dateValue, dateOptions) {
     const date = new Date(dateValue);
     if (isNaN(date.getTime())) { // Verifica se a data é inválida
         throw new Error('Valor de data inválido fornecido.');
     }
 
+    const { format = 'legacy', timeZone, locale } = getColumnDateOptions(rule, dateOptions);
+
+    switch (format) {
+        case 'legacy':
+            break;
+        case 'iso':
+            return timeZone
+                ? formatDatePattern(date, "yyyy-MM-dd'T'HH:mm:ss.SSSXXX", { timeZone })
+                : date.toISOString();
+        case 'epoch':
+            return timeZone ? wallClockToDate(date, timeZone).getTime() : date.getTime();
+        case 'native':
+            return timeZone ? wallClockToDate(date, timeZone) : date;
+        case 'extenso':
+            return new Intl.DateTimeFormat(locale || 'pt-BR', { day: '2-digit', month: 'long', year: 'numeric', timeZone: 'UTC' }).format(date);
+        default:
+            return formatDatePattern(date, format, { locale, timeZone });
+    }
+
     // Corrige o fuso horário
     date.setMinutes(date.getMinutes() + date.getTimezoneOffset());
 
     if (rule.includes('horario')) { // Verifica se o campo é de horário e retorna apenas o horário específico
         return getScheduleDate(date);
     } else if (rule.includes('extenso')) {
-        return getExtendedDate(date);
+        return getExtendedDate(date, locale);
     } else { // Caso contrário, formata como data dia/mês/ano
         return formatFullDate(date);
     }
 }
 
+/**
+ * Valida as opções de datas antes da leitura, para que um fuso horário inválido não falhe no meio da planilha.
+ *
+ * @param {Object} [dateOptions] - Opções de datas informadas na leitura.
+ * @throws {Error} - Lança um erro se as opções ou algum fuso horário informado não forem válidos.
+ */
+function validateDateOptions(dateOptions) {
+    if (dateOptions === undefined || dateOptions === null) {
+        return;
+    }
+    if (typeof dateOptions !== 'object') {
+        throw new Error('Opções de datas inválidas fornecidas. Deve ser um objeto.');
+    }
+
+    const columnOptions = Object.values(dateOptions.columns || {});
+    [dateOptions, ...columnOptions].forEach((options) => {
+        if (options.timeZone) {
+            getTimeZoneOffset(new Date(), options.timeZone);
+        }
+    });
+}
+
+/**
+ * Resolve as opções de data de uma coluna, combinando as opções globais com as específicas da coluna.
+ *
+ * @param {string} key - A chave da coluna.
+ * @param {Object} [dateOptions] - Opções de datas informadas na leitura.
+ * @returns {Object} - As opções `format`, `timeZone` e `locale` da coluna.
+ */
+function getColumnDateOptions(key, dateOptions) {
+    if (!dateOptions) {
+        return {};
+    }
+
+    const { columns, ...globalOptions } = dateOptions;
+    return { ...globalOptions, ...(columns && columns[key]) };
+}
+
 module.exports = {
 
     formatReplacement,
     formatData,
-    formatDate
+    formatDate,
+    validateDateOptions,
+    getCellValue
 }
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { PRE_CELL_STYLES } = require('../creator/styles');
+
+/**
+ * Retorna os metadados de uma célula: endereço, estilo, hiperlink, comentário e fórmula.
+ *
+ * O estilo é retornado no mesmo formato aceito por `Excel.create` nas células `{ value, style }`: o nome do estilo
+ * pré-definido quando o preenchimento e a cor da fonte correspondem a um deles (ex: "Bom", "Ruim"), ou um objeto
+ * `{ fill, font }`. Assim, os dados lidos podem ser gravados novamente com os mesmos destaques.
+ *
+ * @param {Object} cell - A célula do ExcelJS.
+ * @returns {Object} - Os metadados da célula. Apenas os campos presentes na célula são incluídos:
+ *   - `address`: Endereço da célula, ex: 'B3'.
+ *   - `style`: Nome do estilo pré-definido ou `{ fill, font }`.
+ *   - `fillColor` e `fontColor`: Cores do preenchimento sólido e da fonte, em RGB (ex: 'C6EFCE').
+ *   - `hyperlink`: Destino do hiperlink.
+ *   - `note`: Texto do comentário.
+ *   - `formula` e `result`: Expressão da fórmula (sem o `=`) e o último resultado calculado salvo no arquivo.
+ */
+function getCellMetadata(cell) {
+    const metadata = { address: cell.address };
+
+    const fillColor = getColorRgb(cell.fill && cell.fill.type === 'pattern' && cell.fill.pattern === 'solid' ? cell.fill.fgColor : null);
+    const fontColor = getColorRgb(cell.font ? cell.font.color : null);
+    if (fillColor) {
+        metadata.fillColor = fillColor;
+    }
+    if (fontColor) {
+        metadata.fontColor = fontColor;
+    }
+
+    if (fillColor || fontColor) {
+        metadata.style = getPresetStyleName(fillColor, fontColor) || getCustomStyle(cell);
+    }
+
+    if (cell.hyperlink) {
+        metadata.hyperlink = cell.hyperlink;
+    }
+
+    const note = getNoteText(cell.note);
+    if (note) {
+        metadata.note = note;
+    }
+
+    if (cell.formula) {
+        metadata.formula = cell.formula;
+        metadata.result = cell.result === undefined ? null : cell.result;
+    }
+
+    return metadata;
+}
+
+/**
+ * Procura o estilo pré-definido com as mesmas cores de preenchimento e fonte.
+ *
+ * @param {string|null} fillColor - Cor do preenchimento, em RGB.
+ * @param {string|null} fontColor - Cor da fonte, em RGB.
+ * @returns {string|null} - O nome do estilo pré-definido, ou null.
+ */
+function getPresetStyleName(fillColor, fontColor) {
+    if (!fillColor) {
+        return null;
+    }
+
+    const name = Object.keys(PRE_CELL_STYLES).find((key) => {
+        const preset = PRE_CELL_STYLES[key];
+        return preset.fill
+            && getColorRgb(preset.fill.fgColor) === fillColor
+            && getColorRgb(preset.font ? preset.font.color : null) === fontColor;
+    });
+    return name || null;
+}
+
+/**
+ * Retorna o preenchimento e a fonte de uma célula que não corresponde a um estilo pré-definido.
+ *
+ * @param {Object} cell - A célula do ExcelJS.
+ * @returns {Object} - O estilo `{ fill, font }`, apenas com as propriedades presentes na célula.
+ */
+function getCustomStyle(cell) {
+    const style = {};
+    if (cell.fill) {
+        style.fill = cell.fill;
+    }
+    if (cell.font) {
+        style.font = cell.font;
+    }
+    return style;
+}
+
+/**
+ * Retorna a cor em RGB (6 dígitos, maiúsculas), ignorando o canal alfa. Cores de tema não são convertidas.
+ *
+ * @param {Object|null} color - A cor do ExcelJS, ex: `{ argb: 'FFC6EFCE' }`.
+ * @returns {string|null} - A cor em RGB, ou null.
+ */
+function getColorRgb(color) {
+    if (!color || typeof color.argb !== 'string') {
+        return null;
+    }
+    return color.argb.slice(-6).toUpperCase();
+}
+
+/**
+ * Retorna o texto de um comentário, que o ExcelJS pode fornecer como texto ou como `{ texts: [...] }`.
+ *
+ * @param {string|Object} note - O comentário da célula.
+ * @returns {string|null} - O texto do comentário, ou null.
+ */
+function getNoteText(note) {
+    if (!note) {
+        return null;
+    }
+    if (typeof note === 'string') {
+        return note;
+    }
+    return Array.isArray(note.texts) ? note.texts.map((part) => part.text).join('') : null;
+}
+
+module.exports = {
+    getCellMetadata,
+};
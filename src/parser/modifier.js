@@ -1,4 +1,23 @@
-const { getExcelWorkbook, getWorksheet } = require('./reader');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { getExcelWorkbook, getWorksheet, getHeaderRow } = require('./reader');
+const { formatTextToIdentifier, MAX_SHEET_NAME_LENGTH, INVALID_SHEET_NAME_CHARACTERS } = require('./transformer');
+const { setObjectReplacements } = require('./extractor');
+const { formatData, formatReplacement } = require('./formatter');
+const { configureSheet } = require('../creator/creator');
+const { evaluateRowFormulas } = require('../creator/formulas');
+const { mapFormulaReferences, replaceOutsideStrings } = require('../creator/references');
+const { getNumberFormat, coerceFormattedValue } = require('../creator/numberFormats');
+const { resolveProtection, readWorkbookProtection, setWorkbookProtection } = require('../creator/protection');
+const { setDirectory } = require('../utils/pathUtils');
+
+/** Fórmulas de uma linha de totais, como as gravadas por `create`: SUM(B2:B10), SUBTOTAL(109,B2:B10)... */
+const TOTALS_FORMULA_PATTERN = /^(?:SUBTOTAL\((\d+),|(SUM|AVERAGE|COUNTA?|MIN|MAX)\()\$?([A-Z]{1,3})\$?(\d+):\$?([A-Z]{1,3})\$?(\d+)\)$/i;
+
+/** Funções do SUBTOTAL calculadas na linha de totais (os códigos acima de 100 ignoram as linhas ocultas) */
+const SUBTOTAL_FUNCTIONS = { 1: 'AVERAGE', 2: 'COUNT', 3: 'COUNTA', 4: 'MAX', 5: 'MIN', 9: 'SUM' };
 
 /**
  * Oculta colunas específicas de uma planilha em um arquivo Excel.
@@ -13,14 +32,984 @@ const { getExcelWorkbook, getWorksheet } = require('./reader');
 async function hiddenColumns(fileExcel, sheetName, startColumn, numColumns) {
 
     let workbook = await getExcelWorkbook(fileExcel);
+    setWorkbookProtection(workbook, await readWorkbookProtection(fileExcel));
     let worksheet = await getWorksheet(workbook, sheetName);
     // Ocultar as colunas especificadas
     for (let i = 0; i < numColumns; i++) {
         worksheet.getColumn(startColumn + i).hidden = true;
     }
     // Salvar o workbook modificado
-    await workbook.xlsx.writeFile(fileExcel);
+    await saveWorkbookFile(workbook, fileExcel);
+
+}
+
+/**
+ * Abre um arquivo Excel existente para edição, mantendo estilos, validações, fórmulas e a proteção das abas e da estrutura.
+ *
+ * As linhas usam as mesmas chaves de `toJson` (o cabeçalho convertido em identificador, ex: "Código Cliente" => `codigo_cliente`).
+ * As colunas também podem ser informadas pelo texto do cabeçalho. As alterações ficam em memória até `save`.
+ *
+ * Ao inserir ou excluir linhas, as referências das fórmulas da própria aba, das validações e das formatações condicionais
+ * são ajustadas. Referências vindas de outras abas, tabelas nativas do Excel e células mescladas abaixo das linhas
+ * alteradas não são ajustadas; abas com tabelas nativas não aceitam `appendRows` e `deleteRows`.
+ *
+ * @param {string} fileExcel - Caminho do arquivo Excel (.xlsx).
+ * @param {Object} [options={}] - Opções do editor:
+ *   - `headerIndex`: Linha do cabeçalho das abas (padrão: 1). Cada operação também aceita `{ headerIndex }`.
+ *   - `directory`: Pasta usada para resolver caminhos relativos em `save`.
+ *   - `predefinitions`: Configurações pré-definidas, usadas quando `addSheet` recebe o nome de uma delas.
+ *   - `cellStyles`: Registro dos estilos com nome usados por `addSheet` (ver `createStyleRegistry`).
+ *   - `protection`: Proteção padrão das abas criadas por `addSheet` (ver `createExcelXlsx`).
+ * @returns {Promise<Object>} - O editor, com os métodos:
+ *   - `appendRows(sheetName, rows, options)`: Acrescenta as linhas abaixo dos dados (acima da linha de totais, se houver),
+ *     copiando estilos, validações e fórmulas da última linha de dados. Retorna os números das linhas criadas.
+ *   - `updateRows(sheetName, keyColumn, rows, options)`: Altera as linhas cuja coluna chave tem o mesmo valor da linha
+ *     informada. Retorna `{ updated, notFound }`: a quantidade de linhas alteradas e as chaves não encontradas.
+ *   - `deleteRows(sheetName, predicate, options)`: Exclui as linhas de dados em que `predicate(linha, rowNumber)` retorna
+ *     true, recebendo a linha como em `toJson`. Retorna a quantidade de linhas excluídas.
+ *   - `hideColumns` / `showColumns(sheetName, columns, options)`: Oculta ou exibe colunas (chave, cabeçalho, letra ou número).
+ *   - `hideRows` / `showRows(sheetName, rows, options)`: Oculta ou exibe linhas (números ou um `predicate` como em `deleteRows`).
+ *   - `renameSheet(sheetName, newName)`: Renomeia a aba, atualizando as fórmulas, validações e nomes definidos que a usam.
+ *   - `addSheet(sheetName, columns, rows, config)`: Cria uma aba com as mesmas colunas e configurações de `create`.
+ *   - `save(output)`: Salva o arquivo (no próprio arquivo aberto, sem `output`). A gravação é atômica: o arquivo é gravado
+ *     em um arquivo temporário na mesma pasta e depois renomeado.
+ * Os métodos de ocultar, exibir, renomear e criar abas retornam o próprio editor, para encadear as operações.
+ *
+ * @throws {Error} Caso o arquivo não possa ser lido.
+ *
+ * @example
+ * const editor = await E.open('pedidos.xlsx');
+ * editor.appendRows('Pedidos', [{ codigo: 10, cliente: 'Ana', quantidade: 3 }]);
+ * editor.updateRows('Pedidos', 'codigo', [{ codigo: 7, status: 'Entregue' }]);
+ * editor.deleteRows('Pedidos', (linha) => linha.status === 'Cancelado');
+ * editor.hideColumns('Pedidos', ['observacao']).renameSheet('Pedidos', 'Pedidos 2024');
+ * await editor.save();
+ */
+async function openWorkbookEditor(fileExcel, options = {}) {
+    const workbook = await getExcelWorkbook(fileExcel);
+    // O ExcelJS não preserva a proteção da estrutura, que é regravada a cada `save`
+    setWorkbookProtection(workbook, await readWorkbookProtection(fileExcel));
+    const { headerIndex = 1, directory = null, predefinitions = {}, cellStyles, protection = null } = options;
+
+    const getSheet = (sheetName, sheetOptions = {}) =>
+        getSheetContext(workbook, sheetName, sheetOptions.headerIndex ?? headerIndex);
+
+    return {
+        workbook,
+
+        appendRows(sheetName, rows, sheetOptions = {}) {
+            if (!Array.isArray(rows)) {
+                throw new Error('As linhas devem ser fornecidas como um array.');
+            }
+            const sheet = getSheet(sheetName, sheetOptions);
+            assertWithoutTables(sheet.worksheet);
+            return appendSheetRows(sheet, rows);
+        },
+
+        updateRows(sheetName, keyColumn, rows, sheetOptions = {}) {
+            if (!Array.isArray(rows)) {
+                throw new Error('As linhas devem ser fornecidas como um array.');
+            }
+            return updateSheetRows(getSheet(sheetName, sheetOptions), keyColumn, rows);
+        },
+
+        deleteRows(sheetName, predicate, sheetOptions = {}) {
+            if (typeof predicate !== 'function') {
+                throw new Error('Informe a função que seleciona as linhas a excluir.');
+            }
+            const sheet = getSheet(sheetName, sheetOptions);
+            assertWithoutTables(sheet.worksheet);
+            return deleteSheetRows(sheet, predicate);
+        },
+
+        hideColumns(sheetName, columns, sheetOptions = {}) {
+            setColumnsHidden(getSheet(sheetName, sheetOptions), columns, true);
+            return this;
+        },
+
+        showColumns(sheetName, columns, sheetOptions = {}) {
+            setColumnsHidden(getSheet(sheetName, sheetOptions), columns, false);
+            return this;
+        },
+
+        hideRows(sheetName, rows, sheetOptions = {}) {
+            setRowsHidden(getSheet(sheetName, sheetOptions), rows, true);
+            return this;
+        },
+
+        showRows(sheetName, rows, sheetOptions = {}) {
+            setRowsHidden(getSheet(sheetName, sheetOptions), rows, false);
+            return this;
+        },
+
+        renameSheet(sheetName, newName) {
+            renameWorksheet(workbook, getWorksheet(workbook, sheetName), newName);
+            return this;
+        },
+
+        addSheet(sheetName, columns, rows = [], config = 'default') {
+            validateSheetName(workbook, sheetName);
+            const sheetConfig = { cellStyles, ...(typeof config === 'string' ? predefinitions[config] ?? {} : config) };
+            const worksheet = workbook.addWorksheet(sheetName);
+            configureSheet(worksheet, columns, rows, sheetConfig, workbook, resolveProtection(protection, sheetConfig.protection));
+            return this;
+        },
+
+        async save(output = null) {
+            const filePath = output ? setDirectory(output, directory, false) : fileExcel;
+            await saveWorkbookFile(workbook, filePath);
+            return filePath;
+        },
+    };
+}
+
+/**
+ * Salva um workbook de forma atômica: o arquivo é gravado em um arquivo temporário na mesma pasta e depois renomeado,
+ * para que o arquivo original não fique corrompido caso a gravação falhe.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook`.
+ * @param {string} filePath - Caminho do arquivo .xlsx.
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} Caso o arquivo não possa ser gravado.
+ */
+async function saveWorkbookFile(workbook, filePath) {
+    const tempFile = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        await workbook.xlsx.writeFile(tempFile);
+        await fs.promises.rename(tempFile, filePath);
+    } catch (error) {
+        await fs.promises.unlink(tempFile).catch(() => {});
+        throw new Error('Não foi possível salvar a planilha: ' + error.message);
+    }
+}
+
+/**
+ * Carrega a aba e as informações usadas pelas operações do editor: colunas, primeira e última linha de dados e linha de totais.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook`.
+ * @param {string|number} sheetName - O nome ou índice da aba.
+ * @param {number} headerIndex - A linha do cabeçalho.
+ * @returns {Object} - `{ worksheet, headerRow, columnKeys, firstDataRow, lastDataRow, totalsRow }`.
+ *
+ * @throws {Error} Caso a aba ou o cabeçalho não sejam encontrados.
+ */
+function getSheetContext(workbook, sheetName, headerIndex) {
+    const worksheet = getWorksheet(workbook, sheetName);
+    const headerRow = getHeaderRow(worksheet, headerIndex);
+    const columnKeys = getColumnKeys(headerRow);
+    if (columnKeys.size === 0) {
+        throw new Error(`O cabeçalho não foi encontrado na linha ${headerIndex} da aba "${worksheet.name}".`);
+    }
+
+    const firstDataRow = headerIndex + 1;
+    const lastRow = getLastFilledRow(worksheet, firstDataRow);
+    const totalsRow = findTotalsRow(worksheet, firstDataRow);
+
+    return {
+        worksheet,
+        headerRow,
+        columnKeys,
+        firstDataRow,
+        lastDataRow: totalsRow ? totalsRow - 1 : Math.max(lastRow, headerIndex),
+        totalsRow,
+    };
+}
+
+/**
+ * Mapeia as chaves das colunas (como em `toJson`) para os números das colunas.
+ * Cabeçalhos repetidos recebem um sufixo, como na leitura: `valor`, `valor_2`.
+ *
+ * @param {Object} headerRow - A linha de cabeçalho do ExcelJS.
+ * @returns {Map<string, number>} - O número da coluna de cada chave.
+ */
+function getColumnKeys(headerRow) {
+    const columnKeys = new Map();
+    headerRow.eachCell((cell, colNumber) => {
+        if (cell.value === null || typeof cell.value === 'object') {
+            return;
+        }
+        const key = formatTextToIdentifier(String(cell.value));
+        if (!key) {
+            return;
+        }
+        let uniqueKey = key;
+        let counter = 1;
+        while (columnKeys.has(uniqueKey)) {
+            counter++;
+            uniqueKey = `${key}_${counter}`;
+        }
+        columnKeys.set(uniqueKey, colNumber);
+    });
+    return columnKeys;
+}
+
+/**
+ * Procura o número de uma coluna pela chave ou pelo texto do cabeçalho.
+ *
+ * @param {Map<string, number>} columnKeys - As colunas retornadas por `getColumnKeys`.
+ * @param {string} column - A chave ou o cabeçalho.
+ * @returns {number|undefined} - O número da coluna, ou undefined se não existir.
+ */
+function findColumnNumber(columnKeys, column) {
+    return columnKeys.get(column) ?? columnKeys.get(formatTextToIdentifier(String(column).trim()));
+}
+
+/**
+ * Retorna a última linha preenchida da aba, a partir da primeira linha de dados.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {number} firstDataRow - A primeira linha de dados.
+ * @returns {number} - O número da linha, ou `firstDataRow - 1` se não houver dados.
+ */
+function getLastFilledRow(worksheet, firstDataRow) {
+    let lastRow = worksheet.rowCount;
+    while (lastRow >= firstDataRow && !worksheet.findRow(lastRow)?.hasValues) {
+        lastRow--;
+    }
+    return lastRow;
+}
+
+/**
+ * Procura a linha de totais da aba, como a gravada por `create` com `total` ou `table`: a última linha preenchida,
+ * quando ela resume as linhas de dados (ver `isTotalsRow`).
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {number} firstDataRow - A primeira linha de dados.
+ * @returns {number|null} - O número da linha de totais, ou null se não houver.
+ */
+function findTotalsRow(worksheet, firstDataRow) {
+    const lastRow = getLastFilledRow(worksheet, firstDataRow);
+    return lastRow > firstDataRow && isTotalsRow(worksheet.getRow(lastRow)) ? lastRow : null;
+}
+
+/**
+ * Verifica se a última linha é uma linha de totais: a linha de totais de uma tabela nativa do Excel, ou uma linha em
+ * que todas as fórmulas resumem a própria coluna até a linha anterior.
+ *
+ * @param {Object} row - A linha do ExcelJS.
+ * @returns {boolean} - Se a linha é de totais.
+ */
+function isTotalsRow(row) {
+    // As tabelas usam referências estruturadas nos totais (ex: SUBTOTAL(109,Tabela[Valor])), identificados pelo intervalo
+    const tableTotals = row.worksheet.getTables().some(({ table }) =>
+        table.totalsRow && Number(String(table.tableRef ?? '').replace(/^.*:\$?[A-Z]+\$?/, '')) === row.number
+    );
+    if (tableTotals) {
+        return true;
+    }
+
+    let formulas = 0;
+    let totals = true;
+    row.eachCell((cell, colNumber) => {
+        if (cell.type !== ExcelJS.ValueType.Formula) {
+            return;
+        }
+        formulas++;
+        const letter = row.worksheet.getColumn(colNumber).letter;
+        const match = String(cell.formula).match(TOTALS_FORMULA_PATTERN);
+        if (!match || match[3] !== letter || match[5] !== letter || Number(match[6]) !== row.number - 1) {
+            totals = false;
+        }
+    });
+    return formulas > 0 && totals;
+}
+
+/**
+ * Impede a inserção e a exclusão de linhas em abas com tabelas nativas do Excel, cujos intervalos não são ajustados.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ *
+ * @throws {Error} Caso a aba possua tabelas.
+ */
+function assertWithoutTables(worksheet) {
+    if (worksheet.getTables().length > 0) {
+        throw new Error(`A aba "${worksheet.name}" possui tabelas nativas do Excel, que não podem ter linhas inseridas ou excluídas pelo editor.`);
+    }
+}
+
+/**
+ * Acrescenta linhas abaixo dos dados de uma aba. Cada linha nova copia os estilos, as validações e as fórmulas (com as
+ * referências ajustadas) da última linha de dados com a mesma paridade, mantendo o zebrado. Os valores informados
+ * substituem as fórmulas copiadas. Havendo linha de totais, as linhas são inseridas acima dela e os totais passam
+ * a incluí-las, assim como as formatações condicionais que terminavam na última linha de dados.
+ *
+ * @param {Object} sheet - A aba retornada por `getSheetContext`.
+ * @param {Array<Object>} rows - As linhas, com as chaves das colunas.
+ * @returns {Array<number>} - Os números das linhas criadas.
+ *
+ * @throws {Error} Caso alguma linha use uma coluna inexistente.
+ */
+function appendSheetRows(sheet, rows) {
+    const { worksheet, columnKeys, firstDataRow, lastDataRow, totalsRow } = sheet;
+    if (rows.length === 0) {
+        return [];
+    }
+
+    materializeSharedFormulas(worksheet);
+    const insertAt = lastDataRow + 1;
+    if (totalsRow) {
+        spliceSheetRows(worksheet, insertAt, 0, rows.length);
+    }
+
+    const lastNewRow = insertAt + rows.length - 1;
+    if (lastDataRow >= firstDataRow) {
+        extendDataRanges(worksheet, lastDataRow, lastNewRow, totalsRow ? lastNewRow + 1 : null);
+    }
+
+    const rowNumbers = rows.map((rowData, index) => {
+        const rowNumber = insertAt + index;
+        // A linha modelo tem a mesma paridade da nova linha, para manter o zebrado
+        const templateNumber = (rowNumber - lastDataRow) % 2 === 1 && lastDataRow - 1 >= firstDataRow ? lastDataRow - 1 : lastDataRow;
+        if (templateNumber >= firstDataRow) {
+            copyRowTemplate(worksheet, templateNumber, rowNumber);
+        }
+        writeRowValues(worksheet.getRow(rowNumber), rowData, columnKeys, worksheet.name);
+        return rowNumber;
+    });
+
+    if (totalsRow) {
+        refreshTotalsRow(worksheet.getRow(lastNewRow + 1));
+    }
+    worksheet.workbook.calcProperties.fullCalcOnLoad = true;
+    return rowNumbers;
+}
+
+/**
+ * Altera as linhas de dados cuja coluna chave tem o mesmo valor de cada linha informada. Os valores são comparados
+ * como em `toJson` (textos sem espaços nas pontas e datas formatadas), e todas as linhas com a chave são alteradas.
+ *
+ * @param {Object} sheet - A aba retornada por `getSheetContext`.
+ * @param {string} keyColumn - A chave ou o cabeçalho da coluna chave.
+ * @param {Array<Object>} rows - As linhas, com a coluna chave e as colunas a alterar.
+ * @returns {{ updated: number, notFound: Array }} - A quantidade de linhas alteradas e as chaves não encontradas.
+ *
+ * @throws {Error} Caso a coluna chave não exista ou alguma linha não tenha o valor da chave.
+ */
+function updateSheetRows(sheet, keyColumn, rows) {
+    const { worksheet, columnKeys, firstDataRow, lastDataRow, totalsRow } = sheet;
+    const keyNumber = findColumnNumber(columnKeys, keyColumn);
+    if (!keyNumber) {
+        throw new Error(`A coluna chave "${keyColumn}" não foi encontrada na aba "${worksheet.name}".`);
+    }
+    const keyName = [...columnKeys].find(([, colNumber]) => colNumber === keyNumber)[0];
+
+    const rowsByKey = new Map();
+    for (let rowNumber = firstDataRow; rowNumber <= lastDataRow; rowNumber++) {
+        const cell = worksheet.getRow(rowNumber).getCell(keyNumber);
+        const key = formatData(keyName, cell.type === ExcelJS.ValueType.Formula ? cell.result ?? null : cell.value);
+        if (key !== '' && key !== 'null') {
+            rowsByKey.set(key, [...(rowsByKey.get(key) || []), rowNumber]);
+        }
+    }
+
+    let updated = 0;
+    const notFound = [];
+    rows.forEach((rowData) => {
+        const keyValue = rowData[keyColumn] ?? rowData[keyName];
+        if (keyValue === undefined || keyValue === null || keyValue === '') {
+            throw new Error(`Linha sem valor na coluna chave "${keyColumn}": ${JSON.stringify(rowData)}`);
+        }
+
+        const rowNumbers = rowsByKey.get(formatData(keyName, keyValue)) || [];
+        if (rowNumbers.length === 0) {
+            notFound.push(keyValue);
+            return;
+        }
+
+        const changes = { ...rowData };
+        delete changes[keyColumn];
+        delete changes[keyName];
+        rowNumbers.forEach((rowNumber) => writeRowValues(worksheet.getRow(rowNumber), changes, columnKeys, worksheet.name));
+        updated += rowNumbers.length;
+    });
+
+    if (updated > 0) {
+        if (totalsRow) {
+            refreshTotalsRow(worksheet.getRow(totalsRow));
+        }
+        worksheet.workbook.calcProperties.fullCalcOnLoad = true;
+    }
+    return { updated, notFound };
+}
+
+/**
+ * Exclui as linhas de dados selecionadas, subindo as linhas abaixo e ajustando as referências da aba.
+ *
+ * @param {Object} sheet - A aba retornada por `getSheetContext`.
+ * @param {Function} predicate - Recebe a linha (como em `toJson`) e o número da linha; retorna true para excluir.
+ * @returns {number} - A quantidade de linhas excluídas.
+ */
+function deleteSheetRows(sheet, predicate) {
+    const { worksheet, totalsRow } = sheet;
+    const rowNumbers = findDataRows(sheet, predicate);
+    if (rowNumbers.length === 0) {
+        return 0;
+    }
+
+    materializeSharedFormulas(worksheet);
+
+    // Exclui de baixo para cima, em blocos de linhas consecutivas
+    let index = rowNumbers.length - 1;
+    while (index >= 0) {
+        let start = rowNumbers[index];
+        let count = 1;
+        while (index - count >= 0 && rowNumbers[index - count] === start - 1) {
+            start--;
+            count++;
+        }
+        spliceSheetRows(worksheet, start, count, 0);
+        index -= count;
+    }
+
+    if (totalsRow) {
+        refreshTotalsRow(worksheet.getRow(totalsRow - rowNumbers.length));
+    }
+    worksheet.workbook.calcProperties.fullCalcOnLoad = true;
+    return rowNumbers.length;
+}
+
+/**
+ * Retorna os números das linhas de dados (sem a linha de totais e as linhas vazias) selecionadas pela função.
+ *
+ * @param {Object} sheet - A aba retornada por `getSheetContext`.
+ * @param {Function} predicate - Recebe a linha (como em `toJson`) e o número da linha.
+ * @returns {Array<number>} - Os números das linhas, em ordem crescente.
+ */
+function findDataRows(sheet, predicate) {
+    const { worksheet, headerRow, firstDataRow, lastDataRow } = sheet;
+    const rowNumbers = [];
+    for (let rowNumber = firstDataRow; rowNumber <= lastDataRow; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        const { replacements } = setObjectReplacements(row, headerRow, worksheet);
+        if (Object.keys(replacements).length > 0 && predicate(formatReplacement(replacements), rowNumber)) {
+            rowNumbers.push(rowNumber);
+        }
+    }
+    return rowNumbers;
+}
+
+/**
+ * Oculta ou exibe colunas de uma aba.
+ *
+ * @param {Object} sheet - A aba retornada por `getSheetContext`.
+ * @param {string|number|Array} columns - Chave ou cabeçalho, letra (ex: 'C') ou número da coluna, ou um array deles.
+ * @param {boolean} hidden - Se as colunas devem ser ocultadas.
+ *
+ * @throws {Error} Caso alguma coluna não exista.
+ */
+function setColumnsHidden(sheet, columns, hidden) {
+    const { worksheet, columnKeys } = sheet;
+    (Array.isArray(columns) ? columns : [columns]).forEach((column) => {
+        let colNumber = typeof column === 'number' ? column : findColumnNumber(columnKeys, column);
+        if (!colNumber && /^[A-Z]{1,3}$/.test(String(column))) {
+            colNumber = worksheet.getColumn(column).number;
+        }
+        if (!colNumber) {
+            throw new Error(`A coluna "${column}" não foi encontrada na aba "${worksheet.name}".`);
+        }
+        worksheet.getColumn(colNumber).hidden = hidden;
+    });
+}
+
+/**
+ * Oculta ou exibe linhas de uma aba.
+ *
+ * @param {Object} sheet - A aba retornada por `getSheetContext`.
+ * @param {number|Array<number>|Function} rows - Números das linhas, ou uma função que seleciona as linhas de dados
+ * (como em `deleteRows`).
+ * @param {boolean} hidden - Se as linhas devem ser ocultadas.
+ */
+function setRowsHidden(sheet, rows, hidden) {
+    const rowNumbers = typeof rows === 'function' ? findDataRows(sheet, rows) : [].concat(rows);
+    rowNumbers.forEach((rowNumber) => {
+        if (!Number.isInteger(rowNumber) || rowNumber < 1) {
+            throw new Error(`Número de linha inválido: ${rowNumber}`);
+        }
+        sheet.worksheet.getRow(rowNumber).hidden = hidden;
+    });
+}
+
+/**
+ * Renomeia uma aba, atualizando as referências a ela nas fórmulas, validações e formatações condicionais de todas as
+ * abas e nos nomes definidos (como as listas de seleção nomeadas).
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook`.
+ * @param {Object} worksheet - A aba a renomear.
+ * @param {string} newName - O novo nome.
+ *
+ * @throws {Error} Caso o novo nome seja inválido ou já exista.
+ */
+function renameWorksheet(workbook, worksheet, newName) {
+    const oldName = worksheet.name;
+    if (newName === oldName) {
+        return;
+    }
+    validateSheetName(workbook, newName, worksheet);
+
+    const escaped = oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`'${escaped.replace(/'/g, "''")}'!|(?<![\\w.'])${escaped}!`, 'g');
+    const replacement = `${quoteSheetName(newName)}!`;
+    const renameReferences = (text) => replaceOutsideStrings(text, (part) => part.replace(pattern, replacement));
+
+    // Os nomes definidos são guardados pelo nome da aba, por isso são reconstruídos com o novo nome
+    const definedNames = workbook.definedNames.model;
+    worksheet.name = newName;
+    workbook.definedNames.model = definedNames.map((definedName) => ({
+        ...definedName,
+        ranges: definedName.ranges.map((range) => renameReferences(range)),
+    }));
+
+    workbook.worksheets.forEach((sheet) => {
+        updateSheetFormulas(sheet, renameReferences);
+        updateRuleFormulas(sheet, renameReferences);
+    });
+}
+
+/**
+ * Valida o nome de uma nova aba conforme as regras do Excel.
+ *
+ * @param {Object} workbook - Instância de `ExcelJS.Workbook`.
+ * @param {string} name - O nome da aba.
+ * @param {Object} [worksheet] - A aba sendo renomeada, ignorada na verificação de nomes repetidos.
+ *
+ * @throws {Error} Caso o nome seja vazio, longo demais, tenha caracteres inválidos ou já exista.
+ */
+function validateSheetName(workbook, name, worksheet = null) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('Necessário informar o nome da planilha.');
+    }
+    if (name.length > MAX_SHEET_NAME_LENGTH) {
+        throw new Error(`O nome da aba "${name}" passa de ${MAX_SHEET_NAME_LENGTH} caracteres.`);
+    }
+    if (INVALID_SHEET_NAME_CHARACTERS.test(name) || /^'|'$/.test(name)) {
+        throw new Error(`O nome da aba "${name}" não pode ter os caracteres \\ / ? * [ ] : nem começar ou terminar com aspas simples.`);
+    }
+    const existing = workbook.worksheets.find((sheet) => sheet !== worksheet && sheet.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+        throw new Error(`Já existe uma aba chamada "${existing.name}" no arquivo.`);
+    }
+}
+
+/**
+ * Coloca o nome da aba entre aspas simples quando necessário para usá-lo em fórmulas (ex: 'Vendas 2024'!A1).
+ *
+ * @param {string} name - O nome da aba.
+ * @returns {string} - O nome pronto para referências.
+ */
+function quoteSheetName(name) {
+    return /^[A-Za-z_][\w.]*$/.test(name) && !/^[A-Za-z]{1,3}\d+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Copia os estilos, as validações e as fórmulas de uma linha modelo para uma nova linha, ajustando as referências
+ * relativas das fórmulas para a nova linha.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {number} templateNumber - O número da linha modelo.
+ * @param {number} rowNumber - O número da nova linha.
+ */
+function copyRowTemplate(worksheet, templateNumber, rowNumber) {
+    const template = worksheet.getRow(templateNumber);
+    const row = worksheet.getRow(rowNumber);
+    const offset = rowNumber - templateNumber;
+    const shiftRow = (referenceRow, { absolute }) => (absolute ? referenceRow : referenceRow + offset);
+
+    if (template.height) {
+        row.height = template.height;
+    }
+    template.eachCell({ includeEmpty: true }, (source, colNumber) => {
+        const cell = row.getCell(colNumber);
+        cell.style = JSON.parse(JSON.stringify(source.style || {}));
+        if (source.dataValidation) {
+            cell.dataValidation = mapValidationReferences(source.dataValidation, worksheet.name, shiftRow);
+        }
+        if (source.type === ExcelJS.ValueType.Formula) {
+            cell.value = { formula: mapFormulaReferences(source.formula, worksheet.name, shiftRow) };
+        }
+    });
+}
+
+/**
+ * Grava os valores de uma linha nas colunas correspondentes às chaves. Textos numéricos e de data são convertidos
+ * conforme o formato numérico da célula (ex: '1.234,56' em uma célula de moeda, '31/12/2024' em uma célula de data).
+ *
+ * @param {Object} row - A linha do ExcelJS.
+ * @param {Object} rowData - Os valores, pelas chaves ou cabeçalhos das colunas.
+ * @param {Map<string, number>} columnKeys - As colunas retornadas por `getColumnKeys`.
+ * @param {string} sheetName - O nome da aba, usado nas mensagens de erro.
+ *
+ * @throws {Error} Caso alguma chave não corresponda a uma coluna.
+ */
+function writeRowValues(row, rowData, columnKeys, sheetName) {
+    Object.keys(rowData).forEach((key) => {
+        const colNumber = findColumnNumber(columnKeys, key);
+        if (!colNumber) {
+            throw new Error(`A coluna "${key}" não foi encontrada na aba "${sheetName}".`);
+        }
+        const cell = row.getCell(colNumber);
+        const value = rowData[key];
+        if (value === undefined || value === null || value === '') {
+            cell.value = null;
+        } else if (typeof value === 'string' && cell.numFmt && cell.numFmt !== 'General' && cell.numFmt !== '@') {
+            cell.value = coerceFormattedValue(value, getNumberFormat(cell.numFmt).type);
+        } else {
+            cell.value = value;
+        }
+    });
+    refreshRowFormulas(row);
+}
+
+/**
+ * Recalcula os resultados salvos das fórmulas aritméticas simples de uma linha (ver `evaluateRowFormulas`), para que
+ * leitores que não recalculam a planilha (como `toJson`) vejam os valores alterados. Os resultados antigos não são
+ * usados: as demais fórmulas, e as que dependem delas, ficam sem resultado salvo e são recalculadas pelo Excel ao abrir
+ * o arquivo.
+ *
+ * @param {Object} row - A linha do ExcelJS.
+ */
+function refreshRowFormulas(row) {
+    const values = [];
+    const formulas = [];
+    row.eachCell((cell, colNumber) => {
+        if (cell.type === ExcelJS.ValueType.Formula) {
+            formulas.push({ index: colNumber - 1, formula: cell.formula });
+        } else {
+            values[colNumber - 1] = cell.value;
+        }
+    });
+
+    const results = evaluateRowFormulas(formulas, row.number, values);
+    formulas.forEach(({ index, formula }) => {
+        const result = results.get(index);
+        row.getCell(index + 1).value = result === undefined ? { formula } : { formula, result };
+    });
+}
+
+/**
+ * Recalcula os resultados salvos da linha de totais a partir dos valores da coluna de cada total.
+ *
+ * @param {Object} row - A linha de totais do ExcelJS.
+ */
+function refreshTotalsRow(row) {
+    row.eachCell((cell) => {
+        if (cell.type !== ExcelJS.ValueType.Formula) {
+            return;
+        }
+        const formula = cell.formula;
+        const match = String(formula).match(TOTALS_FORMULA_PATTERN);
+        const result = match ? getTotalsRowResult(row.worksheet, match) : undefined;
+        cell.value = result === undefined ? { formula } : { formula, result };
+    });
+}
+
+/**
+ * Calcula o resultado de uma fórmula da linha de totais.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {Array} match - O resultado de `TOTALS_FORMULA_PATTERN` para a fórmula.
+ * @returns {number|undefined} - O resultado, ou undefined quando a função não é conhecida, quando o Excel retornaria
+ * erro ou quando alguma fórmula do intervalo não tem resultado salvo.
+ */
+function getTotalsRowResult(worksheet, match) {
+    const [, subtotalCode, functionName, letter, firstRow, , lastRow] = match;
+    const name = subtotalCode ? SUBTOTAL_FUNCTIONS[Number(subtotalCode) % 100] : functionName.toUpperCase();
+    const ignoreHidden = Number(subtotalCode) > 100;
+    const colNumber = worksheet.getColumn(letter.toUpperCase()).number;
+
+    const numbers = [];
+    let filled = 0;
+    for (let rowNumber = Number(firstRow); rowNumber <= Number(lastRow); rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        if (ignoreHidden && row.hidden) {
+            continue;
+        }
+        const cell = row.getCell(colNumber);
+        const value = cell.type === ExcelJS.ValueType.Formula ? cell.result : cell.value;
+        if (cell.type === ExcelJS.ValueType.Formula && value === undefined) {
+            return undefined;
+        }
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        filled++;
+        if (typeof value === 'number') {
+            numbers.push(value);
+        }
+    }
+
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    switch (name) {
+        case 'SUM':
+            return sum;
+        case 'AVERAGE':
+            return numbers.length ? sum / numbers.length : undefined;
+        case 'COUNT':
+            return numbers.length;
+        case 'COUNTA':
+            return filled;
+        case 'MIN':
+            return numbers.length ? Math.min(...numbers) : 0;
+        case 'MAX':
+            return numbers.length ? Math.max(...numbers) : 0;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Converte as fórmulas compartilhadas (gravadas pelo Excel como uma fórmula principal e cópias) em fórmulas comuns,
+ * para que continuem válidas quando as linhas forem movidas.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ */
+function materializeSharedFormulas(worksheet) {
+    const shared = [];
+    worksheet.eachRow((row) => {
+        row.eachCell((cell) => {
+            if (cell.type === ExcelJS.ValueType.Formula && (cell.value.sharedFormula || cell.value.shareType)) {
+                shared.push({ cell, formula: cell.formula, result: cell.result });
+            }
+        });
+    });
+    // As fórmulas são lidas antes de alterar as células, pois as cópias dependem da fórmula principal
+    shared.forEach(({ cell, formula, result }) => {
+        cell.value = result === undefined ? { formula } : { formula, result };
+    });
+}
+
+/**
+ * Insere ou exclui linhas de uma aba, usando o `spliceRows` do ExcelJS para mover valores e estilos e completando o que
+ * ele não move: comentários, resultados das fórmulas, linhas ocultas, referências das fórmulas, validações e formatações
+ * condicionais.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {number} start - A primeira linha inserida ou excluída.
+ * @param {number} deleteCount - Quantidade de linhas excluídas.
+ * @param {number} insertCount - Quantidade de linhas vazias inseridas.
+ */
+function spliceSheetRows(worksheet, start, deleteCount, insertCount) {
+    const mapRow = (rowNumber, { side } = {}) => {
+        if (rowNumber < start) {
+            return rowNumber;
+        }
+        if (rowNumber >= start + deleteCount) {
+            return rowNumber - deleteCount + insertCount;
+        }
+        // Linha excluída: os intervalos encolhem e as referências diretas viram #REF!
+        if (side === 'start') {
+            return start + insertCount;
+        }
+        if (side === 'end') {
+            return start - 1;
+        }
+        return null;
+    };
+
+    const movedRows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        if (rowNumber < start + deleteCount) {
+            return;
+        }
+        const cells = [];
+        row.eachCell((cell, colNumber) => {
+            if (cell.note || cell.type === ExcelJS.ValueType.Formula) {
+                cells.push({ colNumber, note: cell.note, result: cell.result });
+            }
+        });
+        movedRows.push({ rowNumber, hidden: row.hidden, outlineLevel: row.outlineLevel, cells });
+    });
+
+    worksheet.spliceRows(start, deleteCount, ...Array.from({ length: insertCount }, () => []));
+
+    for (let rowNumber = start; rowNumber < start + insertCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        row.hidden = false;
+        row.outlineLevel = 0;
+    }
+    movedRows.forEach(({ rowNumber, hidden, outlineLevel, cells }) => {
+        const row = worksheet.getRow(mapRow(rowNumber));
+        row.hidden = hidden;
+        row.outlineLevel = outlineLevel;
+        cells.forEach(({ colNumber, note, result }) => {
+            const cell = row.getCell(colNumber);
+            if (note) {
+                cell.note = note;
+            }
+            if (result !== undefined && cell.type === ExcelJS.ValueType.Formula) {
+                cell.value = { formula: cell.formula, result };
+            }
+        });
+    });
+
+    updateSheetReferences(worksheet, mapRow);
+}
+
+/**
+ * Estende os intervalos que terminam na última linha de dados até a nova última linha: os totais da linha de totais e
+ * as formatações condicionais.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {number} previousEnd - A última linha de dados antes da inclusão.
+ * @param {number} newEnd - A nova última linha de dados.
+ * @param {number|null} totalsRow - A linha de totais (já na nova posição), se houver.
+ */
+function extendDataRanges(worksheet, previousEnd, newEnd, totalsRow) {
+    const extendRow = (rowNumber, { side }) => (side === 'end' && rowNumber === previousEnd ? newEnd : rowNumber);
 
+    if (totalsRow) {
+        worksheet.getRow(totalsRow).eachCell((cell) => {
+            if (cell.type === ExcelJS.ValueType.Formula) {
+                cell.value = { formula: mapFormulaReferences(cell.formula, worksheet.name, extendRow) };
+            }
+        });
+    }
+    worksheet.conditionalFormattings.forEach((conditionalFormatting) => {
+        conditionalFormatting.ref = mapFormulaReferences(conditionalFormatting.ref, worksheet.name, extendRow);
+    });
+}
+
+/**
+ * Ajusta as referências às linhas da aba em todas as fórmulas, validações, formatações condicionais, no filtro e na
+ * área de impressão, nas fórmulas, validações e formatações condicionais das outras abas que apontam para ela
+ * (ex: `Pedidos!C9`) e nos nomes definidos.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {Function} mapRow - A função de ajuste das linhas (ver `mapFormulaReferences`).
+ */
+function updateSheetReferences(worksheet, mapRow) {
+    updateSheetFormulas(worksheet, (formula) => mapFormulaReferences(formula, worksheet.name, mapRow));
+
+    const validations = new Map();
+    const model = {};
+    Object.entries(worksheet.dataValidations.model).forEach(([address, validation]) => {
+        const newAddress = mapFormulaReferences(address, worksheet.name, mapRow);
+        if (!validation || newAddress.includes('#REF!')) {
+            return;
+        }
+        // Várias células compartilham o mesmo objeto de validação, que é convertido uma única vez
+        if (!validations.has(validation)) {
+            validations.set(validation, mapValidationReferences(validation, worksheet.name, mapRow));
+        }
+        model[newAddress] = validations.get(validation);
+    });
+    worksheet.dataValidations.model = model;
+
+    worksheet.conditionalFormattings = worksheet.conditionalFormattings.filter((conditionalFormatting) => {
+        const ref = mapFormulaReferences(conditionalFormatting.ref, worksheet.name, mapRow)
+            .split(/\s+/)
+            .filter((range) => range && !range.includes('#REF!'))
+            .join(' ');
+        conditionalFormatting.ref = ref;
+        conditionalFormatting.rules.forEach((rule) => {
+            if (rule.formulae) {
+                rule.formulae = rule.formulae.map((formula) =>
+                    typeof formula === 'string' ? mapFormulaReferences(formula, worksheet.name, mapRow) : formula
+                );
+            }
+        });
+        return ref !== '';
+    });
+
+    if (typeof worksheet.autoFilter === 'string') {
+        worksheet.autoFilter = mapFormulaReferences(worksheet.autoFilter, worksheet.name, mapRow);
+    }
+    if (worksheet.pageSetup && typeof worksheet.pageSetup.printArea === 'string') {
+        const printArea = worksheet.pageSetup.printArea
+            .split('&&')
+            .map((range) => mapFormulaReferences(range, worksheet.name, mapRow))
+            .filter((range) => !range.includes('#REF!'))
+            .join('&&');
+        worksheet.pageSetup.printArea = printArea || undefined;
+    }
+
+    const mapOtherSheetReferences = (formula) => mapFormulaReferences(formula, worksheet.name, mapRow, false);
+    worksheet.workbook.worksheets
+        .filter((sheet) => sheet !== worksheet)
+        .forEach((sheet) => {
+            updateSheetFormulas(sheet, mapOtherSheetReferences);
+            updateRuleFormulas(sheet, mapOtherSheetReferences);
+        });
+
+    const { definedNames } = worksheet.workbook;
+    definedNames.model = definedNames.model
+        .map((definedName) => ({
+            ...definedName,
+            ranges: definedName.ranges
+                .map(mapOtherSheetReferences)
+                .filter((range) => !range.includes('#REF!')),
+        }))
+        .filter((definedName) => definedName.ranges.length > 0);
+}
+
+/**
+ * Aplica uma transformação às fórmulas das validações e das formatações condicionais da aba, sem alterar os endereços.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {Function} transform - Recebe o texto da fórmula e retorna o novo texto.
+ */
+function updateRuleFormulas(worksheet, transform) {
+    const transformFormulae = (formulae) =>
+        formulae.map((formula) => (typeof formula === 'string' ? transform(formula) : formula));
+
+    // Várias células compartilham o mesmo objeto de validação, que é alterado uma única vez
+    new Set(Object.values(worksheet.dataValidations.model)).forEach((validation) => {
+        if (validation && Array.isArray(validation.formulae)) {
+            validation.formulae = transformFormulae(validation.formulae);
+        }
+    });
+    worksheet.conditionalFormattings.forEach((conditionalFormatting) => {
+        conditionalFormatting.rules.forEach((rule) => {
+            if (rule.formulae) {
+                rule.formulae = transformFormulae(rule.formulae);
+            }
+        });
+    });
+}
+
+/**
+ * Aplica uma transformação às fórmulas de todas as células da aba, mantendo os resultados salvos.
+ * As fórmulas compartilhadas são lidas antes das substituições, pois dependem da fórmula da célula principal.
+ *
+ * @param {Object} worksheet - A aba do ExcelJS.
+ * @param {Function} transform - Recebe o texto da fórmula e retorna o novo texto.
+ */
+function updateSheetFormulas(worksheet, transform) {
+    const updated = [];
+    worksheet.eachRow((row) => {
+        row.eachCell((cell) => {
+            if (cell.type !== ExcelJS.ValueType.Formula) {
+                return;
+            }
+            const formula = transform(cell.formula);
+            if (formula !== cell.formula) {
+                updated.push([cell, formula, cell.result]);
+            }
+        });
+    });
+    updated.forEach(([cell, formula, result]) => {
+        cell.value = result === undefined ? { formula } : { formula, result };
+    });
+}
+
+/**
+ * Retorna uma cópia da validação com as referências das fórmulas ajustadas.
+ *
+ * @param {Object} validation - A validação do ExcelJS.
+ * @param {string} sheetName - O nome da aba da validação.
+ * @param {Function} mapRow - A função de ajuste das linhas (ver `mapFormulaReferences`).
+ * @returns {Object} - A nova validação.
+ */
+function mapValidationReferences(validation, sheetName, mapRow) {
+    if (!Array.isArray(validation.formulae)) {
+        return { ...validation };
+    }
+    return {
+        ...validation,
+        formulae: validation.formulae.map((formula) =>
+            typeof formula === 'string' ? mapFormulaReferences(formula, sheetName, mapRow) : formula
+        ),
+    };
 }
 
-module.exports = { hiddenColumns };
+module.exports = { hiddenColumns, openWorkbookEditor, saveWorkbookFile, findTotalsRow, updateSheetReferences };
@@ -1,6 +1,5 @@
 const ExcelJS = require('exceljs');
-const fs = require('fs');
-const readline = require('readline');
+const { readCsvRecords } = require('./csvParser');
 
 /**
  * Cria um objeto workbook a partir de um arquivo Excel.
@@ -24,6 +23,43 @@ async function getExcelWorkbook(fileExcel) {
     }
 }
 
+/**
+ * Cria um leitor em streaming para arquivos Excel muito grandes, sem carregar o workbook inteiro em memória.
+ *
+ * @param {string} fileExcel - O caminho do arquivo Excel.
+ * @returns {Object} - O objeto `ExcelJS.stream.xlsx.WorkbookReader`, iterável de forma assíncrona por aba.
+ * @throws {Error} - Lança um erro se o caminho do arquivo não for válido.
+ */
+function getStreamWorkbookReader(fileExcel) {
+    if (!fileExcel || typeof fileExcel !== 'string') {
+        throw new Error('Caminho do arquivo Excel inválido fornecido.');
+    }
+
+    // Estilos em cache são necessários para reconhecer células de data pelo numFmt
+    return new ExcelJS.stream.xlsx.WorkbookReader(fileExcel, {
+        worksheets: 'emit',
+        sharedStrings: 'cache',
+        styles: 'cache',
+        hyperlinks: 'ignore',
+    });
+}
+
+/**
+ * Verifica se uma aba lida em streaming corresponde ao nome ou índice informado.
+ * Segue a mesma regra de `getWorksheet`, incluindo o nome truncado em 31 caracteres.
+ *
+ * @param {Object} worksheetReader - A aba emitida pelo `WorkbookReader`.
+ * @param {string|number} [sheetIndex=1] - O nome ou índice da planilha procurada.
+ * @returns {boolean} - Se a aba corresponde à procurada.
+ */
+function isSameWorksheet(worksheetReader, sheetIndex = 1) {
+    if (typeof sheetIndex === 'number') {
+        return Number(worksheetReader.id) === sheetIndex;
+    }
+
+    return worksheetReader.name === sheetIndex || worksheetReader.name === String(sheetIndex).slice(0, 31);
+}
+
 /**
  * Retorna uma planilha do Excel a partir do índice fornecido.
  *
@@ -39,7 +75,7 @@ function getWorksheet(workbook, sheetIndex = 1) {
 
     let worksheet = workbook.getWorksheet(sheetIndex);
 
-    if (!worksheet) {
+    if (!worksheet && typeof sheetIndex === 'string') {
         const truncatedSheetName = sheetIndex.slice(0, 31);
         worksheet = workbook.getWorksheet(truncatedSheetName);
     }
@@ -51,6 +87,43 @@ function getWorksheet(workbook, sheetIndex = 1) {
     return worksheet;
 }
 
+/**
+ * Filtra as abas de um workbook por nome, expressão regular ou posição, ignorando as abas ocultas.
+ *
+ * @param {Array<Object>} worksheets - As abas do workbook (`workbook.worksheets`).
+ * @param {string|RegExp|number|Array} [filter] - Nome (aceita `*` como curinga), RegExp, posição (1 = primeira aba)
+ * ou um array desses filtros. Sem filtro, todas as abas são retornadas.
+ * @param {boolean} [includeHidden=false] - Inclui abas ocultas (`hidden`) e muito ocultas (`veryHidden`).
+ * @returns {Array<Object>} - As abas selecionadas, na ordem do workbook.
+ * @throws {Error} - Lança um erro se o filtro informado não for válido.
+ */
+function filterWorksheets(worksheets, filter, includeHidden = false) {
+    const filters = filter === undefined || filter === null ? [] : [].concat(filter);
+
+    const matchers = filters.map((item) => {
+        if (item instanceof RegExp) {
+            return (worksheet) => item.test(worksheet.name);
+        }
+        if (typeof item === 'number') {
+            return (worksheet, position) => position === item;
+        }
+        if (typeof item === 'string') {
+            // O curinga `*` aceita qualquer sequência de caracteres; o restante do texto é literal
+            const escaped = item.split('*').map((part) => part.replace(/[.+?^$()|[\]{}\\]/g, '\\$&'));
+            const pattern = new RegExp(`^${escaped.join('.*')}$`, 'i');
+            return (worksheet) => pattern.test(worksheet.name) || worksheet.name === item.slice(0, 31);
+        }
+        throw new Error('Filtro de abas inválido fornecido. Use nomes, expressões regulares ou posições.');
+    });
+
+    return worksheets.filter((worksheet, index) => {
+        if (!includeHidden && worksheet.state !== 'visible') {
+            return false;
+        }
+        return matchers.length === 0 || matchers.some((matcher) => matcher(worksheet, index + 1));
+    });
+}
+
 /**
  * Retorna a linha de cabeçalho de uma planilha do Excel.
  *
@@ -76,63 +149,23 @@ function getHeaderRow(worksheet, header = 1) {
     return headerRow;
 }
 
-/**
- * Converte um arquivo CSV em um arquivo XLSX.
- *
- * @param {string} csvFilePath - Caminho para o arquivo CSV de entrada.
- * @param {string} xlsxFilePath - Caminho para salvar o arquivo XLSX gerado.
- * @param {string} [aba='Planilha1'] - Nome da aba da planilha dentro do arquivo XLSX (padrão: 'Planilha1').
- * @returns {Promise<void>} - Retorna uma Promise que é resolvida quando o arquivo XLSX é salvo.
- */
-async function csvToXlsx(csvFilePath, xlsxFilePath, aba = 'Planilha1') {
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet(aba);
-
-    const fileStream = fs.createReadStream(csvFilePath, { encoding: 'utf-8' });
-    const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity,
-    });
-
-    for await (const line of rl) {
-        const cleanedLine = line.trim(); // Remove espaços em branco extras
-        const row = cleanedLine.split(/;|,/); // Divide usando ';' ou ','
-        worksheet.addRow(row);
-    }
-
-    await workbook.xlsx.writeFile(xlsxFilePath);
-    console.log(`Arquivo XLSX salvo em: ${xlsxFilePath}`);
-}
-
 /**
  * Converte um CSV em JSON limpo e padronizado.
  *
  * @param {string} csvFilePath - Caminho do CSV de entrada.
+ * @param {Object} [options={}] - Dialeto do CSV (`delimiter`, `quote`, `encoding`, `headerRow`), ver `readCsvRecords`.
  * @returns {Promise<Object[]>} - Array de objetos limpos.
  */
-async function csvToJson(csvFilePath) {
-    const fileStream = fs.createReadStream(csvFilePath, { encoding: 'utf-8' });
-    const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity,
-    });
-
+async function csvToJson(csvFilePath, options = {}) {
     let headers = [];
     const jsonData = [];
 
-    for await (const line of rl) {
-        const cleanedLine = line.trim();
-        if (!cleanedLine) continue;
-
-        const delimiter = cleanedLine.includes(';') ? ';' : ',';
-        const row = cleanedLine.split(delimiter).map(v =>
-            v.replace(/^"+|"+$/g, '').trim() || null
-        );
+    for await (const record of readCsvRecords(csvFilePath, options)) {
+        const row = record.map(v => v.trim() || null);
 
         if (headers.length === 0) {
-            headers = row.map(header =>
+            headers = record.map(header =>
                 header
-                    .replace(/^"+|"+$/g, '')
                     .trim()
                     .toLowerCase()
                     .normalize('NFD')
@@ -143,7 +176,7 @@ async function csvToJson(csvFilePath) {
         } else {
             const obj = {};
             headers.forEach((key, idx) => {
-                obj[key] = row[idx];
+                obj[key] = row[idx] ?? null;
             });
             jsonData.push(obj);
         }
@@ -152,11 +185,12 @@ async function csvToJson(csvFilePath) {
     return jsonData;
 }
 
-
 module.exports = {
     getExcelWorkbook,
+    getStreamWorkbookReader,
+    isSameWorksheet,
     getWorksheet,
+    filterWorksheets,
     getHeaderRow,
-    csvToXlsx,
     csvToJson
 };
\ No newline at end of file
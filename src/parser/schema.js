@@ -0,0 +1,317 @@
+const unidecode = require('unidecode');
+const { getCellValue } = require('./formatter');
+const { excelSerialToDate, parseDateText } = require('../utils/dateUtils');
+
+/** Tipos aceitos nas definições de coluna do schema */
+const SCHEMA_TYPES = ['string', 'integer', 'decimal', 'boolean', 'date', 'datetime', 'enum'];
+
+/** Textos reconhecidos como verdadeiro/falso nas colunas booleanas */
+const BOOLEAN_VALUES = {
+    true: true, verdadeiro: true, sim: true, s: true, yes: true, y: true, x: true, '1': true,
+    false: false, falso: false, nao: false, n: false, no: false, '0': false,
+};
+
+/** Números com ponto decimal e vírgula de milhar (1,234.56): sinal, parte inteira, decimais e expoente */
+const PLAIN_NUMBER_PATTERN = /^([-+]?)(\d{1,3}(?:,\d{3})+|\d*)(?:\.(\d*))?([eE][-+]?\d+)?$/;
+
+/** Números com vírgula decimal e ponto de milhar (1.234,56): sinal, parte inteira, decimais e expoente */
+const BRAZILIAN_NUMBER_PATTERN = /^([-+]?)(\d{1,3}(?:\.\d{3})+|\d*)(?:,(\d*))?([eE][-+]?\d+)?$/;
+
+/**
+ * Valida e normaliza o schema informado, aceitando o atalho `{ coluna: 'integer' }`.
+ *
+ * @param {Object} schema - Mapa de chaves de coluna (identificadores) para as definições de tipo.
+ * @returns {Object} - O schema com todas as definições no formato de objeto.
+ * @throws {Error} - Lança um erro se o schema ou algum tipo informado não for válido.
+ */
+function normalizeSchema(schema) {
+    if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+        throw new Error('Schema inválido fornecido. Deve ser um objeto com as definições das colunas.');
+    }
+
+    const normalized = {};
+    for (const key in schema) {
+        const definition = typeof schema[key] === 'string' ? { type: schema[key] } : { ...schema[key] };
+        definition.type = definition.type || 'string';
+
+        if (!SCHEMA_TYPES.includes(definition.type)) {
+            throw new Error(`Tipo "${definition.type}" inválido para a coluna "${key}". Tipos aceitos: ${SCHEMA_TYPES.join(', ')}.`);
+        }
+        if (definition.type === 'enum' && !Array.isArray(definition.values)) {
+            throw new Error(`A coluna "${key}" é do tipo enum e precisa da lista "values".`);
+        }
+        if (definition.parse && typeof definition.parse !== 'function') {
+            throw new Error(`O campo "parse" da coluna "${key}" deve ser uma função.`);
+        }
+
+        normalized[key] = definition;
+    }
+
+    return normalized;
+}
+
+/**
+ * Converte os valores de uma linha conforme o schema, retornando os dados tipados e os erros encontrados.
+ * Colunas fora do schema mantêm a formatação padrão em texto (`formatData`).
+ *
+ * @param {Object} replacements - Valores brutos da linha, com os identificadores das colunas como chaves.
+ * @param {Object} schema - Schema normalizado por `normalizeSchema`.
+ * @param {number} rowNumber - O número da linha na planilha (usado nos erros).
+ * @param {Function} formatOther - Formatação aplicada às colunas que não estão no schema.
+ * @returns {{ data: Object, errors: Array<Object> }} - Os valores tipados e a lista de erros `{ row, column, value, message }`.
+ */
+function parseRowWithSchema(replacements, schema, rowNumber, formatOther) {
+    const data = {};
+    const errors = [];
+
+    for (const key in replacements) {
+        if (!schema[key]) {
+            data[key] = formatOther(key, replacements[key]);
+        }
+    }
+
+    for (const key in schema) {
+        const definition = schema[key];
+        const value = getCellValue(replacements[key]);
+
+        try {
+            data[key] = parseSchemaValue(key, value, definition, { row: replacements, rowNumber }, formatOther);
+        } catch (error) {
+            errors.push({ row: rowNumber, column: key, value, message: error.message });
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Converte um único valor conforme a definição da coluna.
+ *
+ * @param {string} key - A chave (identificador) da coluna.
+ * @param {any} value - O valor resolvido da célula.
+ * @param {Object} definition - Definição da coluna (`type`, `required`, `default`, `parse`, `values`).
+ * @param {Object} context - Contexto repassado à função `parse` personalizada (`row`, `rowNumber`).
+ * @param {Function} formatText - Formatação usada nas colunas do tipo string (ex: `formatData`, com as opções de datas).
+ * @returns {any} - O valor tipado.
+ * @throws {Error} - Lança um erro se o valor for obrigatório e estiver vazio ou não puder ser convertido.
+ */
+function parseSchemaValue(key, value, definition, context, formatText) {
+    if (isEmptyValue(value)) {
+        if (definition.default !== undefined) {
+            return typeof definition.default === 'function' ? definition.default(context) : definition.default;
+        }
+        if (definition.required) {
+            throw new Error('Valor obrigatório não informado.');
+        }
+        return null;
+    }
+
+    if (definition.parse) {
+        return definition.parse(value, { key, ...context });
+    }
+
+    switch (definition.type) {
+        case 'integer': {
+            const number = parseNumber(value);
+            if (number === null || !Number.isInteger(number)) {
+                throw new Error(`Valor "${value}" não é um número inteiro.`);
+            }
+            return number;
+        }
+        case 'decimal': {
+            const number = parseNumber(value);
+            if (number === null) {
+                throw new Error(`Valor "${value}" não é um número.`);
+            }
+            return number;
+        }
+        case 'boolean': {
+            const bool = parseBoolean(value);
+            if (bool === null) {
+                throw new Error(`Valor "${value}" não é um booleano.`);
+            }
+            return bool;
+        }
+        case 'date':
+        case 'datetime': {
+            const date = parseDate(value);
+            if (!date) {
+                throw new Error(`Valor "${value}" não é uma data válida.`);
+            }
+            if (definition.type === 'date') {
+                date.setUTCHours(0, 0, 0, 0);
+            }
+            return date;
+        }
+        case 'enum': {
+            const match = definition.values.find((option) => normalizeEnumText(option) === normalizeEnumText(value));
+            if (match === undefined) {
+                throw new Error(`Valor "${value}" não está entre as opções permitidas: ${definition.values.join(', ')}.`);
+            }
+            return match;
+        }
+        default:
+            return formatText(key, value);
+    }
+}
+
+/**
+ * Verifica se um valor deve ser tratado como vazio (nulo ou texto em branco).
+ *
+ * @param {any} value - O valor a ser verificado.
+ * @returns {boolean} - Se o valor está vazio.
+ */
+function isEmptyValue(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Converte um valor em número, aceitando textos no formato brasileiro (1.234,56) e internacional (1,234.56).
+ *
+ * Sem `decimalSeparator`, o separador decimal é deduzido do próprio texto: com vírgula e ponto, o último
+ * deles é o decimal; apenas com vírgula, a vírgula é decimal; com vários pontos, todos são de milhar.
+ * O separador de milhar só é aceito entre grupos de exatamente três dígitos: com `decimalSeparator: ','`, '1.5'
+ * não é um número (e não 15).
+ *
+ * @param {any} value - O valor a ser convertido.
+ * @param {string} [decimalSeparator] - Separador decimal conhecido da coluna (',' ou '.').
+ * @returns {number|null} - O número, ou null se o valor não for numérico.
+ */
+function parseNumber(value, decimalSeparator) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const text = value.trim().replace(/\s/g, '');
+    if (!decimalSeparator) {
+        if (text.includes(',') && text.includes('.')) {
+            decimalSeparator = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+        } else if (text.includes(',')) {
+            decimalSeparator = ',';
+        } else if ((text.match(/\./g) || []).length > 1) {
+            // Vários pontos sem vírgula (1.234.567): todos são separadores de milhar
+            decimalSeparator = ',';
+        } else {
+            decimalSeparator = '.';
+        }
+    }
+
+    // O separador de milhar só é aceito na parte inteira, entre grupos de três dígitos
+    const pattern = decimalSeparator === ',' ? BRAZILIAN_NUMBER_PATTERN : PLAIN_NUMBER_PATTERN;
+    const match = text.match(pattern);
+    if (!match || !/\d/.test(match[2] + (match[3] ?? ''))) {
+        return null;
+    }
+    const [, sign, integer, decimals, exponent = ''] = match;
+    return Number(`${sign}${integer.replace(/\D/g, '')}${decimals === undefined ? '' : `.${decimals}`}${exponent}`);
+}
+
+/**
+ * Deduz o tipo de uma coluna de texto (ex: CSV) a partir de uma amostra dos seus valores.
+ * Números com zeros à esquerda (códigos, CEP, CPF) são mantidos como texto.
+ *
+ * Quando os valores servem aos dois formatos (ex: `1.234`, `2.500` e `10`) e todos os que têm ponto têm um único ponto
+ * seguido de exatamente três dígitos, o ponto é tratado como separador de milhar, como nos arquivos brasileiros.
+ * Com `decimalSeparator`, apenas o formato correspondente é aceito.
+ *
+ * @param {Array<string>} values - Amostra dos valores da coluna.
+ * @param {Object} [options={}] - Opções da dedução:
+ *   - `decimalSeparator`: Separador decimal conhecido do arquivo (',' ou '.').
+ * @returns {{ type: string, decimalSeparator?: string }} - O tipo deduzido ('integer', 'decimal', 'date',
+ * 'datetime' ou 'string') e, para números, o separador decimal usado na coluna.
+ */
+function inferColumnType(values, options = {}) {
+    const filled = values.filter((value) => !isEmptyValue(value)).map((value) => String(value).trim());
+    if (filled.length === 0) {
+        return { type: 'string' };
+    }
+
+    const hasLeadingZero = filled.some((value) => /^[-+]?0\d/.test(value));
+    if (!hasLeadingZero) {
+        const plain = /^[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+        const brazilian = /^[-+]?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/;
+        const isPlain = filled.every((value) => plain.test(value));
+        const isBrazilian = filled.every((value) => brazilian.test(value));
+
+        let decimalSeparator = null;
+        if (options.decimalSeparator) {
+            const matches = options.decimalSeparator === ',' ? isBrazilian : isPlain;
+            decimalSeparator = matches ? options.decimalSeparator : null;
+        } else if (isPlain && isBrazilian) {
+            const dotted = filled.filter((value) => value.includes('.'));
+            decimalSeparator = dotted.length > 0 && dotted.every((value) => /^[-+]?\d{1,3}\.\d{3}$/.test(value)) ? ',' : '.';
+        } else {
+            decimalSeparator = isPlain ? '.' : isBrazilian ? ',' : null;
+        }
+
+        if (decimalSeparator) {
+            const numbers = filled.map((value) => parseNumber(value, decimalSeparator));
+            return {
+                type: numbers.every((number) => Number.isInteger(number)) ? 'integer' : 'decimal',
+                decimalSeparator,
+            };
+        }
+    }
+
+    const dates = filled.map(parseDateText);
+    if (dates.every((date) => date !== null)) {
+        const hasTime = dates.some((date) => date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds());
+        return { type: hasTime ? 'datetime' : 'date' };
+    }
+
+    return { type: 'string' };
+}
+
+/**
+ * Converte um valor em booleano (true/false, sim/não, s/n, 1/0, x).
+ *
+ * @param {any} value - O valor a ser convertido.
+ * @returns {boolean|null} - O booleano, ou null se o valor não for reconhecido.
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = unidecode(String(value)).trim().toLowerCase();
+    return text in BOOLEAN_VALUES ? BOOLEAN_VALUES[text] : null;
+}
+
+/**
+ * Converte um valor em data: objetos Date, números seriais do Excel e textos DD/MM/YYYY ou ISO 8601.
+ *
+ * @param {any} value - O valor a ser convertido.
+ * @returns {Date|null} - A data, ou null se o valor não for uma data válida.
+ */
+function parseDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : new Date(value.getTime());
+    }
+    if (typeof value === 'number') {
+        return excelSerialToDate(value);
+    }
+    return parseDateText(value);
+}
+
+/**
+ * Normaliza um texto para comparação de opções de enum (sem acentos, maiúsculas ou espaços nas pontas).
+ *
+ * @param {any} value - O valor a ser normalizado.
+ * @returns {string} - O texto normalizado.
+ */
+function normalizeEnumText(value) {
+    return unidecode(String(value)).trim().toLowerCase();
+}
+
+module.exports = {
+    SCHEMA_TYPES,
+    normalizeSchema,
+    parseRowWithSchema,
+    parseSchemaValue,
+    parseNumber,
+    parseBoolean,
+    inferColumnType,
+    parseDate,
+};
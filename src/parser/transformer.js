@@ -1,6 +1,12 @@
 const unidecode = require('unidecode');
 const { getHeaderRow } = require('./reader');
 
+/** Tamanho máximo do nome de uma aba no Excel */
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/** Caracteres que o Excel não aceita nos nomes das abas */
+const INVALID_SHEET_NAME_CHARACTERS = /[\\/?*[\]:]/;
+
 /**
  * Formata o texto de cabeçalho para identificador, convertendo para minúsculas, removendo acentos e substituindo espaços por underscores.
  * Esses identificadores devem estar presentes no documento template. Dessa forma será possível substituir identificadores pelo texto necessário.
@@ -23,14 +29,146 @@ function formatTextToIdentifier(texto) {
     return formattedText;
 }
 
+/**
+ * Converte um texto em um nome de aba válido: os caracteres proibidos pelo Excel são trocados por "_", os apóstrofos
+ * das pontas são removidos e o nome é truncado em 31 caracteres. Com `usedNames`, um sufixo " (2)", " (3)"... é
+ * acrescentado para não repetir um nome já usado (o Excel não diferencia maiúsculas nos nomes das abas).
+ *
+ * @param {any} text - O texto a ser convertido.
+ * @param {Iterable<string>} [usedNames=[]] - Os nomes de abas já usados.
+ * @param {string} [fallback='Planilha'] - O nome usado quando o texto fica vazio.
+ * @returns {string} - O nome da aba.
+ */
+function formatSheetName(text, usedNames = [], fallback = 'Planilha') {
+    const invalidCharacters = new RegExp(INVALID_SHEET_NAME_CHARACTERS.source, 'g');
+    const name = String(text ?? '').replace(invalidCharacters, '_').replace(/^'+|'+$/g, '').trim()
+        .slice(0, MAX_SHEET_NAME_LENGTH).trim() || fallback;
+
+    const used = new Set([...usedNames].map((usedName) => usedName.toLowerCase()));
+    let sheetName = name;
+    let counter = 1;
+    while (used.has(sheetName.toLowerCase())) {
+        counter++;
+        const suffix = ` (${counter})`;
+        sheetName = name.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length).trimEnd() + suffix;
+    }
+    return sheetName;
+}
+
+/**
+ * Normaliza o texto de um cabeçalho para comparação, ignorando acentos, maiúsculas, espaços e underscores.
+ * Assim, "Código Cliente", "CODIGO CLIENTE " e "codigo_cliente" são equivalentes.
+ *
+ * @param {any} text - O texto a ser normalizado.
+ * @returns {string} - O texto normalizado.
+ */
+function normalizeHeaderText(text) {
+    return unidecode(String(text)).toLowerCase().replace(/[\s_]+/g, '');
+}
+
+/**
+ * Retorna os nomes aceitos para uma coluna: o próprio nome e os apelidos informados para ele.
+ *
+ * @param {string} column - O nome da coluna.
+ * @param {Object} [aliases={}] - Mapa de nomes canônicos para apelidos, ex: `{ cpf: ['CPF', 'C.P.F', 'Documento'] }`.
+ * @returns {Array<string>} - Os nomes aceitos, começando pelo próprio nome.
+ */
+function getColumnCandidates(column, aliases = {}) {
+    const name = Object.keys(aliases).find((key) => normalizeHeaderText(key) === normalizeHeaderText(column));
+    return name ? [column, ...[].concat(aliases[name])] : [column];
+}
+
+/**
+ * Procura no mapeamento de colunas a coluna correspondente a algum dos nomes aceitos.
+ *
+ * A comparação ignora acentos, maiúsculas e espaços (ver `normalizeHeaderText`). Com `fuzzy`, se nenhum nome
+ * for igual, é escolhido o cabeçalho mais próximo, até a distância de edição máxima informada.
+ *
+ * @param {Object} columnMap - O mapeamento de colunas do Excel.
+ * @param {Array<string>} candidates - Os nomes aceitos para a coluna.
+ * @param {boolean|number} [fuzzy=false] - Aceita nomes aproximados: true (até 2 caracteres diferentes) ou a distância máxima.
+ * @param {Set<number>} [ignore] - Números de colunas que já foram associadas a outro nome.
+ * @returns {number|null} - O número da coluna encontrada, ou null.
+ */
+function findColumn(columnMap, candidates, fuzzy = false, ignore = new Set()) {
+    const headers = Object.keys(columnMap).filter((header) => !ignore.has(columnMap[header]));
+    const names = candidates.map(normalizeHeaderText);
+
+    const exact = headers.find((header) => names.includes(normalizeHeaderText(header)));
+    if (exact) {
+        return columnMap[exact];
+    }
+    if (!fuzzy) {
+        return null;
+    }
+
+    const maxDistance = fuzzy === true ? 2 : fuzzy;
+    let best = null;
+    headers.forEach((header) => {
+        const text = normalizeHeaderText(header);
+        names.forEach((name) => {
+            const distance = getEditDistance(text, name);
+            // Nomes curtos exigem mais semelhança, para que "id" não seja confundido com "uf"
+            if (distance <= maxDistance && distance < name.length / 2 && (!best || distance < best.distance)) {
+                best = { distance, colNumber: columnMap[header] };
+            }
+        });
+    });
+
+    return best ? best.colNumber : null;
+}
+
+/**
+ * Associa as colunas do cabeçalho aos nomes canônicos do mapa de apelidos.
+ *
+ * @param {Object} columnMap - O mapeamento de colunas do Excel.
+ * @param {Object} [aliases={}] - Mapa de nomes canônicos para apelidos (ver `getColumnCandidates`).
+ * @param {boolean|number} [fuzzy=false] - Aceita nomes aproximados (ver `findColumn`).
+ * @returns {Map<number, string>} - O nome canônico de cada número de coluna encontrada.
+ */
+function matchColumnAliases(columnMap, aliases = {}, fuzzy = false) {
+    const columnKeys = new Map();
+    for (const name in aliases) {
+        const colNumber = findColumn(columnMap, [name, ...[].concat(aliases[name])], fuzzy, new Set(columnKeys.keys()));
+        if (colNumber) {
+            columnKeys.set(colNumber, name);
+        }
+    }
+    return columnKeys;
+}
+
+/**
+ * Calcula a distância de edição (Levenshtein) entre dois textos.
+ *
+ * @param {string} a - O primeiro texto.
+ * @param {string} b - O segundo texto.
+ * @returns {number} - A quantidade mínima de inserções, remoções e substituições para transformar um texto no outro.
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
 /**
  * Verifica se as colunas necessárias estão presentes no mapeamento de colunas.
+ * A comparação ignora acentos, maiúsculas e espaços, e aceita os apelidos informados para cada coluna.
  *
  * @param {Object} columnMap - O mapeamento de colunas do Excel.
  * @param {Array<string>} necessaryColumns - As colunas necessárias a serem verificadas.
- * @throws {Error} - Lança um erro se alguma coluna necessária estiver faltando.
+ * @param {Object} [matchOptions={}] - Opções da busca das colunas:
+ *   - `aliases`: Mapa de nomes canônicos para apelidos (ver `getColumnCandidates`).
+ *   - `fuzzy`: Aceita nomes aproximados (ver `findColumn`).
+ * @throws {Error} - Lança um erro se alguma coluna necessária estiver faltando, listando os nomes procurados quando há apelidos.
  */
-function verifyNecessaryColumns(columnMap, necessaryColumns) {
+function verifyNecessaryColumns(columnMap, necessaryColumns, matchOptions = {}) {
     if (typeof columnMap !== 'object' || columnMap === null) {
         throw new Error('Mapeamento de colunas inválido fornecido.');
     }
@@ -38,9 +176,15 @@ function verifyNecessaryColumns(columnMap, necessaryColumns) {
         throw new Error('Lista de colunas necessária inválida fornecida.');
     }
 
-    const missingColumns = necessaryColumns.filter(column => !columnMap[column]);
+    const { aliases = {}, fuzzy = false } = matchOptions;
+    const missingColumns = necessaryColumns.filter(column => !findColumn(columnMap, getColumnCandidates(column, aliases), fuzzy));
     if (missingColumns.length > 0) {
-        throw new Error(`Colunas "${missingColumns.join(', ')}" são necessárias para processar os dados da planilha corretamente.`);
+        let message = `Colunas "${missingColumns.join(', ')}" são necessárias para processar os dados da planilha corretamente.`;
+        if (Object.keys(aliases).length > 0) {
+            const tried = missingColumns.map((column) => `${column} (${getColumnCandidates(column, aliases).join(', ')})`);
+            message += ` Nomes procurados: ${tried.join('; ')}.`;
+        }
+        throw new Error(message);
     }
 }
 
@@ -48,22 +192,103 @@ function verifyNecessaryColumns(columnMap, necessaryColumns) {
  * Retorna um mapeamento de colunas de uma planilha do Excel, onde as chaves são os nomes das colunas (em maiúsculas) e os valores são os números das colunas.
  *
  * @param {Object} worksheet - O objeto worksheet do ExcelJS.
- * @param {number} headerIndex - Qual linha o cabeçalho está.
+ * @param {number|string} headerIndex - Qual linha o cabeçalho está, ou 'auto' para detectá-la (ver `detectHeaderRow`).
  * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha
+ * @param {number} [headerRows=1] - Quantidade de linhas do cabeçalho. Com mais de uma, os nomes das colunas são
+ * compostos pelos textos de cada linha (ver `getHeaderTexts`), ex: "JANEIRO QTD".
+ * @param {Object} [matchOptions={}] - Apelidos e busca aproximada das colunas necessárias (ver `verifyNecessaryColumns`).
  * @returns {Object} - Um mapa de colunas com nomes de colunas como chaves e números de colunas como valores.
  * @throws {Error} - Lança um erro se a linha de cabeçalho não existir.
  */
-function getSheetColumnMap(worksheet, headerIndex, necessaryColumns) {
+function getSheetColumnMap(worksheet, headerIndex, necessaryColumns, headerRows = 1, matchOptions = {}) {
     if (!worksheet || typeof worksheet.getRow !== 'function') {
         throw new Error('Planilha inválida fornecida.');
     }
 
+    if (headerIndex === 'auto') {
+        const detected = detectHeaderRow(worksheet, { necessaryColumns: necessaryColumns || [], headerRows, ...matchOptions });
+        if (!detected) {
+            throw new Error('A linha de cabeçalho não foi encontrada na planilha.');
+        }
+        headerIndex = detected.headerIndex;
+    }
+
     /** Cabeçalho da planilha analiasda */
     const headerRow = getHeaderRow(worksheet, headerIndex);
     if (!headerRow) {
         throw new Error('A linha de cabeçalho não foi encontrada na planilha.');
     }
 
+    if (headerRows > 1) {
+        const columnMap = {};
+        getHeaderTexts(worksheet, headerIndex, headerRows).forEach((text, colNumber) => {
+            columnMap[text.toUpperCase()] = colNumber;
+        });
+        if (necessaryColumns) {
+            verifyNecessaryColumns(columnMap, necessaryColumns, matchOptions);
+        }
+        return columnMap;
+    }
+
+    return getRowColumnMap(headerRow, necessaryColumns, matchOptions);
+}
+
+/**
+ * Retorna os textos do cabeçalho de cada coluna, combinando as linhas de um cabeçalho de vários níveis.
+ *
+ * Em um cabeçalho como "Janeiro" (mesclado sobre duas colunas) acima de "Qtd | Valor", as colunas recebem
+ * "Janeiro Qtd" e "Janeiro Valor", que viram as chaves `janeiro_qtd` e `janeiro_valor`. Células mescladas
+ * na vertical (ex: "Nome" ocupando as duas linhas) entram uma única vez.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {number} headerIndex - A primeira linha do cabeçalho.
+ * @param {number} [headerRows=1] - Quantidade de linhas do cabeçalho.
+ * @returns {Map<number, string>} - O texto do cabeçalho de cada número de coluna. Colunas sem texto ficam de fora.
+ */
+function getHeaderTexts(worksheet, headerIndex, headerRows = 1) {
+    const texts = new Map();
+
+    for (let colNumber = 1; colNumber <= worksheet.columnCount; colNumber++) {
+        const parts = [];
+        let lastMaster = null;
+
+        for (let rowNumber = headerIndex; rowNumber < headerIndex + headerRows; rowNumber++) {
+            const cell = worksheet.getRow(rowNumber).getCell(colNumber);
+            // Células mescladas retornam o valor da célula principal, então a mesma mescla é usada uma única vez
+            if (cell.value === null || typeof cell.value === 'object' || cell.master.address === lastMaster) {
+                continue;
+            }
+            lastMaster = cell.master.address;
+
+            const text = String(cell.value).trim();
+            if (text) {
+                parts.push(text);
+            }
+        }
+
+        if (parts.length > 0) {
+            texts.set(colNumber, parts.join(' '));
+        }
+    }
+
+    return texts;
+}
+
+/**
+ * Retorna o mapeamento de colunas a partir de uma linha de cabeçalho já carregada.
+ * Usado também pela leitura em streaming, onde não há acesso à planilha completa.
+ *
+ * @param {Object} headerRow - A linha de cabeçalho do ExcelJS.
+ * @param {Array} necessaryColumns - Colunas obrigatórias para a construção essencial dos dados da planilha
+ * @param {Object} [matchOptions={}] - Apelidos e busca aproximada das colunas necessárias (ver `verifyNecessaryColumns`).
+ * @returns {Object} - Um mapa de colunas com nomes de colunas como chaves e números de colunas como valores.
+ * @throws {Error} - Lança um erro se alguma coluna necessária estiver faltando.
+ */
+function getRowColumnMap(headerRow, necessaryColumns, matchOptions = {}) {
+    if (!headerRow || typeof headerRow.eachCell !== 'function') {
+        throw new Error('Linha de cabeçalho inválida fornecida.');
+    }
+
     const columnMap = {};
     headerRow.eachCell((cell, colNumber) => {
         if (cell.value && typeof cell.value != 'object') {
@@ -73,7 +298,7 @@ function getSheetColumnMap(worksheet, headerIndex, necessaryColumns) {
 
     try {
         if (necessaryColumns) {
-            verifyNecessaryColumns(columnMap, necessaryColumns);
+            verifyNecessaryColumns(columnMap, necessaryColumns, matchOptions);
         }
         return columnMap;
     } catch (error) {
@@ -82,8 +307,70 @@ function getSheetColumnMap(worksheet, headerIndex, necessaryColumns) {
 
 }
 
+/**
+ * Detecta a linha de cabeçalho de uma planilha, analisando as primeiras linhas.
+ *
+ * Com `necessaryColumns`, o cabeçalho é a primeira linha que contém todas as colunas obrigatórias. Caso contrário
+ * (ou se nenhuma linha as contiver), cada linha recebe uma pontuação pela quantidade de células de texto distintas
+ * e a de maior pontuação é escolhida (a primeira, em caso de empate). Banners de título, logos e linhas em branco
+ * acima da tabela ficam, assim, de fora. Os dados começam na próxima linha não vazia após o cabeçalho.
+ *
+ * @param {Object} worksheet - O objeto worksheet do ExcelJS.
+ * @param {Object} [options={}] - Opções da detecção:
+ *   - `maxRows`: Quantidade de linhas analisadas a partir do início (padrão: 20).
+ *   - `necessaryColumns`: Colunas obrigatórias, comparadas como em `verifyNecessaryColumns`.
+ *   - `aliases`, `fuzzy`: Apelidos e busca aproximada das colunas obrigatórias (ver `verifyNecessaryColumns`).
+ *   - `headerRows`: Quantidade de linhas do cabeçalho; os dados são procurados após a última delas (padrão: 1).
+ * @returns {{ headerIndex: number, initRow: number }|null} - As linhas do cabeçalho e do início dos dados, ou null se a planilha estiver vazia.
+ */
+function detectHeaderRow(worksheet, options = {}) {
+    const { maxRows = 20, necessaryColumns = [], headerRows = 1, aliases = {}, fuzzy = false } = options;
+    const lastRow = Math.min(worksheet.rowCount, maxRows);
+
+    let best = null;
+    for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+        const texts = {};
+        worksheet.getRow(rowNumber).eachCell((cell, colNumber) => {
+            if (typeof cell.value === 'string' && cell.value.trim() !== '') {
+                texts[cell.value.toUpperCase()] = colNumber;
+            }
+        });
+        const score = Object.keys(texts).length;
+
+        const hasNecessaryColumns = necessaryColumns.length > 0 && necessaryColumns.every(
+            (column) => findColumn(texts, getColumnCandidates(column, aliases), fuzzy)
+        );
+        if (hasNecessaryColumns) {
+            best = { headerIndex: rowNumber };
+            break;
+        }
+        if (score > 0 && (!best || score > best.score)) {
+            best = { headerIndex: rowNumber, score };
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    let initRow = best.headerIndex + headerRows;
+    while (initRow < worksheet.rowCount && !worksheet.getRow(initRow).hasValues) {
+        initRow++;
+    }
+
+    return { headerIndex: best.headerIndex, initRow };
+}
+
 module.exports = {
+    MAX_SHEET_NAME_LENGTH,
+    INVALID_SHEET_NAME_CHARACTERS,
     formatTextToIdentifier,
+    formatSheetName,
+    normalizeHeaderText,
+    matchColumnAliases,
     getSheetColumnMap,
+    getRowColumnMap,
+    getHeaderTexts,
+    detectHeaderRow,
     verifyNecessaryColumns,
 };
\ No newline at end of file
@@ -2,10 +2,11 @@
  * Retorna uma data formatada por extenso (ex: "01 de janeiro de 2024").
  *
  * @param {Date|string} dateInput - O objeto Date ou string de data a ser formatado.
+ * @param {string} [locale] - Locale para os nomes dos meses (ex: 'en-US'). Sem locale, usa o formato em português.
  * @returns {string} - A data formatada por extenso.
  * @throws {Error} - Lança um erro se o parâmetro fornecido não for um objeto Date válido ou uma string de data válida.
  */
-function getExtendedDate(dateInput) {
+function getExtendedDate(dateInput, locale) {
     let date;
 
     if (dateInput instanceof Date) {
@@ -28,6 +29,10 @@ function getExtendedDate(dateInput) {
         throw new Error('Data fornecida é inválida.');
     }
 
+    if (locale) {
+        return new Intl.DateTimeFormat(locale, { day: '2-digit', month: 'long', year: 'numeric' }).format(date);
+    }
+
     const months = [
         "janeiro", "fevereiro", "março", "abril", "maio", "junho",
         "julho", "agosto", "setembro", "outubro", "novembro", "dezembro"
@@ -75,8 +80,168 @@ function getScheduleDate(date) {
     return `${hours}:${minutes}`;
 }
 
+/**
+ * Converte um número serial de data do Excel (dias desde 30/12/1899) em um objeto Date (UTC).
+ *
+ * @param {number} serial - O número serial da data no Excel.
+ * @returns {Date} - A data correspondente.
+ * @throws {Error} - Lança um erro se o parâmetro fornecido não for um número válido.
+ */
+function excelSerialToDate(serial) {
+    if (typeof serial !== 'number' || !isFinite(serial)) {
+        throw new Error('Número serial de data inválido fornecido.');
+    }
+
+    return new Date(Math.round((serial - 25569) * 86400000));
+}
+
+/**
+ * Interpreta um texto de data nos formatos DD/MM/YYYY (com horário opcional HH:MM[:SS]) ou ISO 8601.
+ * As datas são criadas em UTC, da mesma forma que o ExcelJS lê as datas das células.
+ *
+ * @param {string} text - O texto da data.
+ * @returns {Date|null} - A data interpretada, ou null se o texto não for uma data válida.
+ */
+function parseDateText(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const value = text.trim();
+    const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        const [, day, month, year, hours, minutes, seconds] = match.map((part) => Number(part || 0));
+        const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+        // Rejeita datas inexistentes, como 31/02/2024
+        if (date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) {
+            return null;
+        }
+        return date;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    return null;
+}
+
+/** Formatadores por fuso horário, reutilizados entre as células de uma mesma leitura */
+const timeZoneFormatters = new Map();
+
+/**
+ * Retorna o deslocamento (em minutos) de um fuso horário IANA em relação ao UTC, em um instante.
+ *
+ * @param {Date} date - O instante de referência.
+ * @param {string} timeZone - O fuso horário IANA (ex: 'America/Sao_Paulo').
+ * @returns {number} - O deslocamento em minutos (ex: -180 para UTC-03:00).
+ * @throws {Error} - Lança um erro se o fuso horário não for válido.
+ */
+function getTimeZoneOffset(date, timeZone) {
+    let formatter = timeZoneFormatters.get(timeZone);
+    if (!formatter) {
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric',
+            });
+        } catch (error) {
+            throw new Error(`Fuso horário inválido fornecido: ${timeZone}`);
+        }
+        timeZoneFormatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => parts[type] = Number(value));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converte um horário "de parede" lido do Excel (gravado como UTC pelo ExcelJS) no instante real,
+ * considerando que a planilha foi preenchida no fuso horário informado.
+ *
+ * @param {Date} wallClock - A data lida da célula.
+ * @param {string} timeZone - O fuso horário IANA em que a planilha foi preenchida.
+ * @returns {Date} - O instante correspondente.
+ */
+function wallClockToDate(wallClock, timeZone) {
+    // Duas iterações resolvem as datas próximas às mudanças de horário de verão
+    let offset = getTimeZoneOffset(wallClock, timeZone);
+    offset = getTimeZoneOffset(new Date(wallClock.getTime() - offset * 60000), timeZone);
+    return new Date(wallClock.getTime() - offset * 60000);
+}
+
+/**
+ * Formata um deslocamento em minutos no padrão ISO 8601 (ex: "-03:00").
+ *
+ * @param {number} offset - O deslocamento em minutos.
+ * @returns {string} - O deslocamento formatado, ou "Z" quando for zero.
+ */
+function formatOffset(offset) {
+    if (!offset) {
+        return 'Z';
+    }
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formata o horário "de parede" de uma data lida do Excel conforme um padrão.
+ * Tokens aceitos: yyyy, yy, MMMM, MMM, MM, M, dd, d, HH, H, mm, ss, SSS e XXX (deslocamento do fuso).
+ * Textos entre aspas simples são mantidos literalmente (ex: "dd 'de' MMMM").
+ *
+ * @param {Date} date - A data lida da célula (horário gravado como UTC).
+ * @param {string} pattern - O padrão de saída (ex: 'dd/MM/yyyy HH:mm').
+ * @param {Object} [options={}] - Opções de formatação:
+ *   - `locale`: Locale para os nomes dos meses (padrão: 'pt-BR').
+ *   - `timeZone`: Fuso horário IANA da planilha, usado no token XXX.
+ * @returns {string} - A data formatada.
+ */
+function formatDatePattern(date, pattern, options = {}) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new Error('Parâmetro inválido fornecido. Deve ser um objeto Date válido.');
+    }
+
+    const locale = options.locale || 'pt-BR';
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    const monthName = (style) => new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' }).format(date);
+
+    const tokens = {
+        yyyy: () => pad(date.getUTCFullYear(), 4),
+        yy: () => pad(date.getUTCFullYear() % 100),
+        MMMM: () => monthName('long'),
+        MMM: () => monthName('short').replace('.', ''),
+        MM: () => pad(date.getUTCMonth() + 1),
+        M: () => String(date.getUTCMonth() + 1),
+        dd: () => pad(date.getUTCDate()),
+        d: () => String(date.getUTCDate()),
+        HH: () => pad(date.getUTCHours()),
+        H: () => String(date.getUTCHours()),
+        mm: () => pad(date.getUTCMinutes()),
+        ss: () => pad(date.getUTCSeconds()),
+        SSS: () => pad(date.getUTCMilliseconds(), 3),
+        XXX: () => formatOffset(options.timeZone ? getTimeZoneOffset(wallClockToDate(date, options.timeZone), options.timeZone) : 0),
+    };
+
+    return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|mm|ss|SSS|XXX/g, (match, literal) =>
+        literal !== undefined ? literal : tokens[match]()
+    );
+}
+
 module.exports = { 
     getExtendedDate,
     formatFullDate,
     getScheduleDate,
+    excelSerialToDate,
+    parseDateText,
+    getTimeZoneOffset,
+    wallClockToDate,
+    formatDatePattern,
 }
\ No newline at end of file
@@ -1,6 +1,15 @@
 const path = require('path');
 const fs = require('fs');
 
+/** Caracteres proibidos nos nomes de arquivos (Windows, macOS e Linux), incluindo os caracteres de controle */
+const INVALID_FILE_NAME_CHARACTERS = /[<>:"/\\|?*\u0000-\u001F]/g;
+
+/** Nomes reservados pelo Windows, com ou sem extensão */
+const RESERVED_FILE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/** Tamanho máximo do nome gerado, sem a extensão */
+const MAX_FILE_NAME_LENGTH = 120;
+
 /**
  * Define o diretório a partir da pasta do projeto se necessário
  *
@@ -23,6 +32,21 @@ function setDirectory(directory, pastaProjeto, isReadingMode = true) {
     return directory;
 }
 
+/**
+ * Converte um texto em um nome de arquivo válido: os caracteres proibidos são trocados por "_", os pontos e espaços
+ * das pontas são removidos, os nomes reservados do Windows (CON, NUL, COM1...) recebem um "_" e o nome é truncado.
+ *
+ * @param {any} text - O texto a ser convertido.
+ * @param {string} [fallback='arquivo'] - O nome usado quando o texto fica vazio.
+ * @returns {string} - O nome do arquivo.
+ */
+function formatFileName(text, fallback = 'arquivo') {
+    const name = String(text ?? '').replace(INVALID_FILE_NAME_CHARACTERS, '_').replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, MAX_FILE_NAME_LENGTH).trim() || fallback;
+    return RESERVED_FILE_NAMES.test(name) ? `_${name}` : name;
+}
+
 module.exports = {
     setDirectory,
+    formatFileName,
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Código', key: 'codigo' },
+    { value: 'Produto', key: 'produto' },
+    { value: 'Quantidade', key: 'quantidade', total: 'sum' },
+];
+
+test('diff casa as linhas pela chave e ignora a linha de totais', async () => {
+    const { E, file } = workspace;
+    await E.create('Pedidos', columns, [
+        { codigo: 1, produto: 'Caneta', quantidade: 2 },
+        { codigo: 2, produto: 'Lápis', quantidade: 3 },
+        { codigo: 3, produto: 'Borracha', quantidade: 1 },
+    ], file('a.xlsx'));
+    await E.create('Pedidos', columns, [
+        { codigo: 1, produto: 'Caneta', quantidade: 5 },
+        { codigo: 3, produto: 'Borracha', quantidade: 1 },
+        { codigo: 4, produto: 'Régua', quantidade: 7 },
+    ], file('b.xlsx'), { table: true });
+
+    const diff = await E.diff(file('a.xlsx'), file('b.xlsx'), { keyColumns: 'codigo', output: file('diff.xlsx') });
+    assert.deepStrictEqual(diff.added.map(({ key }) => key), [{ codigo: '4' }]);
+    assert.deepStrictEqual(diff.removed.map(({ key }) => key), [{ codigo: '2' }]);
+    assert.deepStrictEqual(diff.modified.map(({ key, changes }) => [key, changes]), [
+        [{ codigo: '1' }, { quantidade: { old: '2', new: '5' } }],
+    ]);
+    assert.strictEqual(diff.unchanged, 1);
+
+    // A planilha de diferenças tem o cabeçalho, as três linhas da versão B e a linha excluída
+    const worksheet = (await readWorkbook(file('diff.xlsx'))).getWorksheet('Diferenças');
+    assert.strictEqual(worksheet.actualRowCount, 5);
+});
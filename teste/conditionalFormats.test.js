@@ -0,0 +1,77 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { writeExcelXlsx } = require('../src/creator/creator');
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const rows = [
+    { produto: 'Caneta', meta: 100, vendas: 150, situacao: 'Em dia' },
+    { produto: 'Lápis', meta: 120, vendas: 80, situacao: 'Atrasado' },
+    { produto: 'Borracha', meta: 90, vendas: 95, situacao: 'Em dia' },
+];
+
+test('create grava as regras de conditionalFormats como formatações condicionais do Excel', async () => {
+    const { E, file } = workspace;
+    await E.create('Vendas', [
+        { value: 'Produto', key: 'produto', conditionalFormats: [{ duplicates: true, style: 'Ruim' }] },
+        { value: 'Meta', key: 'meta', conditionalFormats: [{ colorScale: true }] },
+        {
+            value: 'Vendas',
+            key: 'vendas',
+            conditionalFormats: [
+                { when: '>', value: 100, style: 'Bom' },
+                { when: 'between', value: [50, 90], style: 'Neutro' },
+                { formula: '=C2<B2', style: 'Ruim' },
+                { dataBar: '5B9BD5' },
+            ],
+        },
+        { value: 'Situação', key: 'situacao', conditionalFormats: [{ contains: 'Atrasado', style: 'Ruim' }] },
+    ], rows, file('vendas.xlsx'));
+
+    const worksheet = (await readWorkbook(file('vendas.xlsx'))).getWorksheet('Vendas');
+    const formats = Object.fromEntries(worksheet.conditionalFormattings.map(({ ref, rules }) => [ref, rules]));
+    assert.deepStrictEqual(Object.keys(formats).sort(), ['A2:A4', 'B2:B4', 'C2:C4', 'D2:D4']);
+
+    assert.strictEqual(formats['A2:A4'][0].type, 'expression');
+    assert.strictEqual(formats['A2:A4'][0].formulae[0], 'AND(A2<>"",COUNTIF($A$2:$A$4,A2)>1)');
+
+    assert.strictEqual(formats['B2:B4'][0].type, 'colorScale');
+    assert.strictEqual(formats['B2:B4'][0].cfvo.length, 3);
+
+    const [greater, between, formula, dataBar] = formats['C2:C4'];
+    assert.strictEqual(greater.type, 'cellIs');
+    assert.strictEqual(greater.operator, 'greaterThan');
+    assert.deepStrictEqual(greater.formulae, ['100']);
+    assert.ok(greater.style.fill, 'a regra deve gravar o estilo "Bom"');
+    assert.strictEqual(between.operator, 'between');
+    assert.deepStrictEqual(between.formulae, ['50', '90']);
+    assert.deepStrictEqual(formula.formulae, ['C2<B2']);
+    assert.strictEqual(dataBar.type, 'dataBar');
+
+    assert.strictEqual(formats['D2:D4'][0].formulae[0], 'NOT(ISERROR(SEARCH("Atrasado",D2)))');
+});
+
+test('create rejeita regras de formatação condicional inválidas', async () => {
+    const { file } = workspace;
+    await assert.rejects(
+        writeExcelXlsx('Vendas', [
+            { value: 'Vendas', key: 'vendas', conditionalFormats: [{ when: '>>', value: 1, style: 'Bom' }] },
+        ], rows, file('invalido.xlsx')),
+        /Operador ">>" inválido na coluna "Vendas"/
+    );
+    await assert.rejects(
+        writeExcelXlsx('Vendas', [
+            { value: 'Vendas', key: 'vendas', conditionalFormats: [{ when: 'between', value: 1, style: 'Bom' }] },
+        ], rows, file('invalido.xlsx')),
+        /precisa de 2 valor\(es\)/
+    );
+    await assert.rejects(
+        writeExcelXlsx('Vendas', [
+            { value: 'Vendas', key: 'vendas', conditionalFormats: [{ when: '>', value: 1 }] },
+        ], rows, file('invalido.xlsx')),
+        /sem estilo/
+    );
+});
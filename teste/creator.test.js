@@ -0,0 +1,43 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { writeExcelXlsx } = require('../src/creator/creator');
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Código', key: 'codigo' },
+    { value: 'Valor', key: 'valor', format: 'decimal' },
+];
+
+async function* generateRows(count, failAt = null) {
+    for (let index = 1; index <= count; index++) {
+        if (index === failAt) {
+            // A falha acontece depois que o arquivo já foi aberto para gravação
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            throw new Error('Falha na origem dos dados');
+        }
+        yield { codigo: index, valor: index * 1.5 };
+    }
+}
+
+test('create grava em streaming as linhas de um iterável assíncrono', async () => {
+    const { E, file } = workspace;
+    await E.create('Dados', columns, generateRows(500), file('stream.xlsx'));
+
+    const worksheet = (await readWorkbook(file('stream.xlsx'))).getWorksheet('Dados');
+    assert.strictEqual(worksheet.actualRowCount, 501);
+    assert.strictEqual(worksheet.getCell('B501').value, 750);
+});
+
+test('a gravação em streaming remove o arquivo incompleto quando as linhas falham', async () => {
+    const { file } = workspace;
+    await assert.rejects(
+        writeExcelXlsx('Dados', columns, generateRows(5000, 4000), file('incompleto.xlsx')),
+        /Falha na origem dos dados/
+    );
+    assert.strictEqual(fs.existsSync(file('incompleto.xlsx')), false);
+});
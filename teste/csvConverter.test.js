@@ -0,0 +1,35 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('toXlsx grava números e datas reais, inclusive nos formatos brasileiros', async () => {
+    const { E, file } = workspace;
+    fs.writeFileSync(file('vendas.csv'), 'Produto;Valor;Data\nCaneta;1.234,56;31/12/2024\nLápis;2,5;01/02/2024\n');
+    await E.toXlsx(file('vendas.csv'), file('vendas.xlsx'), 'Vendas');
+
+    const worksheet = (await readWorkbook(file('vendas.xlsx'))).getWorksheet('Vendas');
+    assert.strictEqual(worksheet.getCell('B2').value, 1234.56);
+    assert.strictEqual(worksheet.getCell('B3').value, 2.5);
+    assert.ok(worksheet.getCell('C2').value instanceof Date);
+    assert.strictEqual(worksheet.getCell('A1').font.bold, true);
+});
+
+test('toXlsx mantém como texto os números com separador de milhar inválido após a amostra', async () => {
+    const { E, file } = workspace;
+    fs.writeFileSync(file('milhar.csv'), 'Milhar;Decimal\n1.234;1,5\n2.500;2,25\n1.5;1.5\n12.34;3,5\n');
+    await E.toXlsx(file('milhar.csv'), file('milhar.xlsx'), 'Dados', { sampleSize: 2 });
+
+    const worksheet = (await readWorkbook(file('milhar.xlsx'))).getWorksheet('Dados');
+    assert.deepStrictEqual([worksheet.getCell('A2').value, worksheet.getCell('A3').value], [1234, 2500]);
+    assert.deepStrictEqual([worksheet.getCell('B2').value, worksheet.getCell('B3').value], [1.5, 2.25]);
+    // '1.5' não é 15 em nenhuma das colunas
+    assert.strictEqual(worksheet.getCell('A4').value, '1.5');
+    assert.strictEqual(worksheet.getCell('B4').value, '1.5');
+    assert.strictEqual(worksheet.getCell('A5').value, '12.34');
+    assert.strictEqual(worksheet.getCell('B5').value, 3.5);
+});
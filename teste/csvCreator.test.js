@@ -0,0 +1,77 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+
+const { createWorkspace } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = ['Nome', { value: 'Valor total', key: 'valor' }, 'Data', 'Obs'];
+const rows = [
+    { nome: 'Ana', valor: 1234.5, data: new Date(Date.UTC(2024, 0, 15)), obs: 'disse "oi"; tchau' },
+    { nome: { value: 'Beto', style: 'Bom' }, valor: 0, data: new Date(Date.UTC(2024, 0, 15, 9, 30)), obs: null },
+];
+
+test('createExcelCsv grava o dialeto padrão: BOM, ponto e vírgula e todos os campos entre aspas', async () => {
+    const { E, file } = workspace;
+    await E.createExcelCsv(file('padrao.csv'), columns, rows);
+
+    assert.strictEqual(fs.readFileSync(file('padrao.csv'), 'utf8'), [
+        '\uFEFF"Nome";"Valor total";"Data";"Obs"',
+        '"Ana";"1234.5";"15/01/2024";"disse ""oi""; tchau"',
+        '"Beto";"0";"15/01/2024 09:30:00";""',
+    ].join('\n'));
+});
+
+test('createExcelCsv aceita outro dialeto, aspas mínimas e linhas de um iterável assíncrono', async () => {
+    const { E, file } = workspace;
+    async function* produceRows() {
+        yield* rows;
+    }
+    await E.createExcelCsv(file('minimo.csv'), columns, produceRows(), {
+        delimiter: ',',
+        lineEnding: '\r\n',
+        bom: false,
+        quote: 'minimal',
+        dateFormat: 'yyyy-MM-dd',
+        decimalSeparator: ',',
+    });
+
+    assert.strictEqual(fs.readFileSync(file('minimo.csv'), 'utf8'), [
+        'Nome,Valor total,Data,Obs',
+        'Ana,"1234,5",2024-01-15,"disse ""oi""; tchau"',
+        'Beto,0,2024-01-15,',
+    ].join('\r\n'));
+
+    await E.createExcelCsv(file('nonnumeric.csv'), ['Nome', 'Valor'], [{ nome: 'Ana', valor: 10 }], { quote: 'nonnumeric', bom: false });
+    assert.strictEqual(fs.readFileSync(file('nonnumeric.csv'), 'utf8'), '"Nome";"Valor"\n"Ana";10');
+
+    await assert.rejects(E.createExcelCsv(file('x.csv'), columns, rows, { quote: 'sempre' }), /Política de aspas inválida/);
+});
+
+test('toCsv exporta a aba pelos valores exibidos, sem as colunas e linhas ocultas', async () => {
+    const { E, file } = workspace;
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Vendas');
+    worksheet.addRows([
+        ['Relatório de vendas'],
+        ['Produto', 'Qtd', 'Preço', 'Total', 'Interno'],
+        ['Caneta', 2, 1.5, { formula: 'B3*C3', result: 3 }, 'x'],
+        ['Lápis', 1, 0.5, { formula: 'B4*C4', result: 0.5 }, 'y'],
+        [{ richText: [{ text: 'Bor' }, { text: 'racha' }] }, 3, 1, { formula: 'B5*C5', result: 3 }, 'z'],
+    ]);
+    worksheet.getColumn(5).hidden = true;
+    worksheet.getRow(4).hidden = true;
+    workbook.addWorksheet('Notas').addRows([['Nota'], ['Conferido']]);
+    workbook.addWorksheet('Oculta', { state: 'hidden' }).addRows([['Segredo']]);
+    await workbook.xlsx.writeFile(file('vendas.xlsx'));
+
+    const [csvFile] = await E.toCsv(file('vendas.xlsx'), file('vendas.csv'), { headerRow: 2, quote: 'minimal', bom: false });
+    assert.strictEqual(fs.readFileSync(csvFile, 'utf8'), 'Produto;Qtd;Preço;Total\nCaneta;2;1.5;3\nBorracha;3;1;3');
+
+    const files = await E.toCsv(file('vendas.xlsx'), file('abas/{sheet}.csv'), { allSheets: true, bom: false });
+    assert.deepStrictEqual(files, [file('abas/Vendas.csv'), file('abas/Notas.csv')]);
+    assert.strictEqual(fs.readFileSync(file('abas/Notas.csv'), 'utf8'), '"Nota"\n"Conferido"');
+});
@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { readCsvRecords, detectDelimiter } = require('../src/parser/csvParser');
+const { createWorkspace } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+async function readAll(filePath, options) {
+    const records = [];
+    for await (const record of readCsvRecords(filePath, options)) {
+        records.push(record);
+    }
+    return records;
+}
+
+test('readCsvRecords segue a RFC 4180: aspas, delimitadores e quebras de linha nos campos', async () => {
+    const { file } = workspace;
+    fs.writeFileSync(file('rfc.csv'), 'nome,obs\r\n"Silva, Ana","disse ""oi""\r\nna entrada"\r\n\r\nBeto,\n');
+
+    assert.deepStrictEqual(await readAll(file('rfc.csv')), [
+        ['nome', 'obs'],
+        ['Silva, Ana', 'disse "oi"\r\nna entrada'],
+        ['Beto', ''],
+    ]);
+});
+
+test('readCsvRecords detecta o delimitador e lê outras codificações e linhas de cabeçalho', async () => {
+    const { file } = workspace;
+    fs.writeFileSync(file('erp.csv'), Buffer.from('Relatório gerado em 01/02/2024\ncódigo;descrição\n1;Pão de queijo\n', 'latin1'));
+
+    assert.deepStrictEqual(await readAll(file('erp.csv'), { encoding: 'latin1', headerRow: 2 }), [
+        ['código', 'descrição'],
+        ['1', 'Pão de queijo'],
+    ]);
+    assert.strictEqual(detectDelimiter('a\tb\tc\n1\t2\t3\n'), '\t');
+    assert.strictEqual(detectDelimiter('a|b\n"x|y"|2\n'), '|');
+    assert.strictEqual(detectDelimiter('"a;b",c\n1,2\n'), ',');
+});
+
+test('readCsvRecords rejeita um dialeto inválido', async () => {
+    const { file } = workspace;
+    await assert.rejects(readAll(file('rfc.csv'), { delimiter: ';;' }), /Delimitador inválido/);
+    await assert.rejects(readAll(file('rfc.csv'), { delimiter: ',', quote: ',' }), /aspas inválido/);
+});
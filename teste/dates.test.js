@@ -0,0 +1,42 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { formatDate, validateDateOptions } = require('../src/parser/formatter');
+const { createWorkspace } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+// O Excel guarda o horário "de parede", lido pelo ExcelJS como UTC
+const date = new Date(Date.UTC(2024, 2, 5, 14, 30));
+
+test('sem opções, o formato segue o nome da coluna, como nas versões anteriores', () => {
+    assert.strictEqual(formatDate('entrega', date), '05/03/2024');
+    assert.strictEqual(formatDate('horario_saida', date), '14:30');
+    assert.strictEqual(formatDate('data_extenso', date), '05 de março de 2024');
+});
+
+test('formatDate aceita formatos fixos, padrões, fuso horário e locale', () => {
+    assert.strictEqual(formatDate('entrega', date, { format: 'iso' }), '2024-03-05T14:30:00.000Z');
+    assert.strictEqual(
+        formatDate('entrega', date, { format: 'iso', timeZone: 'America/Sao_Paulo' }),
+        '2024-03-05T14:30:00.000-03:00'
+    );
+    assert.strictEqual(formatDate('entrega', date, { format: 'epoch', timeZone: 'America/Sao_Paulo' }), Date.UTC(2024, 2, 5, 17, 30));
+    assert.strictEqual(formatDate('entrega', date, { format: 'dd/MM/yyyy HH:mm' }), '05/03/2024 14:30');
+    assert.strictEqual(formatDate('entrega', date, { format: 'extenso', locale: 'en-US' }), 'March 05, 2024');
+    assert.throws(() => validateDateOptions({ timeZone: 'America/Atlantida' }));
+});
+
+test('toJson usa as opções de datas globais e as de cada coluna', async () => {
+    const { E, file } = workspace;
+    await E.create('Viagens', [
+        { value: 'Saída', key: 'saida', format: 'datetime' },
+        { value: 'Horário saída', key: 'horario_saida', format: 'time' },
+    ], [{ saida: date, horario_saida: date }], file('viagens.xlsx'));
+
+    const { data } = await E.toJson(file('viagens.xlsx'), 'Viagens', 1, null, [], {
+        dates: { format: 'yyyy-MM-dd', columns: { horario_saida: { format: 'HH:mm' } } },
+    });
+    assert.deepStrictEqual(data, [{ saida: '2024-03-05', horario_saida: '14:30' }]);
+});
@@ -0,0 +1,68 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Código', key: 'codigo' },
+    { value: 'Cliente', key: 'cliente' },
+    { value: 'Quantidade', key: 'quantidade', total: 'sum' },
+];
+
+test('create → open/append/update/delete → toJson', async () => {
+    const { E, file } = workspace;
+    await E.create('Pedidos', columns, [
+        { codigo: 1, cliente: 'Ana', quantidade: 2 },
+        { codigo: 2, cliente: 'Bia', quantidade: 3 },
+        { codigo: 3, cliente: 'Caio', quantidade: 4 },
+    ], file('pedidos.xlsx'));
+
+    const editor = await E.open(file('pedidos.xlsx'));
+    assert.deepStrictEqual(editor.appendRows('Pedidos', [{ codigo: 4, cliente: 'Duda', quantidade: 5 }]), [5]);
+    assert.deepStrictEqual(editor.updateRows('Pedidos', 'codigo', [{ codigo: 2, quantidade: 10 }]), { updated: 1, notFound: [] });
+    assert.strictEqual(editor.deleteRows('Pedidos', (linha) => linha.cliente === 'Ana'), 1);
+    await editor.save(file('pedidos_editado.xlsx'));
+
+    const { data } = await E.toJson(file('pedidos_editado.xlsx'), 'Pedidos');
+    assert.deepStrictEqual(data.slice(0, 3).map((linha) => [linha.codigo, linha.cliente, linha.quantidade]), [
+        ['2', 'Bia', '10'],
+        ['3', 'Caio', '4'],
+        ['4', 'Duda', '5'],
+    ]);
+    // A linha de totais continua abaixo dos dados, somando as linhas acrescentadas
+    assert.strictEqual(data[3].quantidade, '19');
+});
+
+test('appendRows mantém o zebrado das linhas acrescentadas', async () => {
+    const { E, file } = workspace;
+    const rows = [1, 2, 3, 4].map((codigo) => ({ codigo, cliente: `Cliente ${codigo}`, quantidade: codigo }));
+    await E.create('Pedidos', columns.slice(0, 2), rows, file('zebra.xlsx'), { zebra: 'F2F2F2' });
+
+    const editor = await E.open(file('zebra.xlsx'));
+    editor.appendRows('Pedidos', [{ codigo: 5 }, { codigo: 6 }, { codigo: 7 }]);
+    await editor.save();
+
+    const worksheet = (await readWorkbook(file('zebra.xlsx'))).getWorksheet('Pedidos');
+    const striped = [2, 3, 4, 5, 6, 7, 8].filter((rowNumber) => worksheet.getCell(`A${rowNumber}`).fill?.fgColor?.argb);
+    assert.deepStrictEqual(striped, [3, 5, 7]);
+});
+
+test('updateRows recalcula as fórmulas que dependem de outras fórmulas da linha', async () => {
+    const { E, file } = workspace;
+    await E.create('Dados', [
+        { value: 'Código', key: 'codigo' },
+        { value: 'A', key: 'a' },
+        { value: 'C', key: 'c', formula: '=[@b]*2' },
+        { value: 'B', key: 'b', formula: '=[@a]+1' },
+    ], [{ codigo: 1, a: 1 }], file('dependentes.xlsx'));
+
+    const editor = await E.open(file('dependentes.xlsx'));
+    editor.updateRows('Dados', 'codigo', [{ codigo: 1, a: 100 }]);
+    await editor.save();
+
+    const { data } = await E.toJson(file('dependentes.xlsx'), 'Dados');
+    assert.deepStrictEqual(data[0], { codigo: '1', a: '100', c: '202', b: '101' });
+});
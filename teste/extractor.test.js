@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createWorkspace } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Código', key: 'codigo' },
+    { value: 'Cliente', key: 'cliente' },
+    { value: 'Entrega', key: 'entrega', format: 'date' },
+];
+
+function buildRows(count) {
+    return Array.from({ length: count }, (item, index) => ({
+        codigo: index + 1,
+        cliente: `Cliente ${index + 1}`,
+        entrega: new Date(Date.UTC(2024, 0, 1 + (index % 28))),
+    }));
+}
+
+test('toJsonStream entrega as mesmas linhas de toJson, uma a uma', async () => {
+    const { E, file } = workspace;
+    await E.create([
+        { sheetName: 'Resumo', columns: ['Total'], rows: [{ total: 3000 }] },
+        { sheetName: 'Pedidos', columns, rows: buildRows(3000) },
+    ], null, null, file('pedidos.xlsx'));
+
+    const { data } = await E.toJson(file('pedidos.xlsx'), 'Pedidos', 1, null, [], { dates: { format: 'iso' } });
+    const streamed = [];
+    for await (const row of E.toJsonStream(file('pedidos.xlsx'), 'Pedidos', 1, 2, [], { dates: { format: 'iso' } })) {
+        streamed.push(row);
+    }
+    assert.strictEqual(streamed.length, 3000);
+    assert.deepStrictEqual(streamed, data);
+    assert.deepStrictEqual(streamed[0], { codigo: '1', cliente: 'Cliente 1', entrega: '2024-01-01T00:00:00.000Z' });
+});
+
+test('toJsonStream pode ser interrompido antes do fim e valida a aba e as colunas', async () => {
+    const { E, file } = workspace;
+    const firstRows = [];
+    for await (const row of E.toJsonStream(file('pedidos.xlsx'), 'Pedidos')) {
+        firstRows.push(row.codigo);
+        if (firstRows.length === 3) {
+            break;
+        }
+    }
+    assert.deepStrictEqual(firstRows, ['1', '2', '3']);
+
+    const consume = async (iterator) => {
+        for await (const row of iterator) {
+            assert.ok(row);
+        }
+    };
+    await assert.rejects(consume(E.toJsonStream(file('pedidos.xlsx'), 'Inexistente')), /não foi encontrada/);
+    await assert.rejects(consume(E.toJsonStream(file('pedidos.xlsx'), 'Pedidos', 1, 2, ['valor'])), /"valor" são necessárias/);
+});
+
+test('toJsonAll lê as abas filtradas em uma única chamada, com opções por aba', async () => {
+    const { E, file } = workspace;
+    await E.create([
+        { sheetName: 'Vendas Janeiro', columns: ['Produto', 'Qtd'], rows: [{ produto: 'Caneta', qtd: 2 }] },
+        { sheetName: 'Vendas Fevereiro', columns: ['Produto', 'Qtd'], rows: [{ produto: 'Lápis', qtd: 5 }] },
+        { sheetName: 'Resumo', columns: ['Total'], rows: [{ total: 7 }] },
+    ], null, null, file('vendas.xlsx'));
+
+    const all = await E.toJsonAll(file('vendas.xlsx'));
+    assert.deepStrictEqual(Object.keys(all), ['Vendas Janeiro', 'Vendas Fevereiro', 'Resumo']);
+    assert.deepStrictEqual(all.Resumo.data, [{ total: '7' }]);
+    assert.strictEqual(all.Resumo.headerIndex, 1);
+
+    const sales = await E.toJsonAll(file('vendas.xlsx'), {
+        sheets: 'Vendas*',
+        schema: { qtd: 'integer' },
+        sheetOptions: { 'Vendas Fevereiro': { initRow: 3 } },
+    });
+    assert.deepStrictEqual(Object.keys(sales), ['Vendas Janeiro', 'Vendas Fevereiro']);
+    assert.deepStrictEqual(sales['Vendas Janeiro'].data, [{ produto: 'Caneta', qtd: 2 }]);
+    assert.deepStrictEqual(sales['Vendas Fevereiro'].data, []);
+
+    const withHidden = await E.toJsonAll(file('vendas.xlsx'), { sheets: [/^Resumo$/, 'HiddenSelect'], includeHidden: true });
+    // As abas seguem a ordem do arquivo, e a HiddenSelect é criada logo após a primeira aba
+    assert.deepStrictEqual(Object.keys(withHidden), ['HiddenSelect', 'Resumo']);
+    await assert.rejects(E.toJsonAll(file('vendas.xlsx'), { necessaryColumns: ['qtd'] }), /Resumo/);
+});
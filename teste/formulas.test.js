@@ -0,0 +1,36 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('create calcula as fórmulas na ordem das dependências e grava a linha de totais', async () => {
+    const { E, file } = workspace;
+    await E.create('Dados', [
+        { value: 'A', key: 'a', total: 'sum' },
+        { value: 'B', key: 'b' },
+        { value: 'C', key: 'c', formula: '=[@a]/[@b]' },
+        { value: 'D', key: 'd', formula: '=[@c]+1' },
+        { value: 'E', key: 'e', formula: '=[@f]*2' },
+        { value: 'F', key: 'f', formula: '=[@a]+1' },
+    ], [
+        { a: 1, b: 2 },
+        { a: 3, b: 0 },
+    ], file('formulas.xlsx'));
+
+    const worksheet = (await readWorkbook(file('formulas.xlsx'))).getWorksheet('Dados');
+    assert.deepStrictEqual(worksheet.getCell('C2').value, { formula: 'A2/B2', result: 0.5 });
+    assert.deepStrictEqual(worksheet.getCell('D2').value, { formula: 'C2+1', result: 1.5 });
+    // A coluna F fica à direita de E, mas é calculada antes
+    assert.deepStrictEqual(worksheet.getCell('E2').value, { formula: 'F2*2', result: 4 });
+    // Sem o resultado da divisão por zero, a fórmula que o usa também fica sem resultado
+    assert.strictEqual(worksheet.getCell('C3').result, undefined);
+    assert.strictEqual(worksheet.getCell('D3').result, undefined);
+    assert.strictEqual(worksheet.getCell('E3').result, 8);
+
+    const { data } = await E.toJson(file('formulas.xlsx'), 'Dados');
+    assert.strictEqual(data[0].e, '4');
+    assert.strictEqual(data[2].a, '4');
+});
@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+
+const { createWorkspace } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('toJson detecta a linha do cabeçalho abaixo de banners e linhas em branco', async () => {
+    const { E, file } = workspace;
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Vendas');
+    worksheet.getCell('A1').value = 'Relatório de vendas';
+    worksheet.getRow(3).values = ['Produto', 'Qtd', 'Preço'];
+    worksheet.getRow(5).values = ['Caneta', 2, 1.5];
+    worksheet.getRow(6).values = ['Lápis', 1, 0.5];
+    const contacts = workbook.addWorksheet('Contatos');
+    contacts.getRow(1).values = ['Empresa X', 'CNPJ', 'Endereço', 'Telefone'];
+    contacts.getRow(3).values = ['Produto', 'Qtd'];
+    contacts.getRow(4).values = ['Borracha', 3];
+    await workbook.xlsx.writeFile(file('relatorio.xlsx'));
+
+    const sales = await E.toJson(file('relatorio.xlsx'), 'Vendas', 'auto');
+    assert.strictEqual(sales.headerIndex, 3);
+    assert.strictEqual(sales.initRow, 5);
+    assert.deepStrictEqual(sales.data, [
+        { produto: 'Caneta', qtd: '2', preco: '1.5' },
+        { produto: 'Lápis', qtd: '1', preco: '0.5' },
+    ]);
+
+    // Sem colunas obrigatórias, vence a linha com mais textos; com elas, a primeira linha que as contém
+    assert.strictEqual((await E.toJson(file('relatorio.xlsx'), 'Contatos', 'auto')).headerIndex, 1);
+    const products = await E.toJson(file('relatorio.xlsx'), 'Contatos', 'auto', null, ['qtd']);
+    assert.strictEqual(products.headerIndex, 3);
+    assert.deepStrictEqual(products.data, [{ produto: 'Borracha', qtd: '3' }]);
+
+    const consume = async (iterator) => {
+        for await (const row of iterator) {
+            assert.ok(row);
+        }
+    };
+    await assert.rejects(consume(E.toJsonStream(file('relatorio.xlsx'), 'Vendas', 'auto')), /streaming/);
+});
+
+test('toJson combina cabeçalhos de vários níveis e repete as células mescladas dos dados', async () => {
+    const { E, file } = workspace;
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Vendas');
+    worksheet.getRow(1).values = ['Nome', 'Janeiro', null, 'Obs'];
+    worksheet.getRow(2).values = [null, 'Qtd', 'Valor'];
+    worksheet.mergeCells('A1:A2');
+    worksheet.mergeCells('B1:C1');
+    worksheet.mergeCells('D1:D2');
+    worksheet.getRow(3).values = ['Ana', 2, 10, 'Entregue'];
+    worksheet.getRow(4).values = ['Beto', 1, 5, 'Pendente'];
+    worksheet.getRow(5).values = [null, 3, 15];
+    worksheet.mergeCells('A4:A5');
+    worksheet.mergeCells('D4:D5');
+    await workbook.xlsx.writeFile(file('niveis.xlsx'));
+
+    const { data, initRow } = await E.toJson(file('niveis.xlsx'), 'Vendas', 1, null, [], { headerRows: 2 });
+    assert.strictEqual(initRow, 3);
+    assert.deepStrictEqual(data, [
+        { nome: 'Ana', janeiro_qtd: '2', janeiro_valor: '10', obs: 'Entregue' },
+        { nome: 'Beto', janeiro_qtd: '1', janeiro_valor: '5', obs: 'Pendente' },
+        { nome: 'Beto', janeiro_qtd: '3', janeiro_valor: '15', obs: 'Pendente' },
+    ]);
+
+    const single = await E.toJson(file('niveis.xlsx'), 'Vendas', 1, null, [], { headerRows: 2, fillMerged: false });
+    assert.deepStrictEqual(single.data[2], { janeiro_qtd: '3', janeiro_valor: '15' });
+    await assert.rejects(E.toJson(file('niveis.xlsx'), 'Vendas', 1, null, [], { fillMerged: 'diagonal' }), /fillMerged inválida/);
+});
+
+test('toJson aceita apelidos e nomes aproximados nas colunas', async () => {
+    const { E, file } = workspace;
+    await E.create('Clientes', ['C.P.F', 'Nome Completo', 'Enderço', 'UF'], [
+        { 'c.p.f': '123', nome_completo: 'Ana', enderco: 'Rua A', uf: 'SP' },
+    ], file('clientes.xlsx'));
+
+    const options = { aliases: { cpf: ['CPF', 'C.P.F', 'Documento'], nome: 'Nome completo' }, fuzzy: true };
+    const { data } = await E.toJson(file('clientes.xlsx'), 'Clientes', 1, null, ['cpf', 'nome', 'endereco'], options);
+    assert.deepStrictEqual(data, [{ cpf: '123', nome: 'Ana', enderco: 'Rua A', uf: 'SP' }]);
+
+    // Sem `fuzzy`, "Endereco" não casa com "Enderço", e o erro lista os nomes procurados
+    await assert.rejects(
+        E.toJson(file('clientes.xlsx'), 'Clientes', 1, null, ['endereco', 'id'], { aliases: { id: ['Código'] } }),
+        /endereco/
+    );
+    // Nomes curtos exigem mais semelhança: "id" não é confundido com "uf"
+    await assert.rejects(E.toJson(file('clientes.xlsx'), 'Clientes', 1, null, ['id'], { fuzzy: true }), /id/);
+});
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const Excel = require('../src/excel');
+
+/**
+ * Cria uma pasta temporária e uma instância de `Excel` que a usa como pasta do projeto.
+ *
+ * @param {Object} [config] - Configurações da instância de `Excel`.
+ * @returns {{ dir: string, E: Excel, file: Function, cleanup: Function }} - A pasta, a instância, uma função que retorna
+ * o caminho de um arquivo na pasta e uma função que remove a pasta.
+ */
+function createWorkspace(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-engine-'));
+    return {
+        dir,
+        E: new Excel(dir, config),
+        file: (name) => path.join(dir, name),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    };
+}
+
+/**
+ * Lê um arquivo .xlsx com o ExcelJS, para conferir o que foi gravado.
+ *
+ * @param {string} filePath - Caminho do arquivo.
+ * @returns {Promise<Object>} - A instância de `ExcelJS.Workbook`.
+ */
+async function readWorkbook(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return workbook;
+}
+
+module.exports = { createWorkspace, readWorkbook };
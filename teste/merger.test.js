@@ -0,0 +1,48 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Código', key: 'codigo' },
+    { value: 'Qtd', key: 'qtd', total: 'sum' },
+];
+
+test('merge empilha as linhas sem as linhas de totais e com a coluna de origem', async () => {
+    const { E, file } = workspace;
+    await E.create('Pedidos', columns, [{ codigo: 1, qtd: 2 }, { codigo: 2, qtd: 3 }], file('centro.xlsx'));
+    await E.create('Pedidos', [{ value: 'CODIGO ', key: 'codigo' }, columns[1]], [{ codigo: 3, qtd: 1.5 }],
+        file('norte.xlsx'), { table: true });
+
+    const result = await E.merge(['centro.xlsx', 'norte.xlsx'], 'consolidado.xlsx', { sourceColumn: 'Filial' });
+    assert.deepStrictEqual(result.columns, ['filial', 'codigo', 'qtd']);
+    assert.strictEqual(result.rows, 3);
+
+    const { data } = await E.toJson(file('consolidado.xlsx'), 'Consolidado');
+    assert.deepStrictEqual(data.map(({ filial, codigo, qtd }) => [filial, codigo, qtd]), [
+        ['centro.xlsx', '1', '2'],
+        ['centro.xlsx', '2', '3'],
+        ['norte.xlsx', '3', '1.5'],
+    ]);
+});
+
+test('merge em abas renomeia as tabelas repetidas e as referências estruturadas', async () => {
+    const { E, file } = workspace;
+    const table = { name: 'Tabela_dados' };
+    await E.create('Pedidos', columns, [{ codigo: 1, qtd: 2 }], file('a.xlsx'), { table });
+    await E.create('Pedidos', columns, [{ codigo: 2, qtd: 5 }], file('b.xlsx'), { table });
+
+    const { sheets } = await E.merge(['a.xlsx', 'b.xlsx'], file('abas.xlsx'), { mode: 'sheets' });
+    assert.deepStrictEqual(sheets, ['a', 'b']);
+
+    const workbook = await readWorkbook(file('abas.xlsx'));
+    const [first, second] = sheets.map((sheetName) => workbook.getWorksheet(sheetName));
+    assert.deepStrictEqual(Object.keys(first.tables), ['Tabela_dados']);
+    assert.deepStrictEqual(Object.keys(second.tables), ['Tabela_dados2']);
+    assert.match(first.getCell('B3').formula, /(?<!\w)Tabela_dados\[/);
+    assert.match(second.getCell('B3').formula, /Tabela_dados2\[/);
+    assert.strictEqual(second.getCell('B3').result, 5);
+});
@@ -0,0 +1,49 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('toJson com metadata retorna estilos, hiperlinks, comentários e fórmulas de cada célula', async () => {
+    const { E, file } = workspace;
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Tarefas');
+    worksheet.addRows([
+        ['Tarefa', 'Link', 'Horas', 'Total'],
+        ['Revisar', { text: 'Chamado', hyperlink: 'https://exemplo.com/123' }, 2, { formula: 'C2*2', result: 4 }],
+        ['Publicar', null, 3, { formula: 'C3*2', result: 6 }],
+    ]);
+    worksheet.getCell('A2').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC6EFCE' } };
+    worksheet.getCell('A2').font = { color: { argb: 'FF006100' } };
+    worksheet.getCell('A2').note = 'Prioridade';
+    worksheet.getCell('A3').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+    worksheet.getCell('A3').font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    await workbook.xlsx.writeFile(file('tarefas.xlsx'));
+
+    const { data, metadata } = await E.toJson(file('tarefas.xlsx'), 'Tarefas', 1, null, [], { metadata: true });
+    assert.deepStrictEqual(data[0], { tarefa: 'Revisar', link: 'Chamado', horas: '2', total: '4' });
+    assert.deepStrictEqual(metadata[0].tarefa, {
+        address: 'A2',
+        fillColor: 'C6EFCE',
+        fontColor: '006100',
+        style: 'Bom',
+        note: 'Prioridade',
+    });
+    assert.strictEqual(metadata[0].link.hyperlink, 'https://exemplo.com/123');
+    assert.deepStrictEqual(metadata[0].total, { address: 'D2', formula: 'C2*2', result: 4 });
+    assert.strictEqual(metadata[1].tarefa.fillColor, '1F4E78');
+    assert.strictEqual(typeof metadata[1].tarefa.style, 'object');
+
+    // Os estilos e comentários lidos podem ser gravados de volta com `create`
+    await E.create('Tarefas', ['Tarefa'], data.map((row, index) => ({
+        tarefa: { value: row.tarefa, style: metadata[index].tarefa.style, note: metadata[index].tarefa.note },
+    })), file('copia.xlsx'));
+    const copy = (await readWorkbook(file('copia.xlsx'))).getWorksheet('Tarefas');
+    assert.strictEqual(copy.getCell('A2').fill.fgColor.argb.slice(-6), 'C6EFCE');
+    assert.strictEqual(copy.getCell('A2').note, 'Prioridade');
+    assert.strictEqual(copy.getCell('A3').fill.fgColor.argb.slice(-6), '1F4E78');
+    assert.strictEqual(copy.getCell('A3').font.bold, true);
+});
@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { coerceFormattedValue } = require('../src/creator/numberFormats');
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('coerceFormattedValue só agrupa milhares em grupos de três dígitos', () => {
+    assert.strictEqual(coerceFormattedValue('1.234,56', 'number', ','), 1234.56);
+    assert.strictEqual(coerceFormattedValue('2.50', 'number', ','), '2.50');
+    assert.strictEqual(coerceFormattedValue('1.500', 'number'), '1.500');
+    assert.strictEqual(coerceFormattedValue('1.500', 'number', '.'), 1.5);
+});
+
+test('coerceFormattedValue converte percentuais na fração', () => {
+    assert.strictEqual(coerceFormattedValue('12%', 'number'), 0.12);
+    assert.strictEqual(coerceFormattedValue('7,5 %', 'number', ','), 0.075);
+    assert.strictEqual(coerceFormattedValue('1.1%', 'number'), 0.011);
+    assert.strictEqual(coerceFormattedValue('abc%', 'number'), 'abc%');
+});
+
+test('create grava os formatos das colunas com os valores convertidos', async () => {
+    const { E, file } = workspace;
+    await E.create('Vendas', [
+        { value: 'Preço', key: 'preco', format: 'currency:BRL', decimalSeparator: ',' },
+        { value: 'Desconto', key: 'desconto', format: 'percent' },
+        { value: 'Data', key: 'data', format: 'date' },
+        { value: 'CEP', key: 'cep', format: 'text' },
+    ], [
+        { preco: '1.234,56', desconto: '12%', data: '31/12/2024', cep: '01001000' },
+        { preco: '2.50', desconto: 0.05, data: '2024-01-15', cep: 1001000 },
+    ], file('vendas.xlsx'));
+
+    const worksheet = (await readWorkbook(file('vendas.xlsx'))).getWorksheet('Vendas');
+    assert.strictEqual(worksheet.getCell('A2').value, 1234.56);
+    assert.strictEqual(worksheet.getCell('A2').numFmt, '"R$" #,##0.00');
+    assert.strictEqual(worksheet.getCell('A3').value, '2.50');
+    assert.strictEqual(worksheet.getCell('B2').value, 0.12);
+    assert.strictEqual(worksheet.getCell('B2').numFmt, '0.00%');
+    assert.ok(worksheet.getCell('C2').value instanceof Date);
+    assert.strictEqual(worksheet.getCell('D2').value, '01001000');
+    assert.strictEqual(worksheet.getCell('D3').value, '1001000');
+});
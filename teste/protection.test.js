@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Encryptor = require('exceljs/lib/utils/encryptor');
+
+const { readWorkbookProtection } = require('../src/creator/protection');
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Código', key: 'codigo' },
+    { value: 'Quantidade', key: 'quantidade', editable: true },
+];
+const protection = { password: '1234', workbook: true };
+
+/**
+ * Lê os atributos do elemento `workbookProtection` de um arquivo e confere o hash da senha.
+ */
+async function assertWorkbookProtection(filePath, password) {
+    const element = await readWorkbookProtection(filePath);
+    assert.ok(element, 'o arquivo deveria ter a proteção da estrutura');
+    const attributes = Object.fromEntries([...element.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+    assert.strictEqual(attributes.lockStructure, '1');
+    assert.strictEqual(
+        attributes.workbookHashValue,
+        Encryptor.convertPasswordToHash(password, 'SHA512', attributes.workbookSaltValue, Number(attributes.workbookSpinCount))
+    );
+}
+
+test('create protege as abas e a estrutura do workbook com a senha', async () => {
+    const { E, file } = workspace;
+    await E.create('Pedidos', columns, [{ codigo: 1, quantidade: 2 }], file('protegida.xlsx'), { protection });
+
+    await assertWorkbookProtection(file('protegida.xlsx'), '1234');
+    const worksheet = (await readWorkbook(file('protegida.xlsx'))).getWorksheet('Pedidos');
+    assert.strictEqual(worksheet.sheetProtection.sheet, true);
+    assert.strictEqual(worksheet.getCell('A2').protection?.locked ?? true, true);
+    assert.strictEqual(worksheet.getCell('B2').protection.locked, false);
+});
+
+test('a gravação em streaming também protege a estrutura do workbook', async () => {
+    const { E, file } = workspace;
+    async function* rows() {
+        yield { codigo: 1, quantidade: 2 };
+    }
+    await E.create('Pedidos', columns, rows(), file('protegida_stream.xlsx'), { protection });
+
+    await assertWorkbookProtection(file('protegida_stream.xlsx'), '1234');
+});
+
+test('o editor mantém a proteção da estrutura ao regravar o arquivo', async () => {
+    const { E, file } = workspace;
+    const editor = await E.open(file('protegida.xlsx'));
+    editor.appendRows('Pedidos', [{ codigo: 2, quantidade: 5 }]);
+    await editor.save(file('protegida_editada.xlsx'));
+
+    await assertWorkbookProtection(file('protegida_editada.xlsx'), '1234');
+});
@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { parseNumber } = require('../src/parser/schema');
+const { createWorkspace } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('parseNumber aceita os formatos brasileiro e internacional', () => {
+    assert.strictEqual(parseNumber('1.234,56'), 1234.56);
+    assert.strictEqual(parseNumber('1,234.56'), 1234.56);
+    assert.strictEqual(parseNumber('1,5'), 1.5);
+    assert.strictEqual(parseNumber('1.234.567'), 1234567);
+    assert.strictEqual(parseNumber(' -42 '), -42);
+    assert.strictEqual(parseNumber('1.5', ','), null);
+    assert.strictEqual(parseNumber('12,34.5'), null);
+    assert.strictEqual(parseNumber('abc'), null);
+});
+
+test('toJson com schema converte os tipos e lista os erros por linha', async () => {
+    const { E, file } = workspace;
+    await E.create('Pedidos', ['Código', 'Quantidade', 'Valor', 'Pago', 'Entrega', 'Status', 'Obs'], [
+        { codigo: '1', quantidade: '10', valor: '1.234,56', pago: 'sim', entrega: '31/12/2024', status: 'aberto', obs: 'Urgente' },
+        { codigo: '2', quantidade: '2,5', valor: '10', pago: 'não', entrega: '2024-01-15', status: 'Fechado' },
+        { codigo: '3', quantidade: '3', valor: 'dez', pago: 'talvez', entrega: 'ontem', status: 'Perdido' },
+        { codigo: '4', valor: '7' },
+    ], file('pedidos.xlsx'));
+
+    const { data, errors } = await E.toJson(file('pedidos.xlsx'), 'Pedidos', 1, null, [], {
+        schema: {
+            codigo: 'integer',
+            quantidade: { type: 'integer', required: true },
+            valor: 'decimal',
+            pago: 'boolean',
+            entrega: 'date',
+            status: { type: 'enum', values: ['Aberto', 'Fechado'], default: 'Aberto' },
+        },
+    });
+
+    assert.deepStrictEqual(data, [{
+        obs: 'Urgente',
+        codigo: 1,
+        quantidade: 10,
+        valor: 1234.56,
+        pago: true,
+        entrega: new Date(Date.UTC(2024, 11, 31)),
+        status: 'Aberto',
+    }]);
+    assert.deepStrictEqual(errors.map(({ row, column }) => [row, column]), [
+        [3, 'quantidade'],
+        [4, 'valor'],
+        [4, 'pago'],
+        [4, 'entrega'],
+        [4, 'status'],
+        [5, 'quantidade'],
+    ]);
+    assert.strictEqual(errors[5].message, 'Valor obrigatório não informado.');
+});
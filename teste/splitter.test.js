@@ -0,0 +1,42 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Região', key: 'regiao' },
+    { value: 'Valor', key: 'valor', format: 'decimal', total: 'sum' },
+    { value: 'Entrega', key: 'entrega', format: 'date' },
+];
+
+test('split grava um arquivo por grupo com os números e as datas no tipo original', async () => {
+    const { E, file } = workspace;
+    await E.create('Pedidos', columns, [
+        { regiao: 'Norte', valor: 1.234, entrega: new Date(Date.UTC(2024, 0, 15)) },
+        { regiao: 'Sul', valor: 1234.5, entrega: new Date(Date.UTC(2024, 1, 1)) },
+        { regiao: 'Norte', valor: 10 },
+        { valor: 3 },
+    ], file('pedidos.xlsx'));
+
+    const groups = await E.split('pedidos.xlsx', { by: 'Região' });
+    assert.deepStrictEqual(groups.map(({ group, rows }) => [group, rows]), [['Norte', 2], ['Sul', 1], ['Sem valor', 1]]);
+
+    const worksheet = (await readWorkbook(file('pedidos_Norte.xlsx'))).getWorksheet('Pedidos');
+    assert.strictEqual(worksheet.getCell('B2').value, 1.234);
+    assert.strictEqual(worksheet.getCell('B3').value, 10);
+    assert.strictEqual(worksheet.getCell('C2').value.getTime(), Date.UTC(2024, 0, 15));
+    // A linha de totais da origem não vira uma linha do grupo
+    assert.strictEqual(worksheet.actualRowCount, 3);
+});
+
+test('split em abas grava um único arquivo com uma aba por grupo', async () => {
+    const { E, file } = workspace;
+    const groups = await E.split('pedidos.xlsx', { by: 'regiao', output: 'tabs' });
+    assert.deepStrictEqual(groups.map(({ sheetName }) => sheetName), ['Norte', 'Sul', 'Sem valor']);
+
+    const workbook = await readWorkbook(file('pedidos_por_regiao.xlsx'));
+    assert.strictEqual(workbook.getWorksheet('Sul').getCell('B2').value, 1234.5);
+});
@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Produto', key: 'produto' },
+    { value: 'Situação', key: 'situacao' },
+];
+
+const rows = [
+    { produto: 'Caneta', situacao: { value: 'Em dia', style: 'Marca' } },
+    { produto: 'Lápis', situacao: { value: 'Atrasado', style: 'Alerta' } },
+    { produto: 'Borracha', situacao: 'Em dia' },
+];
+
+test('registerStyle registra estilos com nome usados nas células e combinados com extends', async () => {
+    const { E, file } = workspace;
+    E.registerStyle('Marca', { fill: '1F4E78', font: { color: { argb: 'FFFFFF' }, bold: true } });
+    E.registerStyle('Alerta', { extends: 'Ruim', font: { bold: true } });
+    assert.throws(() => E.registerStyle('Bom', { font: { bold: true } }), /é pré-definido e não pode ser substituído/);
+    assert.throws(() => E.registerStyle('Outro', { extends: 'Inexistente' }), /Estilo inválido ou não encontrado: Inexistente/);
+
+    await E.create('Produtos', columns, rows, file('estilos.xlsx'));
+    const worksheet = (await readWorkbook(file('estilos.xlsx'))).getWorksheet('Produtos');
+    assert.strictEqual(worksheet.getCell('B2').fill.fgColor.argb, 'FF1F4E78');
+    assert.strictEqual(worksheet.getCell('B2').font.bold, true);
+    // O estilo de `extends` mantém o preenchimento e a cor da fonte de "Ruim"
+    assert.strictEqual(worksheet.getCell('B3').fill.fgColor.argb.slice(-6), 'FFC7CE');
+    assert.strictEqual(worksheet.getCell('B3').font.color.argb.slice(-6), '9C0006');
+    assert.strictEqual(worksheet.getCell('B3').font.bold, true);
+    // A fonte do documento continua aplicada junto com o estilo
+    assert.strictEqual(worksheet.getCell('B3').font.name, 'Aptos Narrow');
+});
+
+test('registerTheme grava o cabeçalho, as linhas zebradas e as bordas do tema', async () => {
+    const { E, file } = workspace;
+    E.registerTheme('corporativo', {
+        font: { name: 'Calibri', size: 10 },
+        header: { fill: '1F4E78', font: { color: { argb: 'FFFFFF' } } },
+        zebra: 'F2F2F2',
+        borders: { style: 'thin', color: 'BFBFBF' },
+    });
+    E.registerTheme('compacto', { extends: 'corporativo', font: { name: 'Arial', size: 8 }, zebra: 'DDEBF7' });
+    assert.throws(() => E.registerTheme('quebrado', { extends: 'inexistente' }), /Tema "inexistente" não encontrado/);
+
+    await E.create('Produtos', columns, rows, file('tema.xlsx'), 'corporativo');
+    const worksheet = (await readWorkbook(file('tema.xlsx'))).getWorksheet('Produtos');
+    const header = worksheet.getCell('A1');
+    assert.strictEqual(header.fill.fgColor.argb, 'FF1F4E78');
+    assert.deepStrictEqual([header.font.name, header.font.size, header.font.bold], ['Calibri', 10, true]);
+    assert.strictEqual(header.font.color.argb.slice(-6), 'FFFFFF');
+    assert.strictEqual(worksheet.views[0].state, 'frozen');
+    assert.strictEqual(worksheet.getCell('A2').fill?.fgColor, undefined);
+    assert.strictEqual(worksheet.getCell('A3').fill.fgColor.argb, 'FFF2F2F2');
+    assert.deepStrictEqual(worksheet.getCell('A4').border.left, { style: 'thin', color: { argb: 'FFBFBFBF' } });
+    assert.strictEqual(worksheet.getCell('A4').font.name, 'Calibri');
+
+    await E.create('Produtos', columns, rows, file('compacto.xlsx'), 'compacto');
+    const compact = (await readWorkbook(file('compacto.xlsx'))).getWorksheet('Produtos');
+    assert.strictEqual(compact.getCell('A1').fill.fgColor.argb, 'FF1F4E78');
+    assert.strictEqual(compact.getCell('A3').fill.fgColor.argb, 'FFDDEBF7');
+    assert.strictEqual(compact.getCell('A3').font.name, 'Arial');
+});
+
+test('loadStyles carrega estilos e temas de um arquivo JSON', async () => {
+    const { E, file } = workspace;
+    fs.writeFileSync(file('marca.json'), JSON.stringify({
+        styles: { Destaque: { fill: 'FFF2CC', font: { italic: true } } },
+        themes: { marca: { header: { fill: 'Destaque' }, borders: true } },
+    }));
+    assert.strictEqual(await E.loadStyles(file('marca.json')), E);
+
+    await E.create('Produtos', columns, [{ produto: { value: 'Caneta', style: 'Destaque' }, situacao: 'Em dia' }], file('marca.xlsx'), 'marca');
+    const worksheet = (await readWorkbook(file('marca.xlsx'))).getWorksheet('Produtos');
+    assert.strictEqual(worksheet.getCell('A1').fill.fgColor.argb, 'FFFFF2CC');
+    assert.strictEqual(worksheet.getCell('A2').font.italic, true);
+    assert.strictEqual(worksheet.getCell('B2').border.top.style, 'thin');
+
+    fs.writeFileSync(file('invalido.json'), '{ styles: ');
+    await assert.rejects(E.loadStyles(file('invalido.json')), /Não foi possível carregar os estilos de/);
+});
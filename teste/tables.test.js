@@ -0,0 +1,80 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { writeExcelXlsx } = require('../src/creator/creator');
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+const columns = [
+    { value: 'Produto', key: 'produto' },
+    { value: 'Quantidade', key: 'quantidade', format: 'integer', total: 'sum' },
+    { value: 'Preço', key: 'preco', format: 'decimal', total: 'avg' },
+];
+
+const rows = [
+    { produto: 'Caneta', quantidade: 10, preco: 2.5 },
+    { produto: 'Lápis', quantidade: 0, preco: 1.5 },
+    { produto: 'Borracha', quantidade: 5, preco: 3.5 },
+];
+
+test('create com table grava uma tabela nativa com a linha de totais', async () => {
+    const { E, file } = workspace;
+    await E.create('Estoque', columns, rows, file('estoque.xlsx'), {
+        table: { name: 'Estoque_Atual', style: 'TableStyleLight9', bandedColumns: true },
+    });
+
+    const worksheet = (await readWorkbook(file('estoque.xlsx'))).getWorksheet('Estoque');
+    const { table } = worksheet.getTable('Estoque_Atual');
+    assert.strictEqual(table.tableRef, 'A1:C5');
+    assert.strictEqual(table.totalsRow, true);
+    assert.strictEqual(table.style.theme, 'TableStyleLight9');
+    assert.strictEqual(table.style.showRowStripes, true);
+    assert.strictEqual(table.style.showColumnStripes, true);
+    assert.deepStrictEqual(table.columns.map(({ name }) => name), ['Produto', 'Quantidade', 'Preço']);
+    assert.strictEqual(worksheet.autoFilter, undefined);
+
+    assert.strictEqual(worksheet.getCell('A5').value, 'Total');
+    assert.strictEqual(worksheet.getCell('B5').value.formula, 'SUBTOTAL(109,Estoque_Atual[Quantidade])');
+    assert.strictEqual(worksheet.getCell('B5').value.result, 15);
+    assert.strictEqual(worksheet.getCell('C5').value.formula, 'SUBTOTAL(101,Estoque_Atual[Preço])');
+    assert.strictEqual(worksheet.getCell('C5').value.result, 2.5);
+    assert.strictEqual(worksheet.getCell('B3').value, 0);
+});
+
+test('create com table usa o nome padrão da aba e numera cabeçalhos repetidos', async () => {
+    const { E, file } = workspace;
+    await E.create([
+        {
+            sheetName: 'Vendas Sul',
+            columns: [{ value: 'Valor', key: 'a' }, { value: 'valor', key: 'b' }, { value: 'Data', key: 'c' }],
+            rows: [],
+            table: true,
+        },
+    ], null, null, file('vendas.xlsx'));
+
+    const worksheet = (await readWorkbook(file('vendas.xlsx'))).getWorksheet('Vendas Sul');
+    const tables = worksheet.getTables().map(({ table }) => table);
+    assert.strictEqual(tables.length, 1);
+    assert.strictEqual(tables[0].name, 'Tabela_vendas_sul');
+    assert.strictEqual(tables[0].totalsRow, false);
+    assert.deepStrictEqual(tables[0].columns.map(({ name }) => name), ['Valor', 'valor2', 'Data']);
+    // O Excel exige ao menos uma linha de dados, mesmo sem linhas
+    assert.strictEqual(tables[0].tableRef, 'A1:C2');
+});
+
+test('create rejeita nomes de tabela inválidos ou repetidos', async () => {
+    const { file } = workspace;
+    await assert.rejects(
+        writeExcelXlsx('Estoque', columns, rows, file('invalido.xlsx'), { table: { name: 'A1' } }),
+        /Nome de tabela inválido: "A1"/
+    );
+    await assert.rejects(
+        writeExcelXlsx([
+            { sheetName: 'Janeiro', columns, rows, table: { name: 'Vendas' } },
+            { sheetName: 'Fevereiro', columns, rows, table: { name: 'vendas' } },
+        ], file('repetido.xlsx')),
+        /Já existe uma tabela chamada "vendas"/
+    );
+});
@@ -0,0 +1,81 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+/**
+ * Grava um modelo de fatura com uma região repetida, um total abaixo dela e referências ao total em outras partes
+ * do arquivo: fórmula compartilhada, validação, formatação condicional, nome definido, área de impressão e outra aba.
+ */
+async function writeTemplate(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Fatura');
+    worksheet.getCell('A1').value = 'Cliente: {{cliente}}';
+    worksheet.getCell('C1').value = { formula: 'B4*2', shareType: 'shared', ref: 'C1:D1' };
+    worksheet.getCell('D1').value = { sharedFormula: 'C1' };
+    worksheet.getCell('A3').value = '{{#each itens}}{{descricao}}';
+    worksheet.getCell('B3').value = '{{valor}}{{/each}}';
+    worksheet.getCell('A4').value = 'Total';
+    worksheet.getCell('B4').value = { formula: 'SUM(B3:B3)' };
+    worksheet.getCell('B6').value = 0;
+    worksheet.getCell('B6').dataValidation = { type: 'custom', formulae: ['B6<$B$4'] };
+    worksheet.addConditionalFormatting({
+        ref: 'B4',
+        rules: [{ type: 'expression', formulae: ['B4>100'], style: { font: { bold: true } } }],
+    });
+    worksheet.pageSetup.printArea = 'A1:B6';
+    workbook.definedNames.add('Fatura!$B$4', 'Total');
+
+    const summary = workbook.addWorksheet('Resumo');
+    summary.getCell('B4').value = 'local';
+    summary.getCell('A1').value = { formula: 'Fatura!B4' };
+    summary.getCell('A2').value = { formula: 'B4' };
+    summary.getCell('A3').value = { formula: 'COUNT(Fatura!B3:B3)' };
+    await workbook.xlsx.writeFile(filePath);
+}
+
+test('fillTemplate repete a região e ajusta as referências às linhas deslocadas', async () => {
+    const { E, file } = workspace;
+    await writeTemplate(file('modelo.xlsx'));
+
+    await E.fillTemplate('modelo.xlsx', {
+        cliente: 'ACME',
+        itens: [{ descricao: 'Serviço', valor: 100 }, { descricao: 'Licença', valor: 50 }, { descricao: 'Suporte', valor: 25 }],
+    }, 'fatura.xlsx');
+
+    const workbook = await readWorkbook(file('fatura.xlsx'));
+    const worksheet = workbook.getWorksheet('Fatura');
+    assert.strictEqual(worksheet.getCell('A1').value, 'Cliente: ACME');
+    assert.deepStrictEqual([3, 4, 5].map((row) => worksheet.getCell(`B${row}`).value), [100, 50, 25]);
+    assert.strictEqual(worksheet.getCell('B6').formula, 'SUM(B3:B5)');
+    assert.deepStrictEqual([worksheet.getCell('C1').formula, worksheet.getCell('D1').formula], ['B6*2', 'C6*2']);
+
+    assert.deepStrictEqual(worksheet.getCell('B8').dataValidation.formulae, ['B8<$B$6']);
+    assert.strictEqual(worksheet.getCell('B6').dataValidation, undefined);
+    assert.deepStrictEqual(worksheet.conditionalFormattings.map(({ ref, rules }) => [ref, rules[0].formulae]), [
+        ['B6', ['B6>100']],
+    ]);
+    assert.strictEqual(worksheet.pageSetup.printArea, 'A1:B8');
+    assert.deepStrictEqual(workbook.definedNames.getRanges('Total').ranges, ['Fatura!$B$6']);
+
+    const summary = workbook.getWorksheet('Resumo');
+    assert.deepStrictEqual(['A1', 'A2', 'A3'].map((address) => summary.getCell(address).formula), [
+        'Fatura!B6',
+        'B4',
+        'COUNT(Fatura!B3:B5)',
+    ]);
+});
+
+test('fillTemplate remove a região quando o array está vazio', async () => {
+    const { E, file } = workspace;
+    await E.fillTemplate('modelo.xlsx', { cliente: 'ACME', itens: [] }, 'vazia.xlsx');
+
+    const workbook = await readWorkbook(file('vazia.xlsx'));
+    assert.strictEqual(workbook.getWorksheet('Fatura').getCell('B3').formula, 'SUM(#REF!)');
+    assert.strictEqual(workbook.getWorksheet('Resumo').getCell('A1').formula, 'Fatura!B3');
+    assert.deepStrictEqual(workbook.definedNames.getRanges('Total').ranges, ['Fatura!$B$3']);
+});
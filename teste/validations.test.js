@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { writeExcelXlsx } = require('../src/creator/creator');
+const { createWorkspace, readWorkbook } = require('./helpers');
+
+const workspace = createWorkspace();
+after(() => workspace.cleanup());
+
+test('create grava as validações simplificadas das colunas e das células', async () => {
+    const { E, file } = workspace;
+    await E.create('Cadastro', [
+        { value: 'Estado', key: 'estado', validation: { select: true, values: ['SP', 'RJ'], name: 'Estados' } },
+        {
+            value: 'Cidade',
+            key: 'cidade',
+            validation: { select: true, dependsOn: 'estado', options: { SP: ['Campinas', 'Santos'], RJ: ['Niterói'] } },
+        },
+        { value: 'Idade', key: 'idade', validation: { type: 'whole', min: 18, max: 65, prompt: 'Entre 18 e 65' } },
+        { value: 'CPF', key: 'cpf', validation: { type: 'cpf' } },
+        { value: 'Nome', key: 'nome', validation: { type: 'textLength', max: 40, errorStyle: 'warning' } },
+        { value: 'Limite', key: 'limite', validation: { type: 'custom', formula: '[@limite]<=[@idade]*100' } },
+    ], [
+        { estado: 'SP', cidade: 'Campinas', idade: 30, cpf: '123.456.789-00', nome: 'Ana', limite: 1000 },
+        {
+            estado: 'RJ',
+            cidade: 'Niterói',
+            idade: { value: 40, validation: { type: 'whole', min: 40 } },
+            cpf: '98765432100',
+            nome: 'Bruno',
+            limite: 2000,
+        },
+    ], file('cadastro.xlsx'));
+
+    const workbook = await readWorkbook(file('cadastro.xlsx'));
+    const worksheet = workbook.getWorksheet('Cadastro');
+    const hidden = workbook.getWorksheet('HiddenSelect');
+    assert.strictEqual(hidden.state, 'veryHidden');
+
+    // Lista fixa, gravada uma única vez na aba oculta e com o intervalo nomeado
+    const estado = worksheet.getCell('A2').dataValidation;
+    assert.strictEqual(estado.type, 'list');
+    assert.deepStrictEqual(worksheet.getCell('A3').dataValidation.formulae, estado.formulae);
+    assert.deepStrictEqual(workbook.definedNames.getRanges('Estados').ranges, ['HiddenSelect!$A$1:$A$2']);
+    assert.deepStrictEqual([hidden.getCell('A1').value, hidden.getCell('A2').value], ['SP', 'RJ']);
+
+    // Lista dependente do estado da mesma linha
+    const cidade = worksheet.getCell('B3').dataValidation;
+    assert.strictEqual(cidade.type, 'list');
+    assert.match(cidade.formulae[0], /^OFFSET\(HiddenSelect!\$C\$3,MATCH\(\$A3,HiddenSelect!\$A\$3:\$A\$4,0\)-1/);
+    assert.deepStrictEqual([hidden.getCell('A3').value, hidden.getCell('B3').value, hidden.getCell('D3').value], ['SP', 2, 'Santos']);
+
+    const idade = worksheet.getCell('C2').dataValidation;
+    assert.strictEqual(idade.operator, 'between');
+    assert.deepStrictEqual(idade.formulae, [18, 65]);
+    assert.strictEqual(idade.error, 'Informe um número inteiro entre 18 e 65.');
+    assert.strictEqual(idade.prompt, 'Entre 18 e 65');
+    // A validação da célula substitui a da coluna
+    assert.strictEqual(worksheet.getCell('C3').dataValidation.operator, 'greaterThanOrEqual');
+
+    const cpf = worksheet.getCell('D3').dataValidation;
+    assert.strictEqual(cpf.type, 'custom');
+    assert.match(cpf.formulae[0], /LEN\(SUBSTITUTE\(SUBSTITUTE\(SUBSTITUTE\(D3,/);
+    assert.strictEqual(cpf.error, 'Informe um CPF com 11 dígitos.');
+
+    const nome = worksheet.getCell('E2').dataValidation;
+    assert.strictEqual(nome.operator, 'lessThanOrEqual');
+    assert.strictEqual(nome.errorStyle, 'warning');
+    assert.strictEqual(nome.error, 'Informe um texto com no máximo 40 caracteres.');
+
+    assert.deepStrictEqual(worksheet.getCell('F3').dataValidation.formulae, ['F3<=C3*100']);
+});
+
+test('create rejeita validações incompletas', async () => {
+    const { file } = workspace;
+    const write = (validation) => writeExcelXlsx('Cadastro', [
+        { value: 'Estado', key: 'estado' },
+        { value: 'Valor', key: 'valor', validation },
+    ], [{ estado: 'SP', valor: 1 }], file('invalido.xlsx'));
+
+    await assert.rejects(write({ select: true }), /precisa de "values", "source" ou "dependsOn"/);
+    await assert.rejects(write({ select: true, dependsOn: 'uf', options: {} }), /Coluna "uf" usada na lista dependente/);
+    await assert.rejects(write({ type: 'decimal' }), /precisa de "min", "max"\./);
+    await assert.rejects(write({ type: 'date', min: 'ontem' }), /Limite inválido na validação da coluna "Valor": ontem/);
+    await assert.rejects(write({ type: 'custom' }), /precisa de "formula"/);
+});